@@ -11,6 +11,8 @@
 #   REGION          — AWS region to deploy into (default: us-east-1)
 #   STACK_NAME      — CloudFormation stack name (default: doc-processing)
 #   BOOTSTRAP_STACK — bootstrap stack name      (default: doc-processing-bootstrap)
+#   CREATE_FUND_NAME_INDEX — "false" for the first of the two updates that add the
+#                     FundsTable GSIs to an older stack (default: true, see README)
 #
 # The upload bucket (for PDF intake) is created automatically by cloudformation.yaml.
 # No UPLOAD_BUCKET env var is needed — the bucket name is printed at the end.
@@ -22,6 +24,7 @@ REGION="${REGION:-us-east-1}"
 STACK_NAME="${STACK_NAME:-doc-processing}"
 BOOTSTRAP_STACK="${BOOTSTRAP_STACK:-doc-processing-bootstrap}"
 ENVIRONMENT="${ENVIRONMENT:-dev}"
+CREATE_FUND_NAME_INDEX="${CREATE_FUND_NAME_INDEX:-true}"
 
 ROOT_DIR="$(cd "$(dirname "$0")" && pwd)"
 
@@ -45,6 +48,25 @@ if grep -q "PLACEHOLDER" "$ROOT_DIR/assets/RulesEngineJSONSchema.txt" 2>/dev/nul
   [[ "$confirm" =~ ^[Yy]$ ]] || exit 1
 fi
 
+# Every prompt / schema / dictionary must match its hash in assets/catalog.json. Workers
+# refuse assets that drift from the catalog, so catch an unversioned edit here.
+CATALOG_DRIFT=0
+while IFS=$'\t' read -r ASSET_KEY EXPECTED_SHA; do
+  ASSET_FILE="$ROOT_DIR/$ASSET_KEY"
+  if [[ ! -f "$ASSET_FILE" ]]; then
+    echo "ERROR: $ASSET_KEY is listed in assets/catalog.json but does not exist."
+    CATALOG_DRIFT=1
+    continue
+  fi
+  ACTUAL_SHA=$(sha256sum "$ASSET_FILE" | cut -d' ' -f1)
+  if [[ "$ACTUAL_SHA" != "$EXPECTED_SHA" ]]; then
+    echo "ERROR: $ASSET_KEY changed without a catalog update."
+    echo "  Bump its version (new file name) or set sha256 to $ACTUAL_SHA in assets/catalog.json."
+    CATALOG_DRIFT=1
+  fi
+done < <(jq -r '.assets[] | [.key, .sha256] | @tsv' "$ROOT_DIR/assets/catalog.json")
+[[ "$CATALOG_DRIFT" == "0" ]] || exit 1
+
 # ── Step 1: Bootstrap stack (creates Lambda code bucket) ─────────────────────
 if [[ "$MODE" == "all" ]]; then
   echo ""
@@ -94,7 +116,8 @@ if [[ "$MODE" == "all" || "$MODE" == "stack" ]]; then
     --no-fail-on-empty-changeset \
     --parameter-overrides \
       LambdaCodeBucket="$LAMBDA_CODE_BUCKET" \
-      Environment="$ENVIRONMENT"
+      Environment="$ENVIRONMENT" \
+      CreateFundNameIndex="$CREATE_FUND_NAME_INDEX"
 fi
 
 # ── Step 4b: Force Lambda code refresh (CF doesn't re-read S3 when key is unchanged) ──
@@ -124,19 +147,12 @@ fi
 echo ""
 echo "▶ Uploading assets to s3://$LAMBDA_CODE_BUCKET/assets/..."
 
-# Schemas — at assets/ root (used by Lambda env vars ICSchemaKey, IMASchemaKey)
-aws s3 cp "$ROOT_DIR/assets/ICMemoEngineJSONSchema.txt" \
-  "s3://$LAMBDA_CODE_BUCKET/assets/ICMemoEngineJSONSchema.txt" --region "$REGION"
-
-aws s3 cp "$ROOT_DIR/assets/RulesEngineJSONSchema.txt" \
-  "s3://$LAMBDA_CODE_BUCKET/assets/RulesEngineJSONSchema.txt" --region "$REGION"
-
-# Prompts — under assets/prompt/ (used by Lambda env vars ICPromptKey, ProcessorPromptKey)
-aws s3 cp "$ROOT_DIR/assets/prompt/icmemo-v1.txt" \
-  "s3://$LAMBDA_CODE_BUCKET/assets/prompt/icmemo-v1.txt" --region "$REGION"
-
-aws s3 cp "$ROOT_DIR/assets/prompt/rules-engine-v1.txt" \
-  "s3://$LAMBDA_CODE_BUCKET/assets/prompt/rules-engine-v1.txt" --region "$REGION"
+# Schemas at assets/ root, prompts under assets/prompt/. Keys per document type
+# are defined in shared/documentTypes.js; sync uploads every file so a new type
+# only needs its files added here.
+aws s3 sync "$ROOT_DIR/assets/" "s3://$LAMBDA_CODE_BUCKET/assets/" \
+  --exclude "*.DS_Store" \
+  --region "$REGION"
 
 # ── Done ──────────────────────────────────────────────────────────────────────
 echo ""
@@ -5,6 +5,8 @@ import {
 
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 
+import { withRetry } from "./shared/retry.js";
+
 /* ---------------- CONFIG ---------------- */
 
 const REGION   = process.env.AWS_REGION || "us-east-1";
@@ -134,12 +136,12 @@ async function analyzeChunkWithBedrock(chunkFields, filledSummary, startPage, en
 
   const userPrompt = `Analyzing pages ${startPage}–${endPage} of a ${totalFields}-field form.\nThe following ${chunkFields.length} fields appear on these pages. Fields with a null value or value: false are potentially empty — identify ONLY the genuinely incomplete required sections in this page range:\n\n${JSON.stringify(chunkFields, null, 2)}${filledRef}\n\nIMPORTANT: Your entire response must be a single valid JSON object starting with { — no explanation, no markdown, no preamble before or after the JSON.`;
 
-  const resp = await bedrock.send(new ConverseCommand({
+  const resp = await withRetry(() => bedrock.send(new ConverseCommand({
     modelId: MODEL_ID,
     system:  [{ text: SYSTEM_PROMPT }],
     messages: [{ role: "user", content: [{ text: userPrompt }] }],
     inferenceConfig: { maxTokens: 16384, temperature: 0 }
-  }));
+  })), { label: "Bedrock first pass", log, logMeta: { requestId, startPage, endPage } });
 
   const rawText = (resp.output?.message?.content?.[0]?.text || "").trim();
   log("INFO", "Bedrock first-pass response", { requestId, startPage, endPage, outputChars: rawText.length });
@@ -182,12 +184,12 @@ Return ONLY a valid JSON object:
 Each item in confirmedIncomplete keeps its original structure. Each item in uncertain adds: "reason": "explanation".
 IMPORTANT: Your entire response must be a single valid JSON object starting with { — no markdown, no preamble.`;
 
-  const resp = await bedrock.send(new ConverseCommand({
+  const resp = await withRetry(() => bedrock.send(new ConverseCommand({
     modelId: MODEL_ID,
     system:  [{ text: SYSTEM_PROMPT }],
     messages: [{ role: "user", content: [{ text: verifyPrompt }] }],
     inferenceConfig: { maxTokens: 8192, temperature: 0 }
-  }));
+  })), { label: "Bedrock verification pass", log, logMeta: { requestId, startPage, endPage } });
 
   const rawText = (resp.output?.message?.content?.[0]?.text || "").trim();
   log("INFO", "Bedrock second-pass response", { requestId, startPage, endPage, outputChars: rawText.length });
@@ -10,6 +10,8 @@ import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 
 import { SFNClient, StartExecutionCommand } from "@aws-sdk/client-sfn";
 
+import { withRetry } from "./shared/retry.js";
+
 /* ---------------- CONFIG ---------------- */
 
 const REGION   = process.env.AWS_REGION || "us-east-1";
@@ -54,7 +56,9 @@ async function getAllBlocks(textractJobId, requestId) {
     const params = { JobId: textractJobId };
     if (nextToken) params.NextToken = nextToken;
 
-    const resp = await textract.send(new GetDocumentAnalysisCommand(params));
+    const resp = await withRetry(() => textract.send(new GetDocumentAnalysisCommand(params)), {
+      label: "GetDocumentAnalysis", log, logMeta: { requestId, textractJobId, page }
+    });
 
     if (resp.JobStatus === "FAILED") {
       throw new Error(`Textract job FAILED: ${resp.StatusMessage || "no status message"}`);
@@ -491,6 +495,19 @@ async function processOneMessage({ message, requestId }) {
     input:           executionInput
   }));
 
+  // Keep the execution input on the record so the stuck-job reaper can restart
+  // the analysis if the (EXPRESS) execution ends without the aggregator running
+  await ddb.send(new UpdateCommand({
+    TableName: TABLE,
+    Key: { jobId },
+    UpdateExpression: "SET executionArn = :a, executionInput = :i, updatedAt = :u",
+    ExpressionAttributeValues: {
+      ":a": sfnResp.executionArn,
+      ":i": executionInput,
+      ":u": new Date().toISOString()
+    }
+  }));
+
   log("INFO", "Step Functions execution started", {
     requestId, jobId,
     executionArn: sfnResp.executionArn,
@@ -1,6 +1,7 @@
 import { TextractClient, StartDocumentAnalysisCommand } from "@aws-sdk/client-textract";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { isTransientError, withRetry } from "./shared/retry.js";
 
 /* ---------------- CONFIG ---------------- */
 
@@ -72,7 +73,7 @@ export const handler = async (event, context) => {
 
     let textractJobId;
     try {
-      const resp = await textract.send(new StartDocumentAnalysisCommand({
+      const resp = await withRetry(() => textract.send(new StartDocumentAnalysisCommand({
         DocumentLocation: {
           S3Object: { Bucket: bucket, Name: key }
         },
@@ -83,10 +84,19 @@ export const handler = async (event, context) => {
         },
         // JobTag identifies this job back to our record when Textract notifies us
         JobTag: jobId.slice(0, 64)
-      }));
+      })), { label: "StartDocumentAnalysis", log, logMeta: { requestId, jobId } });
 
       textractJobId = resp.JobId;
     } catch (err) {
+      // Still throttled: rethrow so Lambda's async retry re-runs the S3 event
+      // later instead of failing a job that only hit the Textract limits
+      if (isTransientError(err)) {
+        log("WARN", "StartDocumentAnalysis throttled — leaving the event to Lambda retry", {
+          requestId, jobId, error: err.name
+        });
+        throw err;
+      }
+
       log("ERROR", "StartDocumentAnalysis failed", { requestId, jobId, error: err.message });
       await ddb.send(new UpdateCommand({
         TableName: TABLE,
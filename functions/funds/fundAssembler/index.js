@@ -0,0 +1,373 @@
+import { BedrockRuntimeClient } from "@aws-sdk/client-bedrock-runtime";
+
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand
+} from "@aws-sdk/client-s3";
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+
+import Ajv from "ajv";
+
+import {
+  ASSEMBLY_ROLES,
+  FUND_ASSEMBLY,
+  assetUri,
+  documentTypeFromKey
+} from "./shared/documentTypes.js";
+import { converseForJson } from "./shared/bedrockJson.js";
+import { PAGE_MARKER_HINT, parsePages, verifyCitations } from "./shared/pageCitations.js";
+import {
+  ASSET_KINDS,
+  CATALOG_KEY,
+  buildProvenance,
+  loadCatalogedAsset,
+  parseCatalog
+} from "./shared/assetCatalog.js";
+import { recordComplianceVerdict, runPreTradeCheck } from "./shared/preTradeCheck.js";
+import {
+  RULE_FIELD_DICTIONARY_KEY,
+  formatFieldDictionary,
+  normalizeRuleFields,
+  parseFieldDictionary
+} from "./shared/ruleFields.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION              = process.env.AWS_REGION || "us-east-1";
+const MODEL_ID            = process.env.NOVA_MODEL_ID || "amazon.nova-pro-v1:0";
+const ASSETS_BUCKET       = process.env.ASSETS_BUCKET;
+const DDB_TABLE           = process.env.DDB_TABLE;
+const SUCCESS_QUEUE_URL   = process.env.SUCCESS_QUEUE_URL;
+const DOC_BUCKET          = process.env.DOC_BUCKET;
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2);
+
+if (!ASSETS_BUCKET)       throw new Error("ASSETS_BUCKET env var is not set");
+if (!DDB_TABLE)           throw new Error("DDB_TABLE env var is not set");
+if (!SUCCESS_QUEUE_URL)   throw new Error("SUCCESS_QUEUE_URL env var is not set");
+if (!DOC_BUCKET)          throw new Error("DOC_BUCKET env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const bedrock   = new BedrockRuntimeClient({ region: REGION });
+const s3        = new S3Client({ region: REGION });
+const ddb       = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const sqsClient = new SQSClient({ region: REGION });
+const ajv       = new Ajv({ allErrors: true, strict: false });
+
+/* ---------------- LOGGER ---------------- */
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/* ---------------- HELPERS ---------------- */
+
+const BEDROCK_INFERENCE = { maxTokens: 10000, temperature: 0.1, topP: 0.9 };
+
+async function readS3Text(bucket, key) {
+  const resp = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  return resp.Body.transformToString("utf-8");
+}
+
+/**
+ * Split an OCR text key into its source file name and timestamp.
+ *   <fundId>/<documentType>/ocr/<safeFileName>.<ts>.txt
+ * ts is an ISO timestamp with ":" and "." replaced by "-", so it sorts lexically.
+ */
+function parseOcrKey(key) {
+  const name  = key.split("/").pop() || "";
+  const match = name.match(/^(.*)\.(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.txt$/);
+  return match ? { fileName: match[1], ts: match[2] } : { fileName: name, ts: "" };
+}
+
+/**
+ * Pick the documents to merge from the fund's assemblyOcrKeys.
+ * A re-uploaded file produces a second OCR key — only the latest copy of each
+ * file is kept. If several IMAs were uploaded the most recent one is the base.
+ * Returns { base, overlays } where each entry is { key, fileName, ts }.
+ */
+function selectAssemblyDocuments(ocrKeys) {
+  const latestByFile = new Map();
+
+  for (const key of ocrKeys) {
+    const docType = documentTypeFromKey(key);
+    if (!docType?.assemblyRole) continue;
+
+    const { fileName, ts } = parseOcrKey(key);
+    const id       = `${docType.id}/${fileName}`;
+    const existing = latestByFile.get(id);
+    if (!existing || existing.ts < ts) {
+      latestByFile.set(id, { key, fileName, ts, role: docType.assemblyRole });
+    }
+  }
+
+  const docs = [...latestByFile.values()];
+  const base = docs
+    .filter(d => d.role === ASSEMBLY_ROLES.BASE)
+    .sort((a, b) => b.ts.localeCompare(a.ts))[0] || null;
+  const overlays = docs
+    .filter(d => d.role === ASSEMBLY_ROLES.OVERLAY)
+    .sort((a, b) => a.ts.localeCompare(b.ts));
+
+  return { base, overlays };
+}
+
+async function updateAssembly(fundId, fields) {
+  const names  = {};
+  const values = { ":u": new Date().toISOString() };
+  const sets   = ["updatedAt = :u"];
+
+  Object.entries(fields).forEach(([name, value], i) => {
+    names[`#f${i}`]  = name;
+    values[`:v${i}`] = value;
+    sets.push(`#f${i} = :v${i}`);
+  });
+
+  await ddb.send(new UpdateCommand({
+    TableName: DDB_TABLE,
+    Key: { fundId },
+    UpdateExpression: "SET " + sets.join(", "),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+}
+
+/**
+ * Re-check the fund's IC memo against the new assembled rules
+ * (shared/preTradeCheck.js). Best-effort — logged, never retried.
+ */
+async function checkPreTradeCompliance({ fundId, requestId }) {
+  try {
+    const verdict = await runPreTradeCheck(s3, { bucket: DOC_BUCKET, fundId });
+    if (!verdict) return;
+
+    const written = await recordComplianceVerdict(ddb, { table: DDB_TABLE, fundId, verdict });
+
+    log(verdict.blockingBreaches?.length ? "WARN" : "INFO", "Pre-trade compliance checked", {
+      requestId, fundId, written, outcome: verdict.outcome,
+      rulesResultId:    verdict.rulesSource?.resultId ?? null,
+      blockingBreaches: verdict.blockingBreaches?.map(b => b.rule_code) ?? [],
+      unresolvedFields: verdict.unresolvedFields?.map(f => f.field) ?? []
+    });
+  } catch (err) {
+    log("WARN", "Pre-trade compliance check failed", { requestId, fundId, error: err.message });
+  }
+}
+
+/* ---------------- CORE PROCESSING ---------------- */
+
+async function processRecord(record, requestId) {
+  const { fundId, triggeredBy } = JSON.parse(record.body || "{}");
+  if (!fundId) throw new Error("Missing fundId in assembly message");
+
+  log("INFO", "Fund assembly start", { requestId, fundId, triggeredBy });
+
+  // 1. Load fund record — bail out if more IMA / SideLetter OCR is still in flight.
+  // Whoever empties pendingAssemblyDocuments enqueues a fresh assembly message
+  // (shared/fundAssembly.js).
+  const { Item: fund } = await ddb.send(new GetCommand({ TableName: DDB_TABLE, Key: { fundId } }));
+  if (!fund) throw new Error(`Fund not found: ${fundId}`);
+
+  if (fund.pendingAssemblyDocuments?.size) {
+    log("INFO", "OCR still pending — skipping assembly", {
+      requestId, fundId, pending: [...fund.pendingAssemblyDocuments]
+    });
+    return;
+  }
+
+  const { base, overlays } = selectAssemblyDocuments([...(fund.assemblyOcrKeys || [])]);
+  if (!base) {
+    log("INFO", "No IMA OCR available — skipping assembly", { requestId, fundId });
+    return;
+  }
+
+  await updateAssembly(fundId, { assemblyStatus: "ASSEMBLING" });
+
+  // 2. Load OCR text for every document + the catalogued assembly prompt, schema
+  //    and rule field dictionary
+  const docs = [base, ...overlays];
+  const promptUri = assetUri(ASSETS_BUCKET, FUND_ASSEMBLY.promptKey);
+  const schemaUri = assetUri(ASSETS_BUCKET, FUND_ASSEMBLY.schemaKey);
+  const readAsset = (key) => readS3Text(ASSETS_BUCKET, key);
+  const catalog   = parseCatalog(await readAsset(CATALOG_KEY));
+
+  const [promptAsset, schemaAsset, dictionaryAsset, ...texts] = await Promise.all([
+    loadCatalogedAsset(catalog, FUND_ASSEMBLY.promptKey, ASSET_KINDS.PROMPT, readAsset),
+    loadCatalogedAsset(catalog, FUND_ASSEMBLY.schemaKey, ASSET_KINDS.SCHEMA, readAsset),
+    loadCatalogedAsset(catalog, RULE_FIELD_DICTIONARY_KEY, ASSET_KINDS.DICTIONARY, readAsset),
+    ...docs.map(d => readS3Text(DOC_BUCKET, d.key))
+  ]);
+  const fieldDictionary = parseFieldDictionary(dictionaryAsset.text);
+  const prompt = `${promptAsset.text}\n\n${formatFieldDictionary(fieldDictionary)}`;
+  const schema = schemaAsset.text;
+
+  const documentBlocks = docs.map((d, i) => {
+    const type = d.role === ASSEMBLY_ROLES.BASE ? "IMA" : "SIDE_LETTER";
+    return `=== DOCUMENT ${i + 1} | type=${type} | file=${d.fileName} ===\n${texts[i]}`;
+  });
+
+  // 3. Call Bedrock
+  const userPrompt =
+    `JSON Schema (must conform exactly):\n${schema}\n\n` +
+    `Documents (${PAGE_MARKER_HINT} Page numbers restart in every document.):\n` +
+    `${documentBlocks.join("\n\n")}\n\n${prompt}`;
+
+  log("INFO", "Sending to Bedrock", {
+    requestId, fundId, promptUri, schemaUri,
+    promptVersion: promptAsset.ref.version, schemaVersion: schemaAsset.ref.version,
+    base: base.fileName, overlays: overlays.map(o => o.fileName)
+  });
+
+  const result = await converseForJson({
+    bedrock,
+    modelId: MODEL_ID,
+    userPrompt,
+    validate: ajv.compile(JSON.parse(schema)),
+    inferenceConfig: BEDROCK_INFERENCE,
+    maxRepairAttempts: MAX_REPAIR_ATTEMPTS,
+    log,
+    logMeta: { requestId, fundId }
+  });
+
+  const provenance = buildProvenance({
+    prompt:          promptAsset.ref,
+    schema:          schemaAsset.ref,
+    fieldDictionary: dictionaryAsset.ref,
+    modelId:         MODEL_ID,
+    inferenceConfig: BEDROCK_INFERENCE,
+    usage:           result.usage,
+    attempts:        result.attempts
+  });
+
+  // 4. Still invalid after repairs — terminal for this assembly run
+  if (!result.ok) {
+    log("ERROR", "Schema validation failed after repair attempts", {
+      requestId, fundId, schemaUri, attempts: result.attempts, errors: result.errors
+    });
+    await updateAssembly(fundId, {
+      assemblyStatus: "VALIDATION_FAILED",
+      assemblyErrorReason: `Schema validation failed (${FUND_ASSEMBLY.schemaKey}) after ${result.attempts} attempt(s)`,
+      assemblyValidationErrors: result.errors.slice(0, 50),
+      assemblyProvenance:       provenance
+    });
+    return;
+  }
+
+  // 5. Map rule condition fields onto the rule field dictionary; rules it
+  //    cannot map move to rejected_rules (shared/ruleFields.js)
+  const { result: normalized, check: fieldCheck } = normalizeRuleFields(result.value, fieldDictionary);
+
+  const ruleFieldCheck = fieldCheck && {
+    dictionaryVersion: fieldCheck.dictionary.version,
+    checked:           fieldCheck.checked,
+    mapped:            fieldCheck.mapped.length,
+    rejected:          fieldCheck.rejected.length
+  };
+
+  if (fieldCheck) {
+    log(fieldCheck.rejected.length ? "WARN" : "INFO", "Rule field check complete", {
+      requestId, fundId, ...ruleFieldCheck, rejectedRules: fieldCheck.rejected.slice(0, 10)
+    });
+  }
+
+  // 6. Check every citation against the OCR text of the document named in
+  //    the clause's source_document (shared/pageCitations.js)
+  const documents = new Map(docs.map((d, i) => [d.fileName, parsePages(texts[i])]));
+  const { result: assembled, check: citations } = verifyCitations(normalized, { documents });
+
+  const { flagged, ...citationCheck } = citations;
+  const hasCitations = citations.checked > 0 || citations.sourcesChecked > 0;
+  if (hasCitations) {
+    log(flagged.length ? "WARN" : "INFO", "Citation check complete", {
+      requestId, fundId, ...citationCheck, sample: flagged.slice(0, 5)
+    });
+  }
+
+  // 7. Write consolidated result next to the per-document results, stamped with its provenance
+  // Pattern: <fundId>/assembled/<ts>.rules.json
+  const ts        = new Date().toISOString().replace(/[:.]/g, "-");
+  const outputKey = `${fundId}/assembled/${ts}.rules.json`;
+
+  await s3.send(new PutObjectCommand({
+    Bucket: DOC_BUCKET,
+    Key:    outputKey,
+    Body:   JSON.stringify({
+      ...assembled,
+      ...(fieldCheck   && { rule_field_check: fieldCheck }),
+      ...(hasCitations && { citation_check: citations }),
+      provenance
+    }, null, 2),
+    ContentType: "application/json"
+  }));
+
+  const resultPath = `s3://${DOC_BUCKET}/${outputKey}`;
+
+  log("INFO", "Assembled result written to S3", { requestId, fundId, resultPath });
+
+  // 8. Update DynamoDB
+  await updateAssembly(fundId, {
+    assemblyStatus:      "SUCCEEDED",
+    assembledResultPath: resultPath,
+    assembledSources:    docs.map(d => d.key),
+    assembledAt:         new Date().toISOString(),
+    assemblyProvenance:  provenance,
+    ...(ruleFieldCheck && { assemblyRuleFieldCheck: ruleFieldCheck }),
+    ...(hasCitations   && { assemblyCitationCheck: citationCheck })
+  });
+
+  // 9. Send to SuccessQueue
+  await sqsClient.send(new SendMessageCommand({
+    QueueUrl: SUCCESS_QUEUE_URL,
+    MessageBody: JSON.stringify({
+      fundId,
+      documentType: "assembled",
+      status:       "SUCCEEDED",
+      outputFiles:  [resultPath],
+      timestamp:    new Date().toISOString()
+    })
+  }));
+
+  log("INFO", "Fund assembly complete", { requestId, fundId, documents: docs.length });
+
+  // 10. Refresh the fund's pre-trade compliance verdict against the new rules
+  await checkPreTradeCompliance({ fundId, requestId });
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * FundAssemblerLambda
+ *
+ * Triggered by FundAssembleQueue. textractResultsWorkerLambda enqueues a
+ * { fundId } message once every IMA / SideLetter upload for the fund has
+ * finished OCR. Runs one Bedrock merge over the latest IMA plus all side
+ * letters and writes <fundId>/assembled/<ts>.rules.json with each rule
+ * attributed to its source document (BASELINE / OVERRIDE / ADDITION).
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "Batch start", { requestId, recordCount: event.Records?.length || 0 });
+
+  const batchItemFailures = [];
+
+  for (const record of (event.Records || [])) {
+    try {
+      await processRecord(record, requestId);
+    } catch (err) {
+      log("ERROR", "Record processing failed", {
+        requestId, messageId: record.messageId, error: err.message, stack: err.stack
+      });
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  log("INFO", "Batch complete", { requestId, failedCount: batchItemFailures.length });
+
+  return { batchItemFailures };
+};
@@ -6,8 +6,13 @@ import {
 } from "@aws-sdk/client-s3";
 import { TextractClient, DetectDocumentTextCommand } from "@aws-sdk/client-textract";
 import { BedrockRuntimeClient, ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
-import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import Ajv from "ajv";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
+import { checkFieldProvenance } from "./shared/icMemoProvenance.js";
+import { formatPages } from "./shared/pageCitations.js";
+import { isTransientError, withRetry } from "./shared/retry.js";
 
 const region = process.env.AWS_REGION;
 
@@ -15,6 +20,7 @@ const s3 = new S3Client({ region });
 const textract = new TextractClient({ region });
 const bedrock = new BedrockRuntimeClient({ region });
 const dynamo = new DynamoDBClient({ region });
+const ddb = DynamoDBDocumentClient.from(dynamo);
 
 const TABLE = process.env.DDB_TABLE;
 
@@ -27,6 +33,10 @@ const PROMPT_KEY = process.env.PROMPT_KEY;      // e.g. "assets/prompts/ic-memo-
 const SCHEMA_KEY = process.env.SCHEMA_KEY;      // e.g. "assets/prompts/ic-memo-schema.json"
 const MODEL_ID   = process.env.BEDROCK_MODEL_ID;
 
+// Logger for withRetry (one line per retried Textract / Bedrock call)
+const logRetry = (level, message, meta) =>
+  console.warn(JSON.stringify({ level, stage: "TRANSIENT_RETRY", message, ...meta }));
+
 // Stream -> string helper
 const streamToString = async (stream) =>
   new Promise((resolve, reject) => {
@@ -61,8 +71,10 @@ const streamToString = async (stream) =>
  */
 
 /**
- * Process IC Memo document (Textract + Bedrock + AJV validation).
- * Returns the extracted JSON object (already schema-validated).
+ * Process IC Memo document (Textract + Bedrock + AJV validation + field
+ * provenance check). Returns { extracted, fieldProvenanceCheck } — extracted is
+ * the schema-validated JSON with placeholders cleared; fieldProvenanceCheck is
+ * the check's counts (undefined for an icmemo-v1 result).
  */
 const processICMemo = async ({
   fundId,
@@ -130,16 +142,26 @@ const processICMemo = async ({
   // Textract
   console.log(JSON.stringify({ level: "INFO", requestId, fundId, stage: "TEXTRACT_START" }));
 
-  const textractResult = await textract.send(new DetectDocumentTextCommand({
+  const textractResult = await withRetry(() => textract.send(new DetectDocumentTextCommand({
     Document: { Bytes: pdfBytes }
-  }));
-
-  const memoText = (textractResult.Blocks || [])
-    .filter(b => b.BlockType === "LINE")
-    .map(b => b.Text || "")
+  })), { label: "DetectDocumentText", log: logRetry, logMeta: { requestId, fundId } });
+
+  // LINE text grouped by page, with a "--- Page N ---" marker before each page
+  // so fieldProvenance can cite real page numbers
+  const linesByPage = new Map();
+  for (const b of textractResult.Blocks || []) {
+    if (b.BlockType !== "LINE") continue;
+    const t = b.Text || "";
     // light noise trimming (optional, safe)
-    .filter(t => t && !t.toUpperCase().includes("WATERMARK"))
-    .join("\n");
+    if (!t || t.toUpperCase().includes("WATERMARK")) continue;
+    const page = b.Page || 1;
+    if (!linesByPage.has(page)) linesByPage.set(page, []);
+    linesByPage.get(page).push(t);
+  }
+  const pages = [...linesByPage.keys()]
+    .sort((a, b) => a - b)
+    .map(page => ({ page, text: linesByPage.get(page).join("\n") }));
+  const memoText = formatPages(pages);
 
   console.log(JSON.stringify({
     level: "INFO",
@@ -147,6 +169,7 @@ const processICMemo = async ({
     fundId,
     stage: "TEXTRACT_DONE",
     blockCount: textractResult.Blocks?.length || 0,
+    pageCount: pages.length,
     textChars: memoText.length
   }));
 
@@ -176,7 +199,9 @@ Now extract and return exactly one JSON object that conforms to the schema.
     }
   });
 
-  const response = await bedrock.send(converse);
+  const response = await withRetry(() => bedrock.send(converse), {
+    label: "Bedrock Converse", log: logRetry, logMeta: { requestId, fundId }
+  });
 
   const rawText = response.output?.message?.content?.[0]?.text || "";
 
@@ -206,6 +231,25 @@ Now extract and return exactly one JSON object that conforms to the schema.
     throw new Error(`Schema validation failed: ${JSON.stringify(validate.errors || [])}`);
   }
 
+  // Placeholders become null / NOT_FOUND and every fieldProvenance snippet is
+  // looked up in the OCR text (icmemo-v2 onwards)
+  const { result: checked, check } = checkFieldProvenance(extracted, pages);
+
+  let fieldProvenanceCheck;
+  if (check) {
+    const { flagged, ...counts } = check;
+    fieldProvenanceCheck = counts;
+
+    console.log(JSON.stringify({
+      level: flagged.length ? "WARN" : "INFO",
+      requestId,
+      fundId,
+      stage: "FIELD_PROVENANCE_CHECK",
+      ...fieldProvenanceCheck,
+      sample: flagged.slice(0, 10)
+    }));
+  }
+
   console.log(JSON.stringify({
     level: "INFO",
     requestId,
@@ -214,7 +258,7 @@ Now extract and return exactly one JSON object that conforms to the schema.
     durationMs: Date.now() - start
   }));
 
-  return extracted;
+  return { extracted: checked, fieldProvenanceCheck };
 };
 
 /**
@@ -327,45 +371,32 @@ const processOneMessage = async ({ message, requestId }) => {
     }
 
     // If different object arrives while processing, fail hard.
-    await dynamo.send(new UpdateItemCommand({
-      TableName: TABLE,
-      Key: { fundId: { S: fundId } },
-      UpdateExpression: "SET #s = :failed, updatedAt = :u, errorReason = :e",
-      ExpressionAttributeNames: { "#s": "status" },
-      ExpressionAttributeValues: {
-        ":failed": { S: "FAILED" },
-        ":u": { S: new Date().toISOString() },
-        ":e": { S: "Received a new document while processing another document" }
-      }
-    }));
+    await transitionFund(ddb, {
+      table: TABLE,
+      fundId,
+      to: FUND_STATUSES.FAILED,
+      set: { errorReason: "Received a new document while processing another document" },
+      actor: "fundDocumentProcessingWorker"
+    });
 
     throw new Error("Processing already in progress for a different document");
   }
 
-  // Move to PROCESSING with conditional gate to avoid races
+  // Move to PROCESSING through the fund lifecycle; the guarded transition
+  // (never PROCESSING → PROCESSING) is the gate against concurrent deliveries
   console.log(JSON.stringify({ level: "INFO", requestId, fundId, stage: "STATUS_TO_PROCESSING" }));
 
-  await dynamo.send(new UpdateItemCommand({
-    TableName: TABLE,
-    Key: { fundId: { S: fundId } },
-    UpdateExpression: "SET #s = :processing, updatedAt = :u, objectKey = :k, fileName = :f, documentType = :dt REMOVE errorReason",
-    ConditionExpression: "attribute_not_exists(#s) OR #s IN (:uploading, :failed, :created, :extracted)",
-    ExpressionAttributeNames: { "#s": "status" },
-    ExpressionAttributeValues: {
-      ":processing": { S: "PROCESSING" },
-      ":uploading": { S: "UPLOADING" },
-      ":failed": { S: "FAILED" },
-      ":created": { S: "CREATED" },
-      ":extracted": { S: "EXTRACTED" },
-      ":u": { S: new Date().toISOString() },
-      ":k": { S: objectKey },
-      ":f": { S: fileName },
-      ":dt": { S: documentType }
-    }
-  }));
+  await transitionFund(ddb, {
+    table: TABLE,
+    fundId,
+    to: FUND_STATUSES.PROCESSING,
+    set: { objectKey, fileName, documentType },
+    remove: ["errorReason"],
+    actor: "fundDocumentProcessingWorker"
+  });
 
   // Process IC Memo (Textract + Bedrock + schema validation)
-  const extracted = await processICMemo({
+  const { extracted, fieldProvenanceCheck } = await processICMemo({
     fundId,
     documentType,
     inputBucket,
@@ -383,7 +414,9 @@ const processOneMessage = async ({ message, requestId }) => {
     .replace(/[^\w.\-]/g, "");
 
   const ts = new Date().toISOString().replace(/[:.]/g, "-");
-  const resultKey = `${fundId}/${documentType}/${safeBaseName}.${ts}.json`;
+  // Same key shape as the Textract pipeline's results (shared/fundResults.js),
+  // so GET /funds/{fundId}/results lists it
+  const resultKey = `${fundId}/${documentType}/${safeBaseName}.${ts}.${documentType}.json`;
 
   console.log(JSON.stringify({
     level: "INFO",
@@ -414,20 +447,20 @@ const processOneMessage = async ({ message, requestId }) => {
   // Persist success to DynamoDB (store payload + where the output JSON was written)
   console.log(JSON.stringify({ level: "INFO", requestId, fundId, stage: "DDB_PERSIST_SUCCESS" }));
 
-  await dynamo.send(new UpdateItemCommand({
-    TableName: TABLE,
-    Key: { fundId: { S: fundId } },
-    UpdateExpression: "SET #s = :extracted, updatedAt = :u, extractedAt = :x, payload = :p, resultBucket = :rb, resultKey = :rk REMOVE errorReason",
-    ExpressionAttributeNames: { "#s": "status" },
-    ExpressionAttributeValues: {
-      ":extracted": { S: "EXTRACTED" },
-      ":u": { S: new Date().toISOString() },
-      ":x": { S: new Date().toISOString() },
-      ":p": { S: JSON.stringify(extracted) },
-      ":rb": { S: DOC_BUCKET },
-      ":rk": { S: resultKey }
-    }
-  }));
+  await transitionFund(ddb, {
+    table: TABLE,
+    fundId,
+    to: FUND_STATUSES.EXTRACTED,
+    set: {
+      extractedAt: new Date().toISOString(),
+      payload: JSON.stringify(extracted),
+      resultBucket: DOC_BUCKET,
+      resultKey,
+      fieldProvenanceCheck
+    },
+    remove: ["errorReason"],
+    actor: "fundDocumentProcessingWorker"
+  });
 };
 
 /**
@@ -477,6 +510,20 @@ export const handler = async (event, context) => {
     try {
       await processOneMessage({ message, requestId });
     } catch (err) {
+      // The fund moved on (e.g. another delivery is already processing it):
+      // nothing to mark FAILED and nothing a retry could fix
+      if (err.name === "IllegalTransitionError") {
+        console.warn(JSON.stringify({
+          level: "WARN",
+          requestId,
+          messageId,
+          stage: "ILLEGAL_TRANSITION_SKIP",
+          from: err.from,
+          to: err.to
+        }));
+        continue;
+      }
+
       console.error(JSON.stringify({
         level: "ERROR",
         requestId,
@@ -486,21 +533,20 @@ export const handler = async (event, context) => {
         stack: err.stack
       }));
 
-      // Best-effort mark FAILED if we have fundId (do not create new fund records here)
+      // Best-effort mark FAILED if we have fundId (do not create new fund records here).
+      // A throttle that outlasted withRetry is left to the SQS retry instead.
       const fundId = (typeof message.fundId === "string" && message.fundId.trim()) ? message.fundId.trim() : "";
-      if (fundId && TABLE) {
+      if (fundId && TABLE && !isTransientError(err)) {
         try {
-          await dynamo.send(new UpdateItemCommand({
-            TableName: TABLE,
-            Key: { fundId: { S: fundId } },
-            UpdateExpression: "SET #s = :failed, updatedAt = :u, errorReason = :e",
-            ExpressionAttributeNames: { "#s": "status" },
-            ExpressionAttributeValues: {
-              ":failed": { S: "FAILED" },
-              ":u": { S: new Date().toISOString() },
-              ":e": { S: err.message }
-            }
-          }));
+          await transitionFund(ddb, {
+            table: TABLE,
+            fundId,
+            to: FUND_STATUSES.FAILED,
+            set: { errorReason: err.message },
+            expected: { fundId },
+            actor: "fundDocumentProcessingWorker",
+            reason: "MESSAGE_FAILED"
+          });
         } catch (e2) {
           console.error(JSON.stringify({
             level: "ERROR",
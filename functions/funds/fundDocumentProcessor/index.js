@@ -16,14 +16,16 @@ import {
 } from "@aws-sdk/client-dynamodb";
 
 import {
-  DynamoDBDocumentClient,
-  UpdateCommand
+  DynamoDBDocumentClient
 } from "@aws-sdk/lib-dynamodb";
 import {
   SQSClient,
   SendMessageCommand
 } from "@aws-sdk/client-sqs";
 
+import { transitionFund } from "./shared/fundLifecycle.js";
+import { EVENT_STAGES, recordEvent } from "./shared/fundEvents.js";
+import { withRetry } from "./shared/retry.js";
 
 /* ---------------- CONFIG ---------------- */
 
@@ -42,6 +44,11 @@ const SUCCESS_QUEUE_URL = process.env.SUCCESS_QUEUE_URL;
 if (!SUCCESS_QUEUE_URL) {
   throw new Error("SUCCESS_QUEUE_URL environment variable is not set");
 }
+const FUND_EVENTS_TABLE = process.env.FUND_EVENTS_TABLE;
+
+if (!FUND_EVENTS_TABLE) {
+  throw new Error("FUND_EVENTS_TABLE environment variable is not set");
+}
 
 /* ---------------- CLIENTS ---------------- */
 
@@ -87,47 +94,21 @@ async function readS3Text(uri) {
   return await resp.Body.transformToString("utf-8");
 }
 
+// Guarded by the fund lifecycle: throws IllegalTransitionError when the fund
+// moved on (e.g. re-initiated) while this message was being processed.
 async function updateFundStatus({
   fundId,
   status,
   resultPath,
   errorMessage
 }) {
-  const now = new Date().toISOString();
-
-  const updateExp = [
-    "#s = :s",
-    "updatedAt = :u"
-  ];
-
-  const exprNames = {
-    "#s": "status"
-  };
-
-  const exprValues = {
-    ":s": status,
-    ":u": now
-  };
-
-  if (resultPath) {
-    updateExp.push("resultPath = :r");
-    exprValues[":r"] = resultPath;
-  }
-
-  if (errorMessage) {
-    updateExp.push("errorMessage = :e");
-    exprValues[":e"] = errorMessage;
-  }
-
-  await ddb.send(
-    new UpdateCommand({
-      TableName: DDB_TABLE_NAME,
-      Key: { fundId },
-      UpdateExpression: "SET " + updateExp.join(", "),
-      ExpressionAttributeNames: exprNames,
-      ExpressionAttributeValues: exprValues
-    })
-  );
+  await transitionFund(ddb, {
+    table: DDB_TABLE_NAME,
+    fundId,
+    to: status,
+    set: { resultPath, errorMessage },
+    actor: "fundDocumentProcessor"
+  });
 }
 
 async function sendSuccessMessage({
@@ -153,102 +134,77 @@ async function sendSuccessMessage({
 
 
 
-/* ---------------- HANDLER ---------------- */
+/* ---------------- FUND PROCESSING ---------------- */
 
-export const handler = async (event, context) => {
-  const requestId = context.awsRequestId;
-  log("DEBUG", "Raw SQS event received", {
-    requestId,
-    records: event.Records?.map(r => ({
-      messageId: r.messageId,
-      body: r.body
-    }))
-  });
-  const start = Date.now();
+// One ProcessingQueue message: Textract every input file, run the rules-engine
+// prompt through Bedrock, write the result and mark the fund SUCCEEDED.
+async function processFund({ record, prompt, requestId, startedAt }) {
+  const payload = JSON.parse(record.body || "{}");
 
-  if (!PROMPT_S3_URI) {
-    throw new Error("PROMPT_S3_URI environment variable is not set");
+  const {
+    fundId,
+    inputFiles,
+    schemaPath,
+    outputPath
+  } = payload;
+
+  if (
+    !fundId ||
+    !Array.isArray(inputFiles) ||
+    inputFiles.length === 0 ||
+    !schemaPath ||
+    !outputPath
+  ) {
+    throw new Error("Invalid SQS payload");
   }
 
-  log("INFO", "SQS invocation started", {
+  log("INFO", "Processing fund", {
     requestId,
-    recordCount: event.Records?.length
-  });
-
-  // Load prompt once per invocation (cached on warm starts)
-  const prompt = await readS3Text(PROMPT_S3_URI);
-  log("INFO", "Prompt loaded", {
-    requestId,
-    promptUri: PROMPT_S3_URI,
-    promptLength: prompt.length
+    fundId,
+    inputFilesCount: inputFiles.length
   });
-  for (const record of event.Records || []) {
-    const payload = JSON.parse(record.body || "{}");
-
-    const {
-      fundId,
-      inputFiles,
-      schemaPath,
-      outputPath
-    } = payload;
-
-    if (
-      !fundId ||
-      !Array.isArray(inputFiles) ||
-      inputFiles.length === 0 ||
-      !schemaPath ||
-      !outputPath
-    ) {
-      throw new Error("Invalid SQS payload");
-    }
-
-    log("INFO", "Processing fund", {
-      requestId,
-      fundId,
-      inputFilesCount: inputFiles.length
-    });
 
-    /* ---------------- TEXTRACT — extract text from each PDF ---------------- */
+  /* ---------------- TEXTRACT — extract text from each PDF ---------------- */
 
-    const extractedTexts = [];
+  const extractedTexts = [];
 
-    for (const fileUri of inputFiles) {
-      const { bucket: srcBucket, key: srcKey } = parseS3Uri(fileUri);
-      const fileName = srcKey.split("/").pop();
+  for (const fileUri of inputFiles) {
+    const { bucket: srcBucket, key: srcKey } = parseS3Uri(fileUri);
+    const fileName = srcKey.split("/").pop();
 
-      log("INFO", "Loading PDF for Textract", { requestId, fundId, fileUri });
+    log("INFO", "Loading PDF for Textract", { requestId, fundId, fileUri });
 
-      const pdfObj = await s3.send(new GetObjectCommand({ Bucket: srcBucket, Key: srcKey }));
-      const pdfBytes = Buffer.from(await pdfObj.Body.transformToByteArray());
+    const pdfObj = await s3.send(new GetObjectCommand({ Bucket: srcBucket, Key: srcKey }));
+    const pdfBytes = Buffer.from(await pdfObj.Body.transformToByteArray());
 
-      log("INFO", "Textract start", { requestId, fundId, fileName });
+    log("INFO", "Textract start", { requestId, fundId, fileName });
 
-      const textractResult = await textract.send(new DetectDocumentTextCommand({
-        Document: { Bytes: pdfBytes }
-      }));
+    const textractResult = await withRetry(() => textract.send(new DetectDocumentTextCommand({
+      Document: { Bytes: pdfBytes }
+    })), { label: "DetectDocumentText", log, logMeta: { requestId, fundId, fileName } });
 
-      const extracted = (textractResult.Blocks || [])
-        .filter(b => b.BlockType === "LINE")
-        .map(b => b.Text || "")
-        .filter(t => t)
-        .join("\n");
+    const extracted = (textractResult.Blocks || [])
+      .filter(b => b.BlockType === "LINE")
+      .map(b => b.Text || "")
+      .filter(t => t)
+      .join("\n");
 
-      log("INFO", "Textract done", {
-        requestId,
-        fundId,
-        fileName,
-        blockCount: textractResult.Blocks?.length || 0,
-        textChars: extracted.length
-      });
+    log("INFO", "Textract done", {
+      requestId,
+      fundId,
+      fileName,
+      blockCount: textractResult.Blocks?.length || 0,
+      textChars: extracted.length
+    });
 
-      extractedTexts.push(extracted);
-    }
+    extractedTexts.push(extracted);
+  }
 
-    /* ---------------- BEDROCK — send extracted text ---------------- */
+  /* ---------------- BEDROCK — send extracted text ---------------- */
 
-    const schema = await readS3Text(schemaPath);
+  const schema = await readS3Text(schemaPath);
 
-    const userPrompt = `
+  const userPrompt = `
 JSON Schema (must conform exactly):
 ${schema}
 
@@ -258,84 +214,156 @@ ${extractedTexts.join("\n\n---\n\n")}
 ${prompt}
 `;
 
-    log("INFO", "Sending to Bedrock", { requestId, fundId });
-
-    const bedrockStart = Date.now();
-    let resp;
-    try {
-      resp = await bedrock.send(new ConverseCommand({
-        modelId: MODEL_ID,
-        messages: [{ role: "user", content: [{ text: userPrompt }] }],
-        inferenceConfig: { maxTokens: 6000, temperature: 0.1, topP: 0.9 }
-      }));
-    } catch (err) {
-      log("ERROR", "Bedrock invocation failed", { requestId, fundId, error: err.message, stack: err.stack });
-      throw err;
-    }
+  log("INFO", "Sending to Bedrock", { requestId, fundId });
+
+  const bedrockStart = Date.now();
+  let resp;
+  try {
+    resp = await withRetry(() => bedrock.send(new ConverseCommand({
+      modelId: MODEL_ID,
+      messages: [{ role: "user", content: [{ text: userPrompt }] }],
+      inferenceConfig: { maxTokens: 6000, temperature: 0.1, topP: 0.9 }
+    })), { label: "Bedrock Converse", log, logMeta: { requestId, fundId } });
+  } catch (err) {
+    log("ERROR", "Bedrock invocation failed", { requestId, fundId, error: err.message, stack: err.stack });
+    throw err;
+  }
 
-    log("INFO", "Bedrock response received", { requestId, fundId, durationMs: Date.now() - bedrockStart });
+  log("INFO", "Bedrock response received", { requestId, fundId, durationMs: Date.now() - bedrockStart });
 
-    const finalOutput =
-      resp?.output?.message?.content
-        ?.filter(c => c?.text)
-        .map(c => c.text)
-        .join("\n\n") || "";
+  const finalOutput =
+    resp?.output?.message?.content
+      ?.filter(c => c?.text)
+      .map(c => c.text)
+      .join("\n\n") || "";
 
-    log("INFO", "Bedrock processing complete", {
-      requestId,
-      fundId,
-      length: finalOutput.length
-    });
+  log("INFO", "Bedrock processing complete", {
+    requestId,
+    fundId,
+    length: finalOutput.length
+  });
 
-    /* ---------------- WRITE RESULT TO S3 ---------------- */
+  /* ---------------- WRITE RESULT TO S3 ---------------- */
 
-    const { bucket } = parseS3Uri(outputPath);
-    const safeBaseName = (inputFiles[0]?.split("/").pop() || "document").replace(/\s+/g, "_");
-    const ts = new Date().toISOString().replace(/[:.]/g, "-");
-    const outputKey = `${fundId}/ima/${safeBaseName}.${ts}.ima.json`;
+  const { bucket } = parseS3Uri(outputPath);
+  const safeBaseName = (inputFiles[0]?.split("/").pop() || "document").replace(/\s+/g, "_");
+  const ts = new Date().toISOString().replace(/[:.]/g, "-");
+  const outputKey = `${fundId}/ima/${safeBaseName}.${ts}.ima.json`;
 
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: bucket,
-        Key: outputKey,
-        Body: finalOutput,
-        ContentType: "application/json"
-      })
-    );
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: outputKey,
+      Body: finalOutput,
+      ContentType: "application/json"
+    })
+  );
 
-    log("INFO", "Final JSON written to S3", {
-      requestId,
-      fundId,
-      location: `s3://${bucket}/${outputKey}`,
-      durationMs: Date.now() - start
-    });
+  log("INFO", "Final JSON written to S3", {
+    requestId,
+    fundId,
+    location: `s3://${bucket}/${outputKey}`,
+    durationMs: Date.now() - start
+  });
+  try {
     await updateFundStatus({
       fundId,
       status: "SUCCEEDED",
       resultPath: `s3://${bucket}/${outputKey}`
     });
+  } catch (err) {
+    if (err.name !== "IllegalTransitionError") throw err;
 
-    log("INFO", "DynamoDB status updated", {
+    // Stale result for a fund that has been re-initiated or re-uploaded since
+    log("WARN", "Fund moved on — result not recorded", {
       requestId,
       fundId,
-      status: "SUCCEEDED"
+      status: err.from,
+      location: `s3://${bucket}/${outputKey}`
     });
-    const outputFilePath = `s3://${bucket}/${outputKey}`;
+    return;
+  }
 
-    await sendSuccessMessage({
-      fundId,
-      inputFiles,                // already full s3:// paths
-      outputFiles: [outputFilePath]
-    });
+  log("INFO", "DynamoDB status updated", {
+    requestId,
+    fundId,
+    status: "SUCCEEDED"
+  });
+  const outputFilePath = `s3://${bucket}/${outputKey}`;
 
-    log("INFO", "Success message sent to SQS", {
-      requestId,
-      fundId,
-      inputFilesCount: inputFiles.length,
-      outputFilesCount: 1
-    });
+  await sendSuccessMessage({
+    fundId,
+    inputFiles,                // already full s3:// paths
+    outputFiles: [outputFilePath]
+  });
+
+  log("INFO", "Success message sent to SQS", {
+    requestId,
+    fundId,
+    inputFilesCount: inputFiles.length,
+    outputFilesCount: 1
+  });
+
+  await recordEvent(ddb, {
+    table: FUND_EVENTS_TABLE,
+    fundId,
+    stage: EVENT_STAGES.RULES_ENGINE,
+    status: "SUCCEEDED",
+    durationMs: Date.now() - startedAt,
+    requestId,
+    detail: { inputFilesCount: inputFiles.length, resultPath: outputFilePath }
+  });
+}
+
+/* ---------------- HANDLER ---------------- */
+
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+  log("DEBUG", "Raw SQS event received", {
+    requestId,
+    records: event.Records?.map(r => ({
+      messageId: r.messageId,
+      body: r.body
+    }))
+  });
+
+  if (!PROMPT_S3_URI) {
+    throw new Error("PROMPT_S3_URI environment variable is not set");
+  }
+
+  log("INFO", "SQS invocation started", {
+    requestId,
+    recordCount: event.Records?.length
+  });
 
+  // Load prompt once per invocation (cached on warm starts)
+  const prompt = await readS3Text(PROMPT_S3_URI);
+  log("INFO", "Prompt loaded", {
+    requestId,
+    promptUri: PROMPT_S3_URI,
+    promptLength: prompt.length
+  });
+  for (const record of event.Records || []) {
+    const startedAt = Date.now();
 
+    try {
+      await processFund({ record, prompt, requestId, startedAt });
+    } catch (err) {
+      // The message is retried by SQS; the timeline shows each failed attempt
+      const { fundId } = JSON.parse(record.body || "{}");
+      if (fundId) {
+        await recordEvent(ddb, {
+          table: FUND_EVENTS_TABLE,
+          fundId,
+          stage: EVENT_STAGES.RULES_ENGINE,
+          status: "ERROR",
+          durationMs: Date.now() - startedAt,
+          requestId,
+          error: err.message
+        });
+      }
+      throw err;
+    }
   }
 
 
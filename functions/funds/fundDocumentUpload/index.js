@@ -1,6 +1,7 @@
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, PutCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
 
 const s3 = new S3Client({});
 
@@ -51,7 +52,6 @@ export const handler = async (event, context) => {
         }
     }));
     const { fundId, documents } = body;
-    const nowIso = new Date().toISOString();
 
     // example: keep records 7 days
     const ttlSeconds = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
@@ -125,34 +125,46 @@ export const handler = async (event, context) => {
         };
     }
 
-    const item = {
-        fundId,
-
-        status: "UPLOADED",
-
-        inputFiles: documents.map(doc =>
-            `s3://${bucketName}/${fundId}/files/${doc.fileName}`
-        ),
-        schemaPath: `s3://${bucketName}/assets/RulesEngineJSONSchema.txt`,
-        resultPath: `s3://${bucketName}/${fundId}/results/rules-engine.json`,
-
-        createdAt: nowIso,
-        updatedAt: nowIso,
-
-        // ttl: ttlSeconds
-    };
-    await dynamo.send(
-        new PutCommand({
-            TableName: tableName,
-            Item: item
-        })
-    );
+    // Guarded transition: a fund that is already processing (or a late retry
+    // of this request) does not get its status reset to UPLOADED
+    let fund;
+    try {
+        fund = await transitionFund(dynamo, {
+            table: tableName,
+            fundId,
+            to: FUND_STATUSES.UPLOADED,
+            set: {
+                inputFiles: documents.map(doc =>
+                    `s3://${bucketName}/${fundId}/files/${doc.fileName}`
+                ),
+                schemaPath: `s3://${bucketName}/assets/RulesEngineJSONSchema.txt`,
+                resultPath: `s3://${bucketName}/${fundId}/results/rules-engine.json`
+            },
+            actor: "fundDocumentUpload"
+        });
+    } catch (err) {
+        if (err.name !== "IllegalTransitionError") throw err;
+
+        console.warn(JSON.stringify({
+            level: "WARN",
+            stage: "ILLEGAL_TRANSITION",
+            requestId,
+            fundId,
+            from: err.from,
+            to: err.to
+        }));
+        return {
+            statusCode: 409,
+            headers: CORS_HEADERS,
+            body: JSON.stringify({ error: `Fund ${fundId} is ${err.from} and cannot accept an upload` })
+        };
+    }
     console.log(JSON.stringify({
         level: "INFO",
-        stage: "DYNAMODB_PUT",
+        stage: "DYNAMODB_UPDATE",
         requestId,
         fundId,
-        status: item.status
+        status: fund.status
     }));
 
 
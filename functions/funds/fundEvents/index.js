@@ -0,0 +1,103 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { listEvents } from "./shared/fundEvents.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION            = process.env.AWS_REGION || "us-east-1";
+const TABLE             = process.env.DDB_TABLE;
+const FUND_EVENTS_TABLE = process.env.FUND_EVENTS_TABLE;
+
+if (!TABLE)             throw new Error("DDB_TABLE env var is not set");
+if (!FUND_EVENTS_TABLE) throw new Error("FUND_EVENTS_TABLE env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+
+/* ---------------- CONSTANTS ---------------- */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT     = 500;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/** base64 lastKey (same convention as GET /funds) → ExclusiveStartKey, or null if malformed. */
+function decodeLastKey(lastKey) {
+  try {
+    const key = JSON.parse(Buffer.from(lastKey, "base64").toString("utf-8"));
+    return key && typeof key === "object" ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * GET /funds/{fundId}/events?limit=100&lastKey=...
+ *
+ * The fund's pipeline timeline (shared/fundEvents.js), oldest first: one event
+ * per stage run by s3UploadTrigger, textractStarterLambda,
+ * textractResultsWorkerLambda and fundDocumentProcessor —
+ *   { eventId, at, stage, status, durationMs, requestId, documentId?, error?, detail? }
+ *
+ * Response: { fundId, status, events, lastKey } — status is the fund's current
+ * status; pass lastKey back for the next page (null on the last one).
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundEvents invoked", { requestId });
+
+  try {
+    const rawFundId = event?.pathParameters?.fundId;
+    if (!rawFundId) return jsonResponse(400, { error: "Missing fundId" });
+    const fundId = decodeURIComponent(rawFundId);
+
+    const query = event.queryStringParameters || {};
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return jsonResponse(400, { error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    let startKey;
+    if (query.lastKey) {
+      startKey = decodeLastKey(query.lastKey);
+      if (startKey?.fundId !== fundId) return jsonResponse(400, { error: "Invalid lastKey" });
+    }
+
+    const { Item: fund } = await ddb.send(new GetCommand({ TableName: TABLE, Key: { fundId } }));
+    if (!fund) return jsonResponse(404, { error: "Fund not found" });
+
+    const { events, lastKey } = await listEvents(ddb, { table: FUND_EVENTS_TABLE, fundId, limit, startKey });
+
+    log("INFO", "Fund events retrieved", { requestId, fundId, count: events.length, hasMore: !!lastKey });
+
+    return jsonResponse(200, {
+      fundId,
+      status: fund.status || null,
+      events,
+      lastKey: lastKey ? Buffer.from(JSON.stringify(lastKey)).toString("base64") : null
+    });
+
+  } catch (err) {
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+};
@@ -1,6 +1,8 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
 import crypto from "crypto";
+import { listDocuments } from "./shared/fundDocuments.js";
+import { fundResultId, resultIdForPath } from "./shared/fundResults.js";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -40,10 +42,12 @@ export const handler = async (event) => {
       return response(400, { error: "Missing fundId" });
     }
 
-    const TABLE = process.env.DYNAMODB_TABLE;
+    const TABLE           = process.env.DYNAMODB_TABLE;
+    const DOCUMENTS_TABLE = process.env.DOCUMENTS_TABLE;
+    const DOC_BUCKET      = process.env.DOC_BUCKET;
 
-    if (!TABLE) {
-      log("ERROR", "DYNAMODB_TABLE not configured", { requestId });
+    if (!TABLE || !DOCUMENTS_TABLE || !DOC_BUCKET) {
+      log("ERROR", "DYNAMODB_TABLE / DOCUMENTS_TABLE / DOC_BUCKET not configured", { requestId });
       return response(500, { error: "Server misconfiguration" });
     }
 
@@ -59,14 +63,31 @@ export const handler = async (event) => {
       return response(404, { error: "Fund not found" });
     }
 
+    const documents = await listDocuments(ddb, { table: DOCUMENTS_TABLE, fundId });
+
     log("INFO", "Fund retrieved", {
       fundId,
       status: result.Item.status,
+      documentCount: documents.length,
       requestId
     });
 
-    // Return entire object exactly as stored
-    return response(200, result.Item);
+    // Return the fund as stored, plus its documents (each with its own status
+    // and errors). Raw S3 result paths (and the legacy IC memo flows'
+    // resultBucket + resultKey) are swapped for resultIds, which
+    // GET /funds/{fundId}/results/{resultId} resolves.
+    const { resultPath, assembledResultPath, resultBucket, resultKey, ...fund } = result.Item;
+
+    return response(200, {
+      ...fund,
+      ...(resultPath          && { resultId:          resultIdForPath(fund.fundId, resultPath, DOC_BUCKET) }),
+      ...(resultKey           && { resultId:          fundResultId(result.Item, DOC_BUCKET) }),
+      ...(assembledResultPath && { assembledResultId: resultIdForPath(fund.fundId, assembledResultPath, DOC_BUCKET) }),
+      documents: documents.map(({ resultPath, ...d }) => ({
+        ...d,
+        resultId: resultIdForPath(fund.fundId, resultPath, DOC_BUCKET)
+      }))
+    });
 
   } catch (err) {
     log("ERROR", "Unhandled exception", {
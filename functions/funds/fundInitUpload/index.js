@@ -8,7 +8,8 @@ import {
 
 import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
 
 /* ------------ CONFIG ------------ */
 
@@ -114,49 +115,37 @@ async function putMarker(prefix) {
     }));
 }
 
+/**
+ * (Re)initialise the fund record as INITIATED. Only legal for a new fund or
+ * one that is not mid-upload / mid-processing (shared/fundLifecycle.js);
+ * throws IllegalTransitionError otherwise.
+ */
 async function upsertFundRecord({ fundId, uploadPrefixKey, resultsPrefixKey }) {
-    const nowIso = new Date().toISOString();
-
-    const exprNames = { "#s": "status" };
-    const exprValues = {
-        ":status": "INITIATED",
-        ":updatedAt": nowIso,
-        ":createdAt": nowIso,
-        ":uploadPrefix": `s3://${DOCUMENTS_BUCKET}/${uploadPrefixKey}`,
-        ":resultPrefix": `s3://${DOCUMENTS_BUCKET}/${resultsPrefixKey}`,
-        ":schemaPath": `s3://${ASSETS_BUCKET}/assets/RulesEngineJSONSchema.txt`
+    const set = {
+        uploadPrefix: `s3://${DOCUMENTS_BUCKET}/${uploadPrefixKey}`,
+        resultPrefix: `s3://${DOCUMENTS_BUCKET}/${resultsPrefixKey}`,
+        schemaPath: `s3://${ASSETS_BUCKET}/assets/RulesEngineJSONSchema.txt`
     };
 
-    const sets = [
-        "#s = :status",
-        "updatedAt = :updatedAt",
-        "uploadPrefix = :uploadPrefix",
-        "resultPrefix = :resultPrefix",
-        "schemaPath = :schemaPath",
-        "createdAt = if_not_exists(createdAt, :createdAt)"
-    ];
-
     // Optional TTL
     const ttlDays = process.env.RECORD_TTL_DAYS ? Number(process.env.RECORD_TTL_DAYS) : null;
     if (ttlDays && Number.isFinite(ttlDays) && ttlDays > 0) {
-        const ttl = Math.floor(Date.now() / 1000) + ttlDays * 24 * 60 * 60;
-        exprValues[":ttl"] = ttl;
-        sets.push("ttl = :ttl");
+        set.ttl = Math.floor(Date.now() / 1000) + ttlDays * 24 * 60 * 60;
     }
 
-    await ddb.send(new UpdateCommand({
-        TableName: DDB_TABLE_NAME,
-        Key: { fundId },
-        UpdateExpression: "SET " + sets.join(", "),
-        ExpressionAttributeNames: exprNames,
-        ExpressionAttributeValues: exprValues
-    }));
+    await transitionFund(ddb, {
+        table: DDB_TABLE_NAME,
+        fundId,
+        to: FUND_STATUSES.INITIATED,
+        set,
+        actor: "fundInitUpload"
+    });
 
     return {
         fundId,
-        status: "INITIATED",
-        uploadPrefix: exprValues[":uploadPrefix"],
-        resultPrefix: exprValues[":resultPrefix"]
+        status: FUND_STATUSES.INITIATED,
+        uploadPrefix: set.uploadPrefix,
+        resultPrefix: set.resultPrefix
     };
 }
 
@@ -192,6 +181,36 @@ export const handler = async (event, context) => {
             filesPrefix
         });
 
+        //
+        // Move the fund to INITIATED first, so a fund that is mid-upload or
+        // mid-processing keeps its files
+        //
+        let record;
+        try {
+            record = await upsertFundRecord({
+                fundId,
+                uploadPrefixKey: `${fundId}/files/`,
+                resultsPrefixKey: `${fundId}/results/`
+            });
+        } catch (err) {
+            if (err.name !== "IllegalTransitionError") throw err;
+
+            log("WARN", "Fund cannot be re-initiated", { requestId, fundId, status: err.from });
+            return {
+                statusCode: 409,
+                headers: CORS,
+                body: JSON.stringify({ error: `Fund ${fundId} is ${err.from} and cannot be re-initiated` })
+            };
+        }
+
+        log("INFO", "DynamoDB upsert complete", {
+            requestId,
+            fundId,
+            status: record.status,
+            uploadPrefix: record.uploadPrefix,
+            resultPrefix: record.resultPrefix
+        });
+
         //
         // Create markers if first time
         //
@@ -212,19 +231,6 @@ export const handler = async (event, context) => {
                 moved
             });
         }
-        const record = await upsertFundRecord({
-            fundId,
-            uploadPrefixKey: `${fundId}/files/`,
-            resultsPrefixKey: `${fundId}/results/`
-        });
-
-        log("INFO", "DynamoDB upsert complete", {
-            requestId,
-            fundId,
-            status: record.status,
-            uploadPrefix: record.uploadPrefix,
-            resultPrefix: record.resultPrefix
-        });
 
         //
         // Create presigned POST allowing uploads to fundId/files/*
@@ -1,112 +1,401 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  QueryCommand,
-  ScanCommand
-} from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { SecretsManagerClient, GetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import { decodeCursor, encodeCursor, queryFingerprint } from "./shared/cursors.js";
+import { listDocumentTypeIds } from "./shared/documentTypes.js";
+import { FUND_STATUSES } from "./shared/fundLifecycle.js";
+import { normalizeFundName } from "./shared/fundNames.js";
 
-/* ---------- CONFIG ---------- */
+/* ---------------- CONFIG ---------------- */
 
-const REGION = process.env.AWS_REGION || "us-east-1";
-const TABLE_NAME = process.env.DDB_TABLE_NAME;
-const STATUS_INDEX = "status-index";
+const REGION            = process.env.AWS_REGION || "us-east-1";
+const TABLE             = process.env.DDB_TABLE;
+const CURSOR_SECRET_ARN = process.env.CURSOR_SIGNING_SECRET_ARN;
 
-/* ---------- CLIENT ---------- */
+if (!TABLE)             throw new Error("DDB_TABLE env var is not set");
+if (!CURSOR_SECRET_ARN) throw new Error("CURSOR_SIGNING_SECRET_ARN env var is not set");
 
-const ddb = DynamoDBDocumentClient.from(
-  new DynamoDBClient({ region: REGION })
-);
+/* ---------------- CLIENTS ---------------- */
 
-/* ---------- CORS ---------- */
+const ddb     = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const secrets = new SecretsManagerClient({ region: REGION });
+
+// Read once per container, during the init phase, so the key never sits in
+// the function configuration
+const { SecretString: CURSOR_KEY } = await secrets.send(new GetSecretValueCommand({ SecretId: CURSOR_SECRET_ARN }));
+if (!CURSOR_KEY) throw new Error("Cursor signing secret has no SecretString");
+
+/* ---------------- CONSTANTS ---------------- */
+
+// FundsTable GSI: PK status, SK updatedAt
+const STATUS_INDEX = "status-updatedAt-index";
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT     = 100;
+
+// Bounds the work done per status per request when filters discard most of
+// what is read; the page then ends early and the cursor resumes from there.
+const QUERY_PAGE_SIZE      = 100;
+const MAX_PAGES_PER_STATUS = 5;
+
+const SOURCES = ["S3_TRIGGER", "REST_API", "EXTERNAL_API"];
+const ORDERS  = ["desc", "asc"];
+
+// Returned per fund; GET /funds/{fundId} has the full record
+const SUMMARY_ATTRIBUTES = [
+  "fundId", "fundName", "status", "source", "documentTypes", "documentCounts", "createdAt", "updatedAt"
+];
+
+// Deprecated lastKey pagination (unsigned base64 JSON) — accepted alongside
+// cursor for one release, then removed. Attributes a lastKey may carry: the
+// old endpoint's LastEvaluatedKey ({ fundId } or { fundId, status }), or the
+// { fundId, updatedAt } position this endpoint returns.
+const LAST_KEY_ATTRIBUTES = new Set(["fundId", "status", "updatedAt"]);
+
+// Cursor fundId that sorts after / before every real fundId, so a cursor
+// placed on a bare updatedAt keeps all funds sharing that timestamp
+const FUND_ID_MAX = "\uffff";
+const FUND_ID_MIN = "";
 
 const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Origin":  "*",
   "Access-Control-Allow-Methods": "*",
   "Access-Control-Allow-Headers": "*"
 };
 
-/* ---------- HANDLER ---------- */
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
 
-export const handler = async (event, context) => {
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
 
-  const requestId = context.awsRequestId;
+class BadRequestError extends Error {}
 
-  const limit = Number(event.queryStringParameters?.limit || 20);
-  const status = event.queryStringParameters?.status;
+/* ---------------- HELPERS ---------------- */
 
-  const lastKeyParam = event.queryStringParameters?.lastKey;
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
 
-  const lastKey = lastKeyParam
-    ? JSON.parse(Buffer.from(lastKeyParam, "base64").toString())
-    : undefined;
+/** Sort order of the listing: updatedAt, then fundId to break ties. */
+const compareFunds = (order) => (a, b) => {
+  const c = compare(a.updatedAt, b.updatedAt) || compare(a.fundId, b.fundId);
+  return order === "asc" ? c : -c;
+};
 
-  console.log(JSON.stringify({
-    level: "INFO",
-    message: "Status request received",
-    requestId,
-    limit,
-    status,
-    hasLastKey: !!lastKey
-  }));
+/** Whether a fund comes after the cursor position { u, f } in the listing order. */
+const isAfter = (item, { u, f }, order) => compareFunds(order)({ updatedAt: u, fundId: f }, item) < 0;
 
-  let resp;
+/** ISO timestamp query parameter → normalized ISO string (undefined if absent). */
+function parseTimestamp(query, name) {
+  const raw = query[name];
+  if (raw === undefined) return undefined;
+  const ms = Date.parse(raw);
+  if (Number.isNaN(ms)) throw new BadRequestError(`${name} must be an ISO 8601 timestamp`);
+  return new Date(ms).toISOString();
+}
 
-  try {
+/** Query string → validated filters. Throws BadRequestError. */
+function parseFilters(query) {
+  const statuses = query.status
+    ? [...new Set(query.status.split(",").map(s => s.trim().toUpperCase()).filter(Boolean))].sort()
+    : Object.values(FUND_STATUSES).sort();
+  const unknown = statuses.filter(s => !FUND_STATUSES[s]);
+  if (!statuses.length || unknown.length) {
+    throw new BadRequestError(`status must be one or more of: ${Object.values(FUND_STATUSES).join(", ")}`);
+  }
 
-    if (status) {
-
-      resp = await ddb.send(new QueryCommand({
-        TableName: TABLE_NAME,
-        IndexName: STATUS_INDEX,
-        KeyConditionExpression: "#s = :s",
-        ExpressionAttributeNames: {
-          "#s": "status"
-        },
-        ExpressionAttributeValues: {
-          ":s": status
-        },
-        Limit: limit,
-        ExclusiveStartKey: lastKey,
-        ScanIndexForward: false
-      }));
-
-    } else {
-
-      resp = await ddb.send(new ScanCommand({
-        TableName: TABLE_NAME,
-        Limit: limit,
-        ExclusiveStartKey: lastKey
-      }));
+  const documentType = query.documentType || null;
+  if (documentType && !listDocumentTypeIds().includes(documentType)) {
+    throw new BadRequestError(`documentType must be one of: ${listDocumentTypeIds().join(", ")}`);
+  }
 
-    }
+  const source = query.source ? query.source.toUpperCase() : null;
+  if (source && !SOURCES.includes(source)) {
+    throw new BadRequestError(`source must be one of: ${SOURCES.join(", ")}`);
+  }
 
-  } catch (err) {
+  const order = (query.order || "desc").toLowerCase();
+  if (!ORDERS.includes(order)) throw new BadRequestError(`order must be one of: ${ORDERS.join(", ")}`);
 
-    console.error(JSON.stringify({
-      level: "ERROR",
-      message: "DynamoDB query failed",
-      requestId,
-      error: err.message,
-      stack: err.stack
-    }));
+  let namePrefix = null;
+  if (query.namePrefix !== undefined) {
+    namePrefix = normalizeFundName(query.namePrefix);
+    if (!namePrefix) throw new BadRequestError("namePrefix has no searchable words");
+  }
 
-    return {
-      statusCode: 500,
-      headers: CORS_HEADERS,
-      body: JSON.stringify({
-        error: "Failed to fetch fund status"
-      })
-    };
+  const filters = {
+    statuses,
+    documentType,
+    source,
+    namePrefix,
+    createdFrom: parseTimestamp(query, "createdFrom") ?? null,
+    createdTo:   parseTimestamp(query, "createdTo")   ?? null,
+    updatedFrom: parseTimestamp(query, "updatedFrom") ?? null,
+    updatedTo:   parseTimestamp(query, "updatedTo")   ?? null,
+    order
+  };
+
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom > filters.createdTo) {
+    throw new BadRequestError("createdFrom must not be after createdTo");
+  }
+  if (filters.updatedFrom && filters.updatedTo && filters.updatedFrom > filters.updatedTo) {
+    throw new BadRequestError("updatedFrom must not be after updatedTo");
+  }
+
+  return filters;
+}
+
+/**
+ * Query parameters shared by every status partition: the updatedAt range
+ * (narrowed by the cursor) goes in the key condition, everything else in the
+ * filter expression. Returns null when the range is empty.
+ */
+function buildQuery(filters, cursor) {
+  let lower = filters.updatedFrom;
+  let upper = filters.updatedTo;
+  if (cursor && filters.order === "desc" && (!upper || cursor.u < upper)) upper = cursor.u;
+  if (cursor && filters.order === "asc"  && (!lower || cursor.u > lower)) lower = cursor.u;
+  if (lower && upper && lower > upper) return null;
+
+  const names  = { "#s": "status" };
+  const values = {};
+
+  let keyCondition = "#s = :s";
+  if (lower && upper) {
+    keyCondition += " AND updatedAt BETWEEN :uFrom AND :uTo";
+    Object.assign(values, { ":uFrom": lower, ":uTo": upper });
+  } else if (lower) {
+    keyCondition += " AND updatedAt >= :uFrom";
+    values[":uFrom"] = lower;
+  } else if (upper) {
+    keyCondition += " AND updatedAt <= :uTo";
+    values[":uTo"] = upper;
+  }
+
+  const conditions = [];
+  if (filters.source) {
+    conditions.push("#src = :src");
+    names["#src"] = "source";
+    values[":src"] = filters.source;
   }
+  if (filters.documentType) {
+    conditions.push("contains(documentTypes, :dt)");
+    values[":dt"] = filters.documentType;
+  }
+  if (filters.namePrefix) {
+    conditions.push("begins_with(normalizedName, :np)");
+    values[":np"] = filters.namePrefix;
+  }
+  if (filters.createdFrom) {
+    conditions.push("createdAt >= :cFrom");
+    values[":cFrom"] = filters.createdFrom;
+  }
+  if (filters.createdTo) {
+    conditions.push("createdAt <= :cTo");
+    values[":cTo"] = filters.createdTo;
+  }
+
+  const projection = SUMMARY_ATTRIBUTES.map(a => `#p_${a}`);
+  for (const a of SUMMARY_ATTRIBUTES) names[`#p_${a}`] = a;
 
   return {
-    statusCode: 200,
-    headers: CORS_HEADERS,
-    body: JSON.stringify({
-      items: resp.Items || [],
-      lastKey: resp.LastEvaluatedKey
-        ? Buffer.from(JSON.stringify(resp.LastEvaluatedKey)).toString("base64")
-        : null
-    })
+    keyCondition,
+    filterExpression: conditions.length ? conditions.join(" AND ") : undefined,
+    projection:       projection.join(", "),
+    names,
+    values
   };
+}
+
+/**
+ * Matching funds of one status, in listing order and after the cursor.
+ * Stops once it holds more than `limit` funds, or after MAX_PAGES_PER_STATUS
+ * pages; `frontier` is then the updatedAt read up to (null if exhausted).
+ */
+async function queryStatus(status, base, { order, cursor, limit }) {
+  const items = [];
+  let ExclusiveStartKey;
+  let pages = 0;
+
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName:                 TABLE,
+      IndexName:                 STATUS_INDEX,
+      KeyConditionExpression:    base.keyCondition,
+      FilterExpression:          base.filterExpression,
+      ProjectionExpression:      base.projection,
+      ExpressionAttributeNames:  base.names,
+      ExpressionAttributeValues: { ...base.values, ":s": status },
+      ScanIndexForward:          order === "asc",
+      Limit:                     QUERY_PAGE_SIZE,
+      ExclusiveStartKey
+    }));
+    pages++;
+
+    for (const item of resp.Items || []) {
+      if (!cursor || isAfter(item, cursor, order)) items.push(item);
+    }
+    ExclusiveStartKey = resp.LastEvaluatedKey;
+  } while (ExclusiveStartKey && items.length <= limit && pages < MAX_PAGES_PER_STATUS);
+
+  return { items, frontier: ExclusiveStartKey ? ExclusiveStartKey.updatedAt : null };
+}
+
+/**
+ * One page of funds across the requested statuses.
+ * Each status is queried in updatedAt order and the results merged. A status
+ * that was not read to the end only lets through funds strictly before its
+ * frontier — anything at or beyond it may still be unread.
+ * Returns { items, next } where next is the cursor position or null.
+ */
+async function listFunds(filters, cursor, limit) {
+  const base = buildQuery(filters, cursor);
+  if (!base) return { items: [], next: null };
+
+  const { order } = filters;
+  const results = await Promise.all(
+    filters.statuses.map(status => queryStatus(status, base, { order, cursor, limit }))
+  );
+
+  const frontiers = results.map(r => r.frontier).filter(Boolean).sort();
+  const frontier  = frontiers.length ? (order === "desc" ? frontiers.at(-1) : frontiers[0]) : null;
+
+  const merged = results
+    .flatMap(r => r.items)
+    .filter(item => !frontier || (order === "desc" ? item.updatedAt > frontier : item.updatedAt < frontier))
+    .sort(compareFunds(order));
+
+  const items = merged.slice(0, limit);
+
+  if (merged.length > limit || (frontier && items.length)) {
+    const last = items.at(-1);
+    return { items, next: { u: last.updatedAt, f: last.fundId } };
+  }
+  if (frontier) {
+    // Nothing safe to return yet: resume from the frontier, keeping its ties
+    return { items, next: { u: frontier, f: order === "desc" ? FUND_ID_MAX : FUND_ID_MIN } };
+  }
+  return { items, next: null };
+}
+
+/**
+ * Deprecated lastKey → cursor position { u, f }. A key without updatedAt (from
+ * the old endpoint) resumes after that fund's current updatedAt.
+ * Throws BadRequestError.
+ */
+async function parseLastKey(raw) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(raw, "base64").toString("utf-8"));
+  } catch {
+    throw new BadRequestError("Invalid lastKey");
+  }
+  if (!key || typeof key !== "object" || Array.isArray(key) || typeof key.fundId !== "string" ||
+      Object.keys(key).some(k => !LAST_KEY_ATTRIBUTES.has(k))) {
+    throw new BadRequestError("Invalid lastKey");
+  }
+
+  // The fundId of a returned position may be FUND_ID_MIN / FUND_ID_MAX
+  if (key.updatedAt !== undefined) {
+    if (typeof key.updatedAt !== "string" || Number.isNaN(Date.parse(key.updatedAt))) {
+      throw new BadRequestError("Invalid lastKey");
+    }
+    return { u: key.updatedAt, f: key.fundId };
+  }
+
+  if (!key.fundId) throw new BadRequestError("Invalid lastKey");
+
+  const { Item } = await ddb.send(new GetCommand({
+    TableName:            TABLE,
+    Key:                  { fundId: key.fundId },
+    ProjectionExpression: "fundId, updatedAt"
+  }));
+  if (!Item?.updatedAt) throw new BadRequestError("lastKey refers to an unknown fund; restart without it");
+  return { u: Item.updatedAt, f: Item.fundId };
+}
+
+/** Cursor position → deprecated lastKey, for callers still paging with it. */
+const encodeLastKey = ({ u, f }) => Buffer.from(JSON.stringify({ fundId: f, updatedAt: u })).toString("base64");
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * GET /funds?status=PROCESSING,FAILED&documentType=ima&source=S3_TRIGGER
+ *          &createdFrom=...&createdTo=...&updatedFrom=...&updatedTo=...
+ *          &namePrefix=acme&order=desc&limit=25&cursor=...
+ *
+ * Funds sorted by updatedAt (newest first by default), read from FundsTable's
+ * status-updatedAt-index — one query per requested status (all statuses when
+ * none is given), merged. Every filter is optional:
+ *   status        comma-separated fund statuses
+ *   documentType  funds with at least one document of this type
+ *   source        S3_TRIGGER | REST_API | EXTERNAL_API
+ *   createdFrom, createdTo, updatedFrom, updatedTo
+ *                 inclusive ISO 8601 bounds
+ *   namePrefix    prefix of the normalized fund name (shared/fundNames.js)
+ *
+ * Response: { items, count, nextCursor, lastKey } — items are fund summaries;
+ * pass nextCursor back as cursor, with the same filters, for the next page
+ * (null on the last one). A page can hold fewer than limit funds and still
+ * have a nextCursor when the filters discard most of what was read.
+ * lastKey is the same position for callers of the deprecated lastKey
+ * parameter (unsigned and not bound to the filters); it goes away next release.
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundProcessingStatus invoked", { requestId });
+
+  try {
+    const query = event.queryStringParameters || {};
+
+    if (query.lastKey !== undefined && query.cursor !== undefined) {
+      return jsonResponse(400, { error: "Pass either cursor or lastKey, not both" });
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return jsonResponse(400, { error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const filters     = parseFilters(query);
+    const fingerprint = queryFingerprint(filters);
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+      const payload = decodeCursor(query.cursor, CURSOR_KEY);
+      if (!payload || typeof payload.u !== "string" || typeof payload.f !== "string") {
+        return jsonResponse(400, { error: "Invalid cursor" });
+      }
+      if (payload.q !== fingerprint) {
+        return jsonResponse(400, { error: "cursor belongs to a query with different filters" });
+      }
+      cursor = { u: payload.u, f: payload.f };
+    } else if (query.lastKey !== undefined) {
+      log("WARN", "Deprecated lastKey parameter used", { requestId });
+      cursor = await parseLastKey(query.lastKey);
+    }
+
+    const { items, next } = await listFunds(filters, cursor, limit);
+
+    log("INFO", "Funds listed", {
+      requestId, filters, limit, hasCursor: !!cursor, count: items.length, hasMore: !!next
+    });
+
+    return jsonResponse(200, {
+      items,
+      count:      items.length,
+      nextCursor: next ? encodeCursor({ ...next, q: fingerprint }, CURSOR_KEY) : null,
+      lastKey:    next ? encodeLastKey(next) : null
+    });
+
+  } catch (err) {
+    if (err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
+
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
 };
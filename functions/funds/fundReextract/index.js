@@ -0,0 +1,206 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { getDocumentType, listDocumentTypeIds } from "./shared/documentTypes.js";
+import { ASSET_KINDS, CATALOG_KEY, findAsset, parseCatalog } from "./shared/assetCatalog.js";
+import { getDocument, listDocuments, refreshFundStatus } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, transitionDocument } from "./shared/fundLifecycle.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION                   = process.env.AWS_REGION || "us-east-1";
+const TABLE                    = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE          = process.env.DOCUMENTS_TABLE;
+const DOC_BUCKET               = process.env.DOC_BUCKET;
+const ASSETS_BUCKET            = process.env.ASSETS_BUCKET;
+const TEXTRACT_RESULTS_QUEUE_URL = process.env.TEXTRACT_RESULTS_QUEUE_URL;
+
+if (!TABLE)                      throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE)            throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!DOC_BUCKET)                 throw new Error("DOC_BUCKET env var is not set");
+if (!ASSETS_BUCKET)              throw new Error("ASSETS_BUCKET env var is not set");
+if (!TEXTRACT_RESULTS_QUEUE_URL) throw new Error("TEXTRACT_RESULTS_QUEUE_URL env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const s3  = new S3Client({ region: REGION });
+const sqs = new SQSClient({ region: REGION });
+
+/* ---------------- CONSTANTS ---------------- */
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+/* ---------------- HELPERS ---------------- */
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/**
+ * Resolve the document to re-extract: the given documentId, or the most
+ * recent document of documentType that has cached OCR.
+ */
+async function resolveDocument(fundId, { documentId, documentType }) {
+  if (documentId) {
+    return getDocument(ddb, { table: DOCUMENTS_TABLE, fundId, documentId });
+  }
+  const documents = await listDocuments(ddb, { table: DOCUMENTS_TABLE, fundId });
+  return documents
+    .filter(d => d.documentType === documentType && d.ocrPaths?.pagesPath)
+    .pop() || null;
+}
+
+async function loadCatalog() {
+  const resp = await s3.send(new GetObjectCommand({ Bucket: ASSETS_BUCKET, Key: CATALOG_KEY }));
+  return parseCatalog(await resp.Body.transformToString("utf-8"));
+}
+
+/**
+ * Validate an optional promptKey / schemaKey override from the request body.
+ * Overrides must be catalogued in assets/catalog.json with the matching kind,
+ * e.g. "assets/prompt/ppm-v2.txt", so the re-run result carries a known
+ * prompt / schema version. Returns an error string or null.
+ */
+function checkAssetOverride(catalog, name, key, kind) {
+  if (key === undefined) return null;
+  if (typeof key !== "string") return `${name} must be a string`;
+
+  const entry = findAsset(catalog, key);
+  if (!entry)              return `${name} is not in ${CATALOG_KEY}: ${key}`;
+  if (entry.kind !== kind) return `${name} ${key} is a ${entry.kind}, not a ${kind}`;
+  return null;
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * POST /funds/{fundId}/reextract
+ *
+ * Re-runs only the Bedrock stage of the async pipeline against the OCR that
+ * textractResultsWorkerLambda cached in S3 — no new Textract job.
+ *
+ * Body (documentId or documentType required):
+ *   {
+ *     "documentId":   "ppm-k3j9x2qa",                 // a specific document of the fund
+ *     "documentType": "ppm",                          // or: latest document of this type with OCR
+ *     "promptKey":    "assets/prompt/ppm-v2.txt",     // default: registry prompt
+ *     "schemaKey":    "assets/PPMJSONSchema.txt"      // default: registry schema
+ *   }
+ *
+ * Enqueues { type: "REEXTRACT", ... } to TextractResultsQueue and returns 202.
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundReextract invoked", { requestId });
+
+  try {
+    const rawFundId = event?.pathParameters?.fundId;
+    if (!rawFundId) return jsonResponse(400, { error: "Missing fundId" });
+    const fundId = decodeURIComponent(rawFundId);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    // ── Load fund + resolve document ─────────────────────────────────────────
+
+    const { Item: fund } = await ddb.send(new GetCommand({ TableName: TABLE, Key: { fundId } }));
+    if (!fund) return jsonResponse(404, { error: "Fund not found" });
+
+    if (!body.documentId && !getDocumentType(body.documentType)) {
+      return jsonResponse(400, {
+        error: `documentId or documentType (${listDocumentTypeIds().join(", ")}) is required`
+      });
+    }
+
+    const document = await resolveDocument(fundId, {
+      documentId:   body.documentId,
+      documentType: getDocumentType(body.documentType)?.id
+    });
+    if (!document) return jsonResponse(404, { error: "Document not found" });
+
+    const docType = getDocumentType(document.documentType);
+
+    // ── Validate prompt / schema overrides ───────────────────────────────────
+
+    if (body.promptKey !== undefined || body.schemaKey !== undefined) {
+      const catalog = await loadCatalog();
+      const error =
+        checkAssetOverride(catalog, "promptKey", body.promptKey, ASSET_KINDS.PROMPT) ||
+        checkAssetOverride(catalog, "schemaKey", body.schemaKey, ASSET_KINDS.SCHEMA);
+      if (error) return jsonResponse(400, { error });
+    }
+
+    // ── Locate cached OCR ────────────────────────────────────────────────────
+    // textractResultsWorkerLambda records ocrPaths on the document once OCR is done.
+
+    const pagesPath = document.ocrPaths?.pagesPath;
+    if (!pagesPath) {
+      return jsonResponse(409, {
+        error: `No cached OCR for document ${document.documentId} (status ${document.status})`
+      });
+    }
+    const pagesKey = pagesPath.replace(`s3://${DOC_BUCKET}/`, "");
+
+    // ── Mark REEXTRACTING, then enqueue for the results worker ───────────────
+    // The transition is refused while the document is still in flight, so a
+    // second request cannot race the first one's completion.
+
+    try {
+      await transitionDocument(ddb, {
+        table: DOCUMENTS_TABLE,
+        fundId,
+        documentId: document.documentId,
+        to:    DOCUMENT_STATUSES.REEXTRACTING,
+        actor: "fundReextract"
+      });
+    } catch (err) {
+      if (err.name !== "IllegalTransitionError") throw err;
+      return jsonResponse(409, {
+        error: `Document ${document.documentId} cannot be re-extracted while ${err.from}`
+      });
+    }
+    await refreshFundStatus(ddb, { fundsTable: TABLE, documentsTable: DOCUMENTS_TABLE, fundId });
+
+    const now = new Date().toISOString();
+    const message = {
+      type:         "REEXTRACT",
+      fundId,
+      documentId:   document.documentId,
+      documentType: docType.id,
+      pagesKey,
+      ...(body.promptKey && { promptKey: body.promptKey }),
+      ...(body.schemaKey && { schemaKey: body.schemaKey }),
+      requestedAt:  now
+    };
+
+    await sqs.send(new SendMessageCommand({
+      QueueUrl: TEXTRACT_RESULTS_QUEUE_URL,
+      MessageBody: JSON.stringify(message)
+    }));
+
+    log("INFO", "Re-extraction enqueued", { requestId, ...message });
+
+    return jsonResponse(202, { ...message, status: DOCUMENT_STATUSES.REEXTRACTING });
+
+  } catch (err) {
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+};
@@ -0,0 +1,261 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { listDocuments } from "./shared/fundDocuments.js";
+import { fundResultId, listResults, readResult, resultIdForPath } from "./shared/fundResults.js";
+import { diffResults } from "./shared/resultDiff.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION              = process.env.AWS_REGION || "us-east-1";
+const TABLE               = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE     = process.env.DOCUMENTS_TABLE;
+const DOC_BUCKET          = process.env.DOC_BUCKET;
+const URL_EXPIRES_SECONDS = parseInt(process.env.RESULT_URL_EXPIRES_SECONDS || "300", 10);
+
+if (!TABLE)           throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE) throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!DOC_BUCKET)      throw new Error("DOC_BUCKET env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const s3  = new S3Client({ region: REGION });
+
+/* ---------------- CONSTANTS ---------------- */
+
+// Larger results are returned as a presigned URL even when format=json was
+// asked for, to stay well under the 6 MB Lambda response limit
+const MAX_INLINE_BYTES = 4 * 1024 * 1024;
+
+const FORMATS = ["json", "url"];
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/* ---------------- HELPERS ---------------- */
+
+/**
+ * The fund's results (shared/fundResults.js), each tagged with the document it
+ * belongs to and whether it is the one the fund / document currently points
+ * at (resultPath / assembledResultPath, or the legacy IC memo resultKey).
+ * Returns null if the fund does not exist.
+ */
+async function loadResults(fundId) {
+  const { Item: fund } = await ddb.send(new GetCommand({ TableName: TABLE, Key: { fundId } }));
+  if (!fund) return null;
+
+  const [documents, results] = await Promise.all([
+    listDocuments(ddb, { table: DOCUMENTS_TABLE, fundId }),
+    listResults(s3, { bucket: DOC_BUCKET, fundId })
+  ]);
+
+  const currentOwners = new Map();
+  for (const d of documents) {
+    const resultId = resultIdForPath(fundId, d.resultPath, DOC_BUCKET);
+    if (resultId) currentOwners.set(resultId, d.documentId);
+  }
+  const fundCurrent = new Set([
+    resultIdForPath(fundId, fund.assembledResultPath, DOC_BUCKET),
+    fundResultId(fund, DOC_BUCKET)
+  ]);
+
+  return results.map(r => ({
+    ...r,
+    documentId: currentOwners.get(r.resultId) ?? null,
+    current:    currentOwners.has(r.resultId) || fundCurrent.has(r.resultId)
+  }));
+}
+
+/** Result summary as returned by the API (no bucket key). */
+const summarize = ({ key, ...r }) => r;
+
+const presign = (key) => getSignedUrl(
+  s3,
+  new GetObjectCommand({
+    Bucket: DOC_BUCKET,
+    Key:    key,
+    ResponseContentDisposition: `attachment; filename="${key.split("/").pop()}"`
+  }),
+  { expiresIn: URL_EXPIRES_SECONDS }
+);
+
+/* ---------------- ROUTES ---------------- */
+
+/**
+ * GET /funds/{fundId}/results?documentType=ima&latest=true
+ * Response: { fundId, results: [{ resultId, documentType, documentId, fileName,
+ *   createdAt, version, latest, current, size }] } — oldest first.
+ */
+async function listFundResults(fundId, query, requestId) {
+  const results = await loadResults(fundId);
+  if (!results) return jsonResponse(404, { error: "Fund not found" });
+
+  if (query.latest !== undefined && !["true", "false"].includes(query.latest)) {
+    return jsonResponse(400, { error: "latest must be true or false" });
+  }
+
+  const selected = results
+    .filter(r => !query.documentType || r.documentType === query.documentType)
+    .filter(r => query.latest !== "true" || r.latest);
+
+  log("INFO", "Fund results listed", { requestId, fundId, total: results.length, count: selected.length });
+
+  return jsonResponse(200, { fundId, results: selected.map(summarize) });
+}
+
+/**
+ * GET /funds/{fundId}/results/{resultId}?format=json|url
+ * format=json (default) returns the parsed result inline; format=url, or a
+ * result over MAX_INLINE_BYTES, returns a presigned GET URL instead.
+ * Response: { fundId, ...summary, format, result } or { fundId, ...summary, format, url, expiresIn }
+ */
+async function getFundResult(fundId, resultId, query, requestId) {
+  const format = (query.format || "json").toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return jsonResponse(400, { error: `format must be one of: ${FORMATS.join(", ")}` });
+  }
+
+  const results = await loadResults(fundId);
+  if (!results) return jsonResponse(404, { error: "Fund not found" });
+
+  const found = results.find(r => r.resultId === resultId);
+  if (!found) return jsonResponse(404, { error: "Result not found" });
+
+  const summary = { fundId, ...summarize(found) };
+
+  if (format === "url" || found.size > MAX_INLINE_BYTES) {
+    const url = await presign(found.key);
+    log("INFO", "Result URL issued", { requestId, fundId, resultId, size: found.size, expiresIn: URL_EXPIRES_SECONDS });
+    return jsonResponse(200, { ...summary, format: "url", url, expiresIn: URL_EXPIRES_SECONDS });
+  }
+
+  let result;
+  try {
+    result = await readResult(s3, { bucket: DOC_BUCKET, key: found.key });
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    log("ERROR", "Result is not valid JSON", { requestId, fundId, resultId, error: err.message });
+    return jsonResponse(502, { error: "Stored result is not valid JSON; use format=url to download it" });
+  }
+
+  log("INFO", "Result returned inline", { requestId, fundId, resultId, size: found.size });
+  return jsonResponse(200, { ...summary, format: "json", result });
+}
+
+/**
+ * GET /funds/{fundId}/results/diff?from=<resultId>&to=<resultId>
+ * GET /funds/{fundId}/results/diff?documentType=ima
+ *
+ * Field-by-field diff of two results of one document type (shared/resultDiff.js).
+ * With only documentType (or only `to`), compares the newest version (or `to`)
+ * with the version before it.
+ * Response: { fundId, documentType, from, to, summary, clauses, rules, fields }
+ */
+async function diffFundResults(fundId, query, requestId) {
+  if (!query.documentType && !query.to) {
+    return jsonResponse(400, { error: "documentType or to is required" });
+  }
+  if (query.from && !query.to) {
+    return jsonResponse(400, { error: "to is required when from is given" });
+  }
+
+  const results = await loadResults(fundId);
+  if (!results) return jsonResponse(404, { error: "Fund not found" });
+
+  const byId = (id) => results.find(r => r.resultId === id);
+
+  const to = query.to
+    ? byId(query.to)
+    : results.find(r => r.documentType === query.documentType && r.latest);
+  if (!to) return jsonResponse(404, { error: query.to ? "Result not found: to" : `No ${query.documentType} result` });
+
+  if (query.documentType && query.documentType !== to.documentType) {
+    return jsonResponse(400, { error: `to is a ${to.documentType} result, not ${query.documentType}` });
+  }
+
+  const from = query.from
+    ? byId(query.from)
+    : results.find(r => r.documentType === to.documentType && r.version === to.version - 1);
+  if (!from) {
+    return jsonResponse(404, {
+      error: query.from ? "Result not found: from" : `No ${to.documentType} result before version ${to.version}`
+    });
+  }
+  if (from.documentType !== to.documentType) {
+    return jsonResponse(400, { error: `Cannot diff a ${from.documentType} result against a ${to.documentType} result` });
+  }
+
+  let fromJson, toJson;
+  try {
+    [fromJson, toJson] = await Promise.all([
+      readResult(s3, { bucket: DOC_BUCKET, key: from.key }),
+      readResult(s3, { bucket: DOC_BUCKET, key: to.key })
+    ]);
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    log("ERROR", "Result is not valid JSON", { requestId, fundId, error: err.message });
+    return jsonResponse(502, { error: "A stored result is not valid JSON" });
+  }
+
+  const diff = diffResults(fromJson, toJson);
+
+  log("INFO", "Results diffed", {
+    requestId, fundId, documentType: to.documentType, from: from.resultId, to: to.resultId, summary: diff.summary
+  });
+
+  return jsonResponse(200, {
+    fundId,
+    documentType: to.documentType,
+    from:         summarize(from),
+    to:           summarize(to),
+    ...diff
+  });
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * Extraction results of a fund, read from the documents bucket:
+ *   GET /funds/{fundId}/results             → every result object
+ *   GET /funds/{fundId}/results/diff        → field-by-field diff of two results
+ *   GET /funds/{fundId}/results/{resultId}  → one result, inline or as a presigned URL
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundResults invoked", { requestId, resource: event.resource });
+
+  try {
+    const rawFundId = event?.pathParameters?.fundId;
+    if (!rawFundId) return jsonResponse(400, { error: "Missing fundId" });
+    const fundId = decodeURIComponent(rawFundId);
+
+    const query    = event.queryStringParameters || {};
+    const resultId = event.pathParameters.resultId;
+
+    if (event.resource === "/funds/{fundId}/results/diff") return await diffFundResults(fundId, query, requestId);
+
+    return resultId
+      ? await getFundResult(fundId, decodeURIComponent(resultId), query, requestId)
+      : await listFundResults(fundId, query, requestId);
+
+  } catch (err) {
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+};
@@ -0,0 +1,142 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { S3Client } from "@aws-sdk/client-s3";
+import { RULE_RESULT_TYPES, findRulesResult, listResults, readResult } from "./shared/fundResults.js";
+import { OUTCOMES, RULE_SCOPES, RULE_STATUSES, evaluateRules } from "./shared/rulesEngine.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION     = process.env.AWS_REGION || "us-east-1";
+const TABLE      = process.env.DDB_TABLE;
+const DOC_BUCKET = process.env.DOC_BUCKET;
+
+if (!TABLE)      throw new Error("DDB_TABLE env var is not set");
+if (!DOC_BUCKET) throw new Error("DOC_BUCKET env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const s3  = new S3Client({ region: REGION });
+
+/* ---------------- CONSTANTS ---------------- */
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * POST /funds/{fundId}/rules/evaluate
+ *
+ * Body: exactly one of
+ *   { "trade":    { ...proposed trade, e.g. { "fund": { "leverage_pct_post": 1.4 } } } }   → PRE_TRADE
+ *   { "holdings": { ...holdings snapshot } }                                           → POST_TRADE
+ * plus optional "scope" (overrides the default above), "resultId" or
+ * "documentType" (which extraction's rules to run — default: the latest
+ * assembled result, else the latest IMA result).
+ *
+ * Runs every normalized_rule of that result (shared/rulesEngine.js).
+ * Response: { fundId, scope, rulesSource, outcome, summary, rules } — one entry
+ * per rule_code with its status, evaluated conditions and cited clause sources.
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundRulesEvaluate invoked", { requestId });
+
+  try {
+    const rawFundId = event?.pathParameters?.fundId;
+    if (!rawFundId) return jsonResponse(400, { error: "Missing fundId" });
+    const fundId = decodeURIComponent(rawFundId);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+    if (!isPlainObject(body)) return jsonResponse(400, { error: "Request body must be a JSON object" });
+
+    const { trade, holdings, resultId, documentType } = body;
+
+    if ((trade === undefined) === (holdings === undefined)) {
+      return jsonResponse(400, { error: "Provide exactly one of trade or holdings" });
+    }
+    const data = trade ?? holdings;
+    if (!isPlainObject(data)) {
+      return jsonResponse(400, { error: `${trade !== undefined ? "trade" : "holdings"} must be a JSON object` });
+    }
+
+    const scope = body.scope ?? (trade !== undefined ? RULE_SCOPES.PRE_TRADE : RULE_SCOPES.POST_TRADE);
+    if (!Object.values(RULE_SCOPES).includes(scope)) {
+      return jsonResponse(400, { error: `scope must be one of: ${Object.values(RULE_SCOPES).join(", ")}` });
+    }
+
+    if (documentType !== undefined && !RULE_RESULT_TYPES.includes(documentType)) {
+      return jsonResponse(400, { error: `documentType must be one of: ${RULE_RESULT_TYPES.join(", ")}` });
+    }
+
+    // ── Load fund + the result holding the rules ─────────────────────────────
+
+    const { Item: fund } = await ddb.send(new GetCommand({ TableName: TABLE, Key: { fundId } }));
+    if (!fund) return jsonResponse(404, { error: "Fund not found" });
+
+    const results = await listResults(s3, { bucket: DOC_BUCKET, fundId });
+    const source  = findRulesResult(results, { resultId, documentType });
+    if (!source) {
+      return jsonResponse(404, {
+        error: resultId ? "Result not found or has no rules" : "Fund has no extracted rules to evaluate"
+      });
+    }
+
+    let extracted;
+    try {
+      extracted = await readResult(s3, { bucket: DOC_BUCKET, key: source.key });
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      log("ERROR", "Rules result is not valid JSON", { requestId, fundId, resultId: source.resultId, error: err.message });
+      return jsonResponse(502, { error: "Stored rules result is not valid JSON" });
+    }
+
+    // ── Evaluate ─────────────────────────────────────────────────────────────
+
+    const evaluation = evaluateRules(extracted, data, { scope });
+
+    log(evaluation.outcome === OUTCOMES.PASSED ? "INFO" : "WARN", "Rules evaluated", {
+      requestId, fundId, scope, resultId: source.resultId, documentType: source.documentType,
+      outcome: evaluation.outcome, summary: evaluation.summary,
+      failed: evaluation.rules.filter(r => r.status === RULE_STATUSES.FAIL).map(r => r.rule_code)
+    });
+
+    return jsonResponse(200, {
+      fundId,
+      scope,
+      rulesSource: {
+        resultId:     source.resultId,
+        documentType: source.documentType,
+        createdAt:    source.createdAt,
+        version:      source.version
+      },
+      ...evaluation
+    });
+
+  } catch (err) {
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+};
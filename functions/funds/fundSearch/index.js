@@ -0,0 +1,89 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { findFundsByName, normalizeFundName } from "./shared/fundNames.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION = process.env.AWS_REGION || "us-east-1";
+const TABLE  = process.env.DDB_TABLE;
+
+if (!TABLE) throw new Error("DDB_TABLE env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+
+/* ---------------- CONSTANTS ---------------- */
+
+const DEFAULT_LIMIT     = 10;
+const MAX_LIMIT         = 50;
+const DEFAULT_MIN_SCORE = 0.6;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * GET /funds/search?name=Acme%20Fund%20I&limit=10&minScore=0.6
+ *
+ * Funds whose name is similar to `name` (shared/fundNames.js): names are
+ * normalized ("Acme Fund I, L.P." → "acme fund 1") and scored 0–1, 1 being
+ * the same normalized name. Only funds sharing the first normalized word are
+ * considered, and of those at most 200: the 100 sorting at or after the
+ * normalized name and the 100 before it. Funds beyond that under a very
+ * common first word are not found.
+ *
+ * Response: { name, normalizedName, matches: [{ fundId, fundName, status, createdAt, score }] }
+ * — best match first.
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "FundSearch invoked", { requestId });
+
+  try {
+    const query = event.queryStringParameters || {};
+
+    const name = (query.name || "").trim();
+    if (!name) return jsonResponse(400, { error: "name is required" });
+
+    const normalizedName = normalizeFundName(name);
+    if (!normalizedName) return jsonResponse(400, { error: "name has no searchable words" });
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return jsonResponse(400, { error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const minScore = query.minScore === undefined ? DEFAULT_MIN_SCORE : Number(query.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+      return jsonResponse(400, { error: "minScore must be a number between 0 and 1" });
+    }
+
+    const matches = await findFundsByName(ddb, { table: TABLE, name, minScore, limit });
+
+    log("INFO", "Fund search complete", {
+      requestId, normalizedName, count: matches.length, bestScore: matches[0]?.score ?? null
+    });
+
+    return jsonResponse(200, { name, normalizedName, matches });
+
+  } catch (err) {
+    log("ERROR", "Unhandled exception", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+};
@@ -1,8 +1,9 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
 import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
 import { S3Client, ListObjectsV2Command } from "@aws-sdk/client-s3";
 import crypto from "crypto";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -74,43 +75,40 @@ export const handler = async (event) => {
       requestId
     });
 
-    const now = new Date().toISOString();
-
     const payload = {
       fundId,
-      status: "UPLOADED",
+      status: FUND_STATUSES.UPLOADED,
       inputFiles: files.map(f => `s3://${BUCKET_NAME}/${f.Key}`),
       schemaPath: `s3://${ASSETS_BUCKET}/assets/RulesEngineJSONSchema.txt`,
-      resultPath: `s3://${BUCKET_NAME}/${fundId}/results/rules-engine.json`,
-      updatedAt: now
+      resultPath: `s3://${BUCKET_NAME}/${fundId}/results/rules-engine.json`
     };
 
-    // Update DynamoDB
-    const update = await ddb.send(new UpdateCommand({
-      TableName: DYNAMODB_TABLE,
-      Key: { fundId },
-      ConditionExpression: "attribute_exists(fundId)",
-      UpdateExpression: `
-        SET #s = :s,
-            inputFiles = :i,
-            schemaPath = :sc,
-            resultPath = :r,
-            updatedAt = :u
-      `,
-      ExpressionAttributeNames: {
-        "#s": "status"
-      },
-      ExpressionAttributeValues: {
-        ":s": "UPLOADED",
-        ":i": payload.inputFiles,
-        ":sc": payload.schemaPath,
-        ":r": payload.resultPath,
-        ":u": now
-      },
-      ReturnValues: "ALL_NEW"
-    }));
+    // Update DynamoDB — refused while the fund is already being processed,
+    // so a repeated "complete" cannot queue the same fund twice
+    let update;
+    try {
+      update = await transitionFund(ddb, {
+        table: DYNAMODB_TABLE,
+        fundId,
+        to: FUND_STATUSES.UPLOADED,
+        set: {
+          inputFiles: payload.inputFiles,
+          schemaPath: payload.schemaPath,
+          resultPath: payload.resultPath
+        },
+        // fundId = fundId only holds for an existing record
+        expected: { fundId },
+        actor: "fundUploadComplete"
+      });
+    } catch (err) {
+      if (err.name !== "IllegalTransitionError") throw err;
+
+      log("WARN", "Fund cannot move to UPLOADED", { fundId, status: err.from, requestId });
+      return response(409, { error: `Fund ${fundId} is ${err.from} and cannot be completed` });
+    }
 
-    payload.createdAt = update.Attributes.createdAt;
+    payload.createdAt = update.createdAt;
+    payload.updatedAt = update.updatedAt;
     const sqsPayload = {
       fundId,
       inputFiles: payload.inputFiles,
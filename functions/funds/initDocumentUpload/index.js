@@ -1,21 +1,29 @@
-import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { randomUUID } from "crypto";
+import { FUND_ACTIONS, getDocumentType, listDocumentTypeIds } from "./shared/documentTypes.js";
+import { newDocumentId, refreshFundStatus } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, FUND_STATUSES, transitionDocument, transitionFund } from "./shared/fundLifecycle.js";
+import { fundNameKeys } from "./shared/fundNames.js";
 
 /* ---------------- CONFIG ---------------- */
 
 const REGION                  = process.env.AWS_REGION || "us-east-1";
 const TABLE                   = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE         = process.env.DOCUMENTS_TABLE;
 const BUCKET                  = process.env.DOC_BUCKET;
 const PRESIGN_EXPIRES_SECONDS = parseInt(process.env.PRESIGN_EXPIRES_SECONDS || "900", 10);
 
 if (!TABLE)  throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE) throw new Error("DOCUMENTS_TABLE env var is not set");
 if (!BUCKET) throw new Error("DOC_BUCKET env var is not set");
 
 /* ---------------- CLIENTS ---------------- */
 
 const dynamo = new DynamoDBClient({ region: REGION });
+const ddb    = DynamoDBDocumentClient.from(dynamo);
 const s3     = new S3Client({ region: REGION });
 
 /* ---------------- CONSTANTS ---------------- */
@@ -26,13 +34,6 @@ const CORS_HEADERS = {
   "Access-Control-Allow-Headers": "*"
 };
 
-// Must match KNOWN_DOC_TYPES in s3UploadTrigger and map to the folder name
-// the trigger uses to detect document type from the S3 key path.
-const DOC_TYPE_CONFIG = {
-  icmemo: { folder: "ICMemo" },
-  ima:    { folder: "IMA" }
-};
-
 /* ---------------- HELPERS ---------------- */
 
 const jsonResponse = (statusCode, body) => ({
@@ -46,17 +47,18 @@ function log(level, message, meta = {}) {
 }
 
 /**
- * Resolve the internal fundId for an IMA upload.
+ * Resolve the internal fundId for an upload that attaches to an existing fund
+ * (IMA, PPM, LPA, ... — every fundAction=attach type).
  *
  * Rules:
  *   - If the caller passes back an INT#<uuid> (returned from a prior ICMemo upload)
- *     → use it as-is (IMA belongs to an internally created fund)
+ *     → use it as-is (document belongs to an internally created fund)
  *   - If the caller passes an EXT#<id> (already prefixed external ID)
  *     → use it as-is
  *   - Any other raw value
  *     → treat as an external fund ID and prefix with EXT#
  */
-function resolveIMAFundId(rawFundId) {
+function resolveExistingFundId(rawFundId) {
   if (rawFundId.startsWith("INT#") || rawFundId.startsWith("EXT#")) {
     return rawFundId;
   }
@@ -75,12 +77,13 @@ export const handler = async (event, context) => {
 
     // ── Validate inputs ──────────────────────────────────────────────────────
 
-    const rawDocType = (params.documentType || "").trim().toLowerCase();
-    if (!DOC_TYPE_CONFIG[rawDocType]) {
+    const docType = getDocumentType(params.documentType);
+    if (!docType) {
       return jsonResponse(400, {
-        error: `documentType must be one of: ${Object.keys(DOC_TYPE_CONFIG).join(", ")}`
+        error: `documentType must be one of: ${listDocumentTypeIds().join(", ")}`
       });
     }
+    const rawDocType = docType.id;
 
     const fundName = (params.fundName || "").trim();
     if (!fundName) {
@@ -93,64 +96,99 @@ export const handler = async (event, context) => {
 
     let fundId;
 
-    if (rawDocType === "icmemo") {
+    if (docType.fundAction === FUND_ACTIONS.CREATE) {
       // ICMemo always creates a brand-new internal fund
       fundId = `INT#${randomUUID()}`;
     } else {
-      // IMA requires the caller to supply a fundId (from a prior ICMemo upload or external)
+      // Attach types require the caller to supply a fundId (from a prior ICMemo upload or external)
       const rawFundId = (params.fundId || "").trim();
       if (!rawFundId) {
-        return jsonResponse(400, { error: "fundId is required for documentType=ima" });
+        return jsonResponse(400, { error: `fundId is required for documentType=${rawDocType}` });
       }
-      fundId = resolveIMAFundId(rawFundId);
+      fundId = resolveExistingFundId(rawFundId);
     }
 
+    const documentId = newDocumentId(rawDocType);
+
     // ── Build S3 key ─────────────────────────────────────────────────────────
     //
-    // Path convention that s3UploadTrigger.extractDocumentType() relies on:
+    // Path convention that documentTypeFromKey() (shared/documentTypes.js) relies on:
     //   uploads/<DocTypeFolder>/<fundId>/<fileName>
     //
     // e.g. uploads/ICMemo/INT#abc-123/memo.pdf
     //      uploads/IMA/INT#abc-123/report.pdf
 
-    const { folder } = DOC_TYPE_CONFIG[rawDocType];
-    const objectKey  = `uploads/${folder}/${fundId}/${fileName}`;
+    const objectKey = `uploads/${docType.folder}/${fundId}/${fileName}`;
 
-    log("INFO", "Resolved upload target", { requestId, fundId, rawDocType, objectKey });
+    log("INFO", "Resolved upload target", { requestId, fundId, documentId, rawDocType, objectKey });
 
-    // ── Create DDB record ────────────────────────────────────────────────────
+    // ── Create / touch fund record ───────────────────────────────────────────
 
     const now = new Date().toISOString();
 
-    await dynamo.send(new PutItemCommand({
-      TableName: TABLE,
-      Item: {
-        fundId:       { S: fundId },
-        fundName:     { S: fundName },
-        status:       { S: "UPLOADING" },
-        documentType: { S: rawDocType },
-        bucket:       { S: BUCKET },
-        objectKey:    { S: objectKey },
-        source:       { S: "REST_API" },
-        createdAt:    { S: now },
-        updatedAt:    { S: now }
+    if (docType.fundAction === FUND_ACTIONS.CREATE) {
+      // Only legal for a new fundId, which also guards against a uuid
+      // collision overwriting another fund
+      await transitionFund(ddb, {
+        table: TABLE,
+        fundId,
+        to:    FUND_STATUSES.UPLOADING,
+        set:   { fundName, ...fundNameKeys(fundName), source: "REST_API" },
+        actor: "initDocumentUpload"
+      });
+    } else {
+      // Attach to the existing fund (or open an EXT# fund on first upload) without
+      // touching the state of documents already attached to it
+      const { normalizedName, nameKey } = fundNameKeys(fundName);
+      await dynamo.send(new UpdateItemCommand({
+        TableName: TABLE,
+        Key: { fundId: { S: fundId } },
+        UpdateExpression:
+          "SET updatedAt = :u, createdAt = if_not_exists(createdAt, :u), " +
+          "fundName = if_not_exists(fundName, :n), #src = if_not_exists(#src, :src)" +
+          (nameKey ? ", normalizedName = if_not_exists(normalizedName, :nn), nameKey = if_not_exists(nameKey, :nk)" : ""),
+        ExpressionAttributeNames: { "#src": "source" },
+        ExpressionAttributeValues: {
+          ":u":   { S: now },
+          ":n":   { S: fundName },
+          ":src": { S: "REST_API" },
+          ...(nameKey && { ":nn": { S: normalizedName }, ":nk": { S: nameKey } })
+        }
+      }));
+    }
+
+    // ── Create document record ───────────────────────────────────────────────
+
+    await transitionDocument(ddb, {
+      table: DOCUMENTS_TABLE,
+      fundId,
+      documentId,
+      to:    DOCUMENT_STATUSES.UPLOADING,
+      set: {
+        documentType: rawDocType,
+        bucket:       BUCKET,
+        objectKey,
+        fileName,
+        source:       "REST_API"
       },
-      // Prevent overwriting an existing record (e.g. duplicate IMA call with same INT# fundId)
-      ConditionExpression: "attribute_not_exists(fundId)"
-    }));
+      actor: "initDocumentUpload"
+    });
+    await refreshFundStatus(ddb, { fundsTable: TABLE, documentsTable: DOCUMENTS_TABLE, fundId });
 
-    log("INFO", "DDB record created", { requestId, fundId, status: "UPLOADING" });
+    log("INFO", "Document record created", { requestId, fundId, documentId, status: DOCUMENT_STATUSES.UPLOADING });
 
     // ── Generate presigned PUT URL ───────────────────────────────────────────
     //
     // Metadata is signed into the URL so the client must send these headers
     // verbatim when performing the PUT. s3UploadTrigger reads them via HeadObject:
     //   x-amz-meta-fund-name  → used by all document types
-    //   x-amz-meta-fund-id    → used by IMA (and any other non-ICMemo type)
+    //   x-amz-meta-fund-id    → used by every fundAction=attach type
     //     to look up the existing fund record in DDB
+    //   x-amz-meta-document-id → the document record created above, so the
+    //     upload trigger updates it instead of allocating a new one
 
-    const metadata = { "fund-name": fundName };
-    if (rawDocType !== "icmemo") {
+    const metadata = { "fund-name": fundName, "document-id": documentId };
+    if (docType.fundAction === FUND_ACTIONS.ATTACH) {
       metadata["fund-id"] = fundId;
     }
 
@@ -169,6 +207,7 @@ export const handler = async (event, context) => {
 
     return jsonResponse(200, {
       fundId,
+      documentId,
       uploadUrl,
       objectKey,
       documentType: rawDocType,
@@ -176,7 +215,7 @@ export const handler = async (event, context) => {
     });
 
   } catch (err) {
-    const isConflict = err.name === "ConditionalCheckFailedException";
+    const isConflict = err.name === "IllegalTransitionError";
 
     log("ERROR", isConflict ? "Fund record already exists" : "Unhandled error", {
       requestId,
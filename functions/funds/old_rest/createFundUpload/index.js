@@ -1,11 +1,14 @@
-import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { randomUUID } from "crypto";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
+import { fundNameKeys } from "./shared/fundNames.js";
 
 const region = process.env.AWS_REGION;
 
-const dynamo = new DynamoDBClient({ region });
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region }));
 const s3 = new S3Client({ region });
 
 const TABLE = process.env.DDB_TABLE;
@@ -58,21 +61,14 @@ export const handler = async (event, context) => {
       objectKey
     }));
 
-    // Create initial record (do NOT allow collisions)
-    await dynamo.send(new PutItemCommand({
-      TableName: TABLE,
-      Item: {
-        fundId: { S: fundId },
-        fundName: { S: fundName },
-        status: { S: "UPLOADING" },
-        bucket: { S: BUCKET },
-        fileName: { S: fileName },
-        objectKey: { S: objectKey },
-        createdAt: { S: new Date().toISOString() },
-        updatedAt: { S: new Date().toISOString() }
-      },
-      ConditionExpression: "attribute_not_exists(fundId)"
-    }));
+    // Create initial record (only legal for a new fundId, so no collisions)
+    await transitionFund(ddb, {
+      table: TABLE,
+      fundId,
+      to: FUND_STATUSES.UPLOADING,
+      set: { fundName, ...fundNameKeys(fundName), bucket: BUCKET, fileName, objectKey, source: "REST_API" },
+      actor: "createFundUpload"
+    });
 
     console.log(JSON.stringify({
       level: "INFO",
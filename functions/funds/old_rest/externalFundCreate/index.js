@@ -1,10 +1,13 @@
-import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { FUND_STATUSES, transitionFund } from "./shared/fundLifecycle.js";
+import { fundNameKeys } from "./shared/fundNames.js";
 
 const region = process.env.AWS_REGION;
 
-const dynamo = new DynamoDBClient({ region });
+const ddb    = DynamoDBDocumentClient.from(new DynamoDBClient({ region }));
 const s3     = new S3Client({ region });
 
 const TABLE                  = process.env.DDB_TABLE;
@@ -91,23 +94,15 @@ export const handler = async (event, context) => {
       stage: "DDB_CREATE"
     }));
 
-    // Create fund record — ConditionalExpression prevents overwriting an existing record.
-    // Returns 409 if this external fund ID has already been registered.
-    await dynamo.send(new PutItemCommand({
-      TableName: TABLE,
-      Item: {
-        fundId:    { S: fundId },
-        fundName:  { S: fundName },
-        status:    { S: "UPLOADING" },
-        bucket:    { S: BUCKET },
-        fileName:  { S: fileName },
-        objectKey: { S: objectKey },
-        source:    { S: "EXTERNAL_API" },
-        createdAt: { S: new Date().toISOString() },
-        updatedAt: { S: new Date().toISOString() }
-      },
-      ConditionExpression: "attribute_not_exists(fundId)"
-    }));
+    // Create fund record — only legal for a new fundId, so an existing record is
+    // never overwritten. Returns 409 if this external fund ID has already been registered.
+    await transitionFund(ddb, {
+      table: TABLE,
+      fundId,
+      to:    FUND_STATUSES.UPLOADING,
+      set:   { fundName, ...fundNameKeys(fundName), bucket: BUCKET, fileName, objectKey, source: "EXTERNAL_API" },
+      actor: "externalFundCreate"
+    });
 
     // Generate presigned PUT URL — external party uploads the PDF directly to S3
     const uploadUrl = await getSignedUrl(
@@ -135,7 +130,7 @@ export const handler = async (event, context) => {
     });
 
   } catch (err) {
-    const isConflict     = err.name === "ConditionalCheckFailedException";
+    const isConflict     = err.name === "IllegalTransitionError";
     const isValidation   = /required|invalid/i.test(err.message);
 
     console.error(JSON.stringify({
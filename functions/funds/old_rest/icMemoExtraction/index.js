@@ -2,6 +2,9 @@ import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 import { TextractClient, DetectDocumentTextCommand } from "@aws-sdk/client-textract";
 import { BedrockRuntimeClient, ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
 import { DynamoDBClient, PutItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { checkFieldProvenance } from "./shared/icMemoProvenance.js";
+import { formatPages } from "./shared/pageCitations.js";
+import { isTransientError, withRetry } from "./shared/retry.js";
 
 const region = process.env.AWS_REGION;
 
@@ -17,6 +20,9 @@ const SCHEMA_KEY    = process.env.SCHEMA_KEY;
 const MODEL_ID      = process.env.BEDROCK_MODEL_ID;
 const TABLE         = process.env.DDB_TABLE;
 
+// Synchronous API (29 s API Gateway limit): keep retry delays short
+const RETRY = { maxAttempts: 3, maxDelayMs: 2000 };
+
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "*",
@@ -94,16 +100,21 @@ export const handler = async (event, context) => {
 
     /* ---------- Textract ---------- */
 
-    const textractResult = await textract.send(
+    const textractResult = await withRetry(() => textract.send(
       new DetectDocumentTextCommand({
         Document: { Bytes: pdfBytes }
       })
-    );
-
-    const memoText = textractResult.Blocks
-      .filter(b => b.BlockType === "LINE")
-      .map(b => b.Text)
-      .join("\n");
+    ), { ...RETRY, label: "DetectDocumentText" });
+
+    // One "--- Page N ---" section per page, so fieldProvenance cites real pages
+    const lines = textractResult.Blocks.filter(b => b.BlockType === "LINE");
+    const pages = [...new Set(lines.map(b => b.Page || 1))]
+      .sort((a, b) => a - b)
+      .map(page => ({
+        page,
+        text: lines.filter(b => (b.Page || 1) === page).map(b => b.Text).join("\n")
+      }));
+    const memoText = formatPages(pages);
 
     /* ---------- Nova ---------- */
 
@@ -132,12 +143,25 @@ Now extract and return exactly one JSON object that conforms to the schema.
       }
     });
 
-    const response = await bedrock.send(converse);
+    const response = await withRetry(() => bedrock.send(converse), { ...RETRY, label: "Bedrock Converse" });
 
     const rawJson = response.output?.message?.content?.[0]?.text;
     if (!rawJson) throw new Error("Empty model response");
 
-    const extracted = JSON.parse(rawJson);
+    // Placeholders become null / NOT_FOUND and snippets are checked (icmemo-v2 onwards)
+    const { result: extracted, check } = checkFieldProvenance(JSON.parse(rawJson), pages);
+
+    if (check?.flagged.length) {
+      console.warn(JSON.stringify({
+        level: "WARN",
+        requestId,
+        fundId,
+        stage: "FIELD_PROVENANCE_CHECK",
+        placeholdersCleared: check.placeholdersCleared,
+        snippetsNotFound: check.snippetsNotFound,
+        sample: check.flagged.slice(0, 10)
+      }));
+    }
 
     /* ---------- Persist ---------- */
 
@@ -170,6 +194,18 @@ Now extract and return exactly one JSON object that conforms to the schema.
       message: err.message
     }));
 
+    // Still throttled after the retries — the caller can try again later
+    if (isTransientError(err)) {
+      return {
+        statusCode: 503,
+        headers: { ...CORS_HEADERS, "Retry-After": "30" },
+        body: JSON.stringify({
+          requestId,
+          message: "IC memo extraction is temporarily throttled, retry later"
+        })
+      };
+    }
+
     return {
       statusCode: 500,
       headers: CORS_HEADERS,
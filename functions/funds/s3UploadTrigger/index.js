@@ -1,62 +1,159 @@
-import { S3Client, HeadObjectCommand } from "@aws-sdk/client-s3";
-import { DynamoDBClient, PutItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { S3Client, GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
-import { randomUUID } from "crypto";
+import { createHash, randomUUID } from "crypto";
+import { FUND_ACTIONS, documentTypeFromKey, isAssembled, listDocumentTypeIds } from "./shared/documentTypes.js";
+import { getDocument, newDocumentId, refreshFundStatus, updateDocument } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, FUND_STATUSES, transitionDocument, transitionFund } from "./shared/fundLifecycle.js";
+import { EVENT_STAGES, recordEvent } from "./shared/fundEvents.js";
+import { CLAIM_STATUSES, claimUpload, completeUpload, reclaimUpload, recordContentHash, releaseUpload } from "./shared/uploadDedup.js";
+import { findFundsByName, fundNameKeys } from "./shared/fundNames.js";
 
 const region = process.env.AWS_REGION;
 
 const s3     = new S3Client({ region });
 const dynamo = new DynamoDBClient({ region });
+const ddb    = DynamoDBDocumentClient.from(dynamo);
 const sqs    = new SQSClient({ region });
 
 const TABLE                    = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE          = process.env.DOCUMENTS_TABLE;
+const FUND_EVENTS_TABLE        = process.env.FUND_EVENTS_TABLE;
+const UPLOAD_DEDUP_TABLE       = process.env.UPLOAD_DEDUP_TABLE;
 const TEXTRACT_STARTER_QUEUE_URL = process.env.TEXTRACT_STARTER_QUEUE_URL;
 
-// ── Document type registry ─────────────────────────────────────────────────
-const KNOWN_DOC_TYPES = new Set([
-  "icmemo",
-  "ima",
-  "sideletter",
-  "lpa",
-  "ppm",
-  "subdoc",
-  "fundstructure"
-]);
+// What a fundAction=create upload (IC memo) does when existing funds have a similar name:
+//   off     — always create a new fund
+//   suggest — create it, listing the similar funds as possibleDuplicateFunds (default)
+//   attach  — attach the document to the one fund scoring >= FUND_NAME_MATCH_THRESHOLD,
+//             otherwise behave like suggest
+const FUND_NAME_MATCH_MODE      = process.env.FUND_NAME_MATCH_MODE || "suggest";
+const FUND_NAME_MATCH_THRESHOLD = Number(process.env.FUND_NAME_MATCH_THRESHOLD || 0.9);
 
-/**
- * Extract document type from S3 key path.
- * Convention: the folder containing the PDF names the document type.
- *   uploads/ICMemo/document.pdf   → "icmemo"
- *   uploads/IMA/report.pdf        → "ima"
- */
-const extractDocumentType = (key) => {
-  for (const segment of key.split("/")) {
-    const lower = segment.trim().toLowerCase();
-    if (KNOWN_DOC_TYPES.has(lower)) return lower;
-  }
-  return null;
-};
+const stripQuotes = (etag) => (etag || "").replace(/"/g, "");
 
 /**
  * Read fund metadata from S3 object (HeadObject).
- * Returns { fundName, fundId } — either may be empty string if not found.
+ * Returns { fundName, fundId, documentId, etag, checksumSha256 } — each may be
+ * empty string if not found. documentId is set when the upload was initialised
+ * via POST /funds/upload/init. checksumSha256 (hex) is only set when the
+ * uploader sent a full-object SHA-256 checksum.
  */
 const readS3Metadata = async (bucket, key, requestId) => {
   try {
-    const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key, ChecksumMode: "ENABLED" }));
     const meta = head.Metadata || {};
 
     const fundName = (meta["fund-name"] || meta["fundname"] || meta["fund_name"] || "").trim();
     const fundId   = (meta["fund-id"]   || meta["fundid"]   || meta["fund_id"]   || "").trim();
+    const documentId = (meta["document-id"] || "").trim();
+
+    // Multipart checksums ("<base64>-<parts>") are a hash of part hashes, not of the bytes
+    const checksumSha256 = head.ChecksumSHA256 && !head.ChecksumSHA256.includes("-")
+      ? Buffer.from(head.ChecksumSHA256, "base64").toString("hex")
+      : "";
 
-    return { fundName, fundId };
+    return { fundName, fundId, documentId, etag: stripQuotes(head.ETag), checksumSha256 };
   } catch (err) {
     console.warn(JSON.stringify({
       level: "WARN", requestId,
       stage: "HEAD_OBJECT_WARN",
       bucket, key, error: err.message
     }));
-    return { fundName: "", fundId: "" };
+    return { fundName: "", fundId: "", documentId: "", etag: "", checksumSha256: "" };
+  }
+};
+
+/**
+ * SHA-256 (hex) of the object's bytes: the uploader's checksum when S3 has
+ * one, otherwise computed by streaming the object.
+ */
+const objectSha256 = async (bucket, key, checksumSha256) => {
+  if (checksumSha256) return checksumSha256;
+
+  const obj  = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const hash = createHash("sha256");
+  for await (const chunk of obj.Body) hash.update(chunk);
+  return hash.digest("hex");
+};
+
+/**
+ * Flag a document whose bytes were already uploaded for other funds
+ * (duplicateOf on the document, shown by GET /funds/{fundId}).
+ * Returns the matches. Best-effort: the document is already recorded and
+ * enqueued, so a failure here is only logged.
+ */
+const checkDuplicateContent = async ({ fundId, documentId, documentType, bucket, key, contentSha256, requestId }) => {
+  try {
+    const matches = await recordContentHash(ddb, {
+      table: UPLOAD_DEDUP_TABLE, sha256: contentSha256, fundId, documentId, documentType, bucket, key
+    });
+    if (!matches.length) return matches;
+
+    console.warn(JSON.stringify({
+      level: "WARN", requestId, fundId, documentId, documentType,
+      stage: "DUPLICATE_CONTENT",
+      contentSha256,
+      duplicateOf: matches.map(m => m.fundId)
+    }));
+
+    await updateDocument(ddb, {
+      table: DOCUMENTS_TABLE, fundId, documentId,
+      set: { duplicateOf: matches }
+    });
+
+    return matches;
+  } catch (err) {
+    console.warn(JSON.stringify({
+      level: "WARN", requestId, fundId, documentId,
+      stage: "DUPLICATE_CONTENT_CHECK_FAILED",
+      error: err.message
+    }));
+    return [];
+  }
+};
+
+/**
+ * Whether a DONE claim may be taken over: its document ended FAILED, so the
+ * same bytes uploaded again are a retry rather than a redelivered event.
+ */
+const isRetryableClaim = async (existing) => {
+  if (existing?.status !== CLAIM_STATUSES.DONE || !existing.fundId || !existing.documentId) return false;
+  const document = await getDocument(ddb, {
+    table: DOCUMENTS_TABLE, fundId: existing.fundId, documentId: existing.documentId
+  });
+  return document?.status === DOCUMENT_STATUSES.FAILED;
+};
+
+/**
+ * Existing funds whose name is similar to a new IC memo's fund name.
+ * Returns { confident, candidates } — confident is the single match scoring
+ * at least FUND_NAME_MATCH_THRESHOLD (null when none, or more than one, does).
+ * A failed lookup is logged and treated as no match.
+ */
+const matchExistingFund = async (fundName, requestId) => {
+  if (FUND_NAME_MATCH_MODE === "off" || !fundName) return { confident: null, candidates: [] };
+
+  try {
+    const candidates = await findFundsByName(ddb, { table: TABLE, name: fundName, limit: 5 });
+    const [best, runnerUp] = candidates;
+    const confident = best && best.score >= FUND_NAME_MATCH_THRESHOLD &&
+      !(runnerUp && runnerUp.score >= FUND_NAME_MATCH_THRESHOLD) ? best : null;
+
+    if (candidates.length) {
+      console.log(JSON.stringify({
+        level: "INFO", requestId,
+        stage: "FUND_NAME_MATCHES",
+        fundName, mode: FUND_NAME_MATCH_MODE,
+        confidentFundId: confident?.fundId ?? null,
+        candidates: candidates.map(c => ({ fundId: c.fundId, score: c.score }))
+      }));
+    }
+    return { confident, candidates };
+  } catch (err) {
+    console.warn(JSON.stringify({ level: "WARN", requestId, stage: "FUND_NAME_MATCH_FAILED", fundName, error: err.message }));
+    return { confident: null, candidates: [] };
   }
 };
 
@@ -64,11 +161,12 @@ const readS3Metadata = async (bucket, key, requestId) => {
  * Enqueue a document to TextractStarterQueue with a unified payload.
  * All document types use the same payload shape.
  */
-const enqueueForTextract = async ({ fundId, documentType, bucket, key, fileName, fundName, requestId }) => {
+const enqueueForTextract = async ({ fundId, documentId, documentType, bucket, key, fileName, fundName, requestId }) => {
   await sqs.send(new SendMessageCommand({
     QueueUrl: TEXTRACT_STARTER_QUEUE_URL,
     MessageBody: JSON.stringify({
       fundId,
+      documentId,
       documentType,
       bucket,
       key,
@@ -78,85 +176,151 @@ const enqueueForTextract = async ({ fundId, documentType, bucket, key, fileName,
   }));
 
   console.log(JSON.stringify({
-    level: "INFO", requestId, fundId, documentType,
+    level: "INFO", requestId, fundId, documentId, documentType,
     stage: "ENQUEUED_FOR_TEXTRACT",
     queue: "TextractStarterQueue"
   }));
 };
 
 /**
- * ICMemo: create a brand-new fund record (INT#<uuid>, status=CREATED).
- * ICMemo signals a new fund — we generate the fundId internally.
+ * Record the uploaded document as RECEIVED on FundDocumentsTable and refresh
+ * the fund's aggregate status. Re-uses the documentId from upload metadata
+ * (initDocumentUpload pre-creates the document) or allocates a new one.
+ * Throws IllegalTransitionError if that document is still being extracted
+ * (e.g. a duplicate S3 event), so it is not enqueued twice.
+ */
+const receiveDocument = async ({ fundId, documentId, documentType, bucket, key, fileName, contentSha256 }) => {
+  const id = documentId || newDocumentId(documentType);
+
+  await transitionDocument(ddb, {
+    table: DOCUMENTS_TABLE,
+    fundId,
+    documentId: id,
+    to:    DOCUMENT_STATUSES.RECEIVED,
+    set: {
+      documentType,
+      bucket,
+      objectKey: key,
+      fileName,
+      contentSha256,
+      source:    documentId ? "REST_API" : "S3_TRIGGER"
+    },
+    actor: "s3UploadTrigger"
+  });
+  await refreshFundStatus(ddb, { fundsTable: TABLE, documentsTable: DOCUMENTS_TABLE, fundId });
+
+  return id;
+};
+
+/**
+ * fundAction=create (ICMemo): create a brand-new fund record (INT#<uuid>, status=CREATED)
+ * and its first document. These documents signal a new fund — we generate the fundId internally.
+ * similarFunds (from matchExistingFund) are stored as possibleDuplicateFunds.
+ * Returns { fundId, documentId }, or null when the fund record could not be created.
  */
-const handleICMemo = async ({ bucket, key, fileName, fundName, documentType, requestId }) => {
+const handleNewFund = async ({ bucket, key, fileName, fundName, documentType, contentSha256, similarFunds = [], requestId }) => {
   const fundId = `INT#${randomUUID()}`;
-  const now    = new Date().toISOString();
 
   console.log(JSON.stringify({
     level: "INFO", requestId,
     fundId, documentType, bucket, key, fileName,
     fundName: fundName || "(not in metadata)",
-    stage: "ICMEMO_CREATING_FUND_RECORD"
+    stage: "CREATING_FUND_RECORD"
   }));
 
   try {
-    await dynamo.send(new PutItemCommand({
-      TableName: TABLE,
-      Item: {
-        fundId:       { S: fundId },
-        fundName:     { S: fundName },
-        status:       { S: "CREATED" },
-        documentType: { S: documentType },
-        bucket:       { S: bucket },
-        objectKey:    { S: key },
-        fileName:     { S: fileName },
-        source:       { S: "S3_TRIGGER" },
-        createdAt:    { S: now },
-        updatedAt:    { S: now }
+    await transitionFund(ddb, {
+      table: TABLE,
+      fundId,
+      to:    FUND_STATUSES.CREATED,
+      set:   {
+        fundName,
+        ...fundNameKeys(fundName),
+        source: "S3_TRIGGER",
+        ...(similarFunds.length && {
+          possibleDuplicateFunds: similarFunds.map(({ fundId, fundName, score }) => ({ fundId, fundName, score }))
+        })
       },
-      ConditionExpression: "attribute_not_exists(fundId)"
-    }));
+      actor: "s3UploadTrigger"
+    });
   } catch (err) {
-    if (err.name === "ConditionalCheckFailedException") {
-      console.warn(JSON.stringify({ level: "WARN", requestId, fundId, stage: "ICMEMO_DDB_COLLISION_SKIP" }));
-      return;
+    if (err.name === "IllegalTransitionError") {
+      console.warn(JSON.stringify({ level: "WARN", requestId, fundId, stage: "NEW_FUND_DDB_COLLISION_SKIP" }));
+      return null;
     }
     throw err;
   }
 
-  await enqueueForTextract({ fundId, documentType, bucket, key, fileName, fundName, requestId });
+  const documentId = await receiveDocument({ fundId, documentType, bucket, key, fileName, contentSha256 });
+
+  await enqueueForTextract({ fundId, documentId, documentType, bucket, key, fileName, fundName, requestId });
+
+  return { fundId, documentId };
 };
 
 /**
- * All other document types (IMA, PPM, LPA, SideLetter, FundStructure, SubDoc):
- * Update existing fund record to RECEIVED, then enqueue for Textract processing.
- * Requires x-amz-meta-fund-id metadata.
+ * fundAction=attach (IMA, PPM, LPA, SideLetter, FundStructure, SubDoc):
+ * Add a RECEIVED document to the existing fund, then enqueue for Textract processing.
+ * The fund record itself only gets its aggregate status refreshed — other
+ * documents' state is untouched. Requires x-amz-meta-fund-id metadata.
+ *
+ * Types that feed the fund-level rules assembly (IMA, SideLetter) also add their
+ * documentId to pendingAssemblyDocuments; fundAssembler only runs once that set
+ * is empty (shared/fundAssembly.js).
+ * Returns { fundId, documentId }.
  */
-const handleExistingFund = async ({ bucket, key, fileName, fundName, fundId, documentType, requestId }) => {
+const handleExistingFund = async ({
+  bucket, key, fileName, fundName, fundId, documentId, documentType, trackForAssembly, contentSha256, requestId
+}) => {
   const now = new Date().toISOString();
 
   console.log(JSON.stringify({
     level: "INFO", requestId,
-    fundId, documentType, bucket, key, fileName,
-    stage: "UPDATING_FUND_RECORD_TO_RECEIVED"
+    fundId, documentId: documentId || "(new)", documentType, bucket, key, fileName, trackForAssembly,
+    stage: "ADDING_DOCUMENT_TO_FUND"
   }));
 
+  const exprValues = {
+    ":u":   { S: now },
+    ":fn":  { S: fundName },
+    ":src": { S: documentId ? "REST_API" : "S3_TRIGGER" }
+  };
+  let updateExpression =
+    "SET updatedAt = :u, createdAt = if_not_exists(createdAt, :u), fundName = if_not_exists(fundName, :fn), " +
+    "#src = if_not_exists(#src, :src)";
+
+  const { normalizedName, nameKey } = fundNameKeys(fundName);
+  if (nameKey) {
+    updateExpression += ", normalizedName = if_not_exists(normalizedName, :nn), nameKey = if_not_exists(nameKey, :nk)";
+    exprValues[":nn"] = { S: normalizedName };
+    exprValues[":nk"] = { S: nameKey };
+  }
+
   await dynamo.send(new UpdateItemCommand({
     TableName: TABLE,
     Key: { fundId: { S: fundId } },
-    UpdateExpression:
-      "SET #s = :received, updatedAt = :u, documentType = :dt, objectKey = :k, fileName = :f",
-    ExpressionAttributeNames: { "#s": "status" },
-    ExpressionAttributeValues: {
-      ":received": { S: "RECEIVED" },
-      ":u":        { S: now },
-      ":dt":       { S: documentType },
-      ":k":        { S: key },
-      ":f":        { S: fileName }
-    }
+    UpdateExpression: updateExpression,
+    ExpressionAttributeNames: { "#src": "source" },
+    ExpressionAttributeValues: exprValues
   }));
 
-  await enqueueForTextract({ fundId, documentType, bucket, key, fileName, fundName, requestId });
+  const id = await receiveDocument({ fundId, documentId, documentType, bucket, key, fileName, contentSha256 });
+
+  // Added once the document exists, so a retried event (which allocates a new
+  // documentId) cannot leave an id behind that nothing will ever release.
+  // A new pending document starts a new assembly round.
+  if (trackForAssembly) {
+    await dynamo.send(new UpdateItemCommand({
+      TableName: TABLE,
+      Key: { fundId: { S: fundId } },
+      UpdateExpression: "REMOVE assemblyEnqueuedAt ADD pendingAssemblyDocuments :pd",
+      ExpressionAttributeValues: { ":pd": { SS: [id] } }
+    }));
+  }
+
+  await enqueueForTextract({ fundId, documentId: id, documentType, bucket, key, fileName, fundName, requestId });
+
+  return { fundId, documentId: id };
 };
 
 /**
@@ -170,11 +334,21 @@ const handleExistingFund = async ({ bucket, key, fileName, fundName, fundId, doc
  *
  * S3 metadata expected:
  *   x-amz-meta-fund-name = <fund name>            (all document types)
- *   x-amz-meta-fund-id   = <existing fundId>      (all types EXCEPT ICMemo)
+ *   x-amz-meta-fund-id   = <existing fundId>      (fundAction=attach types)
+ *   x-amz-meta-document-id = <documentId>          (optional, set by POST /funds/upload/init)
+ *
+ * Routing (see shared/documentTypes.js):
+ *   fundAction=create → create INT#<uuid> fund record + document → TextractStarterQueue
+ *   fundAction=attach → add document to existing fund          → TextractStarterQueue
  *
- * Routing:
- *   icmemo   → create INT#<uuid> fund record → TextractStarterQueue
- *   all else → update existing fund record   → TextractStarterQueue
+ * Fund name matching (shared/fundNames.js): before creating a fund, existing funds
+ * with a similar name are looked up; FUND_NAME_MATCH_MODE decides whether they are
+ * only recorded on the new fund (suggest) or the upload attaches to a confident match.
+ *
+ * Deduplication (shared/uploadDedup.js): each object version (bucket + key + ETag)
+ * is processed once, however often S3 delivers its event. The SHA-256 of the
+ * bytes is stored on the document, which gets duplicateOf when the same PDF
+ * was already uploaded for another fund.
  */
 export const handler = async (event, context) => {
   const requestId = context.awsRequestId;
@@ -202,21 +376,77 @@ export const handler = async (event, context) => {
       continue;
     }
 
-    const documentType = extractDocumentType(key);
-    if (!documentType) {
+    const docType = documentTypeFromKey(key);
+    if (!docType) {
       console.warn(JSON.stringify({
         level: "WARN", requestId,
         stage: "UNKNOWN_DOCUMENT_TYPE",
-        key, knownTypes: [...KNOWN_DOC_TYPES].join(", ")
+        key, knownTypes: listDocumentTypeIds().join(", ")
       }));
       continue;
     }
+    const documentType = docType.id;
+
+    const { fundName, fundId: metaFundId, documentId, etag: headEtag, checksumSha256 } =
+      await readS3Metadata(bucket, key, requestId);
+    const startedAt = Date.now();
 
-    const { fundName, fundId: metaFundId } = await readS3Metadata(bucket, key, requestId);
+    // S3 may deliver the same event more than once: only the delivery that
+    // claims this object version (bucket + key + ETag) processes it.
+    // Replayed events (stuck-job reaper) carry no eTag; HeadObject has it.
+    const etag  = stripQuotes(record.s3?.object?.eTag) || headEtag;
+    const claim = etag ? { table: UPLOAD_DEDUP_TABLE, bucket, key, etag, requestId } : null;
 
+    if (claim) {
+      let { claimed, existing } = await claimUpload(ddb, claim);
+      if (!claimed && await isRetryableClaim(existing)) {
+        console.log(JSON.stringify({
+          level: "INFO", requestId,
+          stage: "RETRYING_FAILED_UPLOAD",
+          bucket, key, etag, fundId: existing.fundId, documentId: existing.documentId
+        }));
+        ({ claimed, existing } = await reclaimUpload(ddb, { ...claim, completedAt: existing.completedAt }));
+      }
+      if (!claimed) {
+        console.warn(JSON.stringify({
+          level: "WARN", requestId,
+          stage: "DUPLICATE_S3_EVENT_SKIP",
+          documentType, bucket, key, etag,
+          claimStatus: existing?.status ?? null,
+          fundId: existing?.fundId, documentId: existing?.documentId
+        }));
+        continue;
+      }
+    } else {
+      console.warn(JSON.stringify({ level: "WARN", requestId, stage: "NO_ETAG_DEDUP_SKIPPED", bucket, key }));
+    }
+
+    let received;
     try {
-      if (documentType === "icmemo") {
-        await handleICMemo({ bucket, key, fileName, fundName, documentType, requestId });
+      const contentSha256 = await objectSha256(bucket, key, checksumSha256);
+
+      if (docType.fundAction === FUND_ACTIONS.CREATE) {
+        const { confident, candidates } = await matchExistingFund(fundName, requestId);
+
+        if (FUND_NAME_MATCH_MODE === "attach" && confident) {
+          console.log(JSON.stringify({
+            level: "INFO", requestId,
+            stage: "ATTACHING_TO_MATCHED_FUND",
+            fundName, fundId: confident.fundId, matchedName: confident.fundName, score: confident.score
+          }));
+          received = await handleExistingFund({
+            bucket, key, fileName, fundName, fundId: confident.fundId, documentType,
+            trackForAssembly: false,
+            contentSha256,
+            requestId
+          });
+        } else {
+          received = await handleNewFund({
+            bucket, key, fileName, fundName, documentType, contentSha256,
+            similarFunds: candidates,
+            requestId
+          });
+        }
       } else {
         if (!metaFundId) {
           console.error(JSON.stringify({
@@ -227,9 +457,45 @@ export const handler = async (event, context) => {
           }));
           continue;
         }
-        await handleExistingFund({ bucket, key, fileName, fundName, fundId: metaFundId, documentType, requestId });
+        received = await handleExistingFund({
+          bucket, key, fileName, fundName, fundId: metaFundId, documentId, documentType,
+          trackForAssembly: isAssembled(docType),
+          contentSha256,
+          requestId
+        });
+      }
+
+      if (received) {
+        if (claim) await completeUpload(ddb, { ...claim, ...received });
+
+        const duplicateOf = await checkDuplicateContent({
+          ...received, documentType, bucket, key, contentSha256, requestId
+        });
+
+        await recordEvent(ddb, {
+          table:      FUND_EVENTS_TABLE,
+          fundId:     received.fundId,
+          documentId: received.documentId,
+          stage:      EVENT_STAGES.UPLOAD_RECEIVED,
+          status:     DOCUMENT_STATUSES.RECEIVED,
+          durationMs: Date.now() - startedAt,
+          requestId,
+          detail:     {
+            documentType, key, contentSha256,
+            ...(duplicateOf.length && { duplicateOf: duplicateOf.map(m => m.fundId) })
+          }
+        });
       }
     } catch (err) {
+      if (err.name === "IllegalTransitionError") {
+        console.warn(JSON.stringify({
+          level: "WARN", requestId,
+          stage: "ILLEGAL_TRANSITION_SKIP",
+          documentType, bucket, key,
+          from: err.from, to: err.to
+        }));
+        continue;
+      }
       console.error(JSON.stringify({
         level: "ERROR", requestId,
         stage: "RECORD_PROCESSING_FAILED",
@@ -237,6 +503,28 @@ export const handler = async (event, context) => {
         error: err.message,
         stack: err.stack
       }));
+
+      // A new ICMemo fund has no id to attach the failure to
+      if (metaFundId) {
+        await recordEvent(ddb, {
+          table:      FUND_EVENTS_TABLE,
+          fundId:     metaFundId,
+          documentId: documentId || undefined,
+          stage:      EVENT_STAGES.UPLOAD_RECEIVED,
+          status:     DOCUMENT_STATUSES.FAILED,
+          durationMs: Date.now() - startedAt,
+          requestId,
+          error:      err.message,
+          detail:     { documentType, key }
+        });
+      }
+    } finally {
+      // Nothing recorded for this object: let a redelivered or replayed event retry it
+      if (claim && !received) {
+        await releaseUpload(ddb, claim).catch(err => console.warn(JSON.stringify({
+          level: "WARN", requestId, stage: "RELEASE_CLAIM_FAILED", bucket, key, error: err.message
+        })));
+      }
     }
   }
 
@@ -1,12 +1,10 @@
 import {
   TextractClient,
-  GetDocumentTextDetectionCommand
+  GetDocumentTextDetectionCommand,
+  GetDocumentAnalysisCommand
 } from "@aws-sdk/client-textract";
 
-import {
-  BedrockRuntimeClient,
-  ConverseCommand
-} from "@aws-sdk/client-bedrock-runtime";
+import { BedrockRuntimeClient } from "@aws-sdk/client-bedrock-runtime";
 
 import {
   S3Client,
@@ -15,29 +13,68 @@ import {
 } from "@aws-sdk/client-s3";
 
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 
 import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
 
+import Ajv from "ajv";
+
+import {
+  assetUri,
+  getDocumentType,
+  isAssembled,
+  usesDocumentAnalysis
+} from "./shared/documentTypes.js";
+import { converseForJson, formatAjvErrors } from "./shared/bedrockJson.js";
+import { withRetry } from "./shared/retry.js";
+import {
+  buildPageChunks, chunkInstruction, chunkSchema, estimateTokens, fillMissingValues, mergeChunkResults
+} from "./shared/chunking.js";
+import { PAGE_MARKER_HINT, formatPages, verifyCitations } from "./shared/pageCitations.js";
+import { checkFieldProvenance } from "./shared/icMemoProvenance.js";
+import {
+  ASSET_KINDS,
+  CATALOG_KEY,
+  buildProvenance,
+  loadCatalogedAsset,
+  parseCatalog
+} from "./shared/assetCatalog.js";
+import { getDocument, newDocumentId, parseJobTag, refreshFundStatus } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, canTransitionDocument, transitionDocument } from "./shared/fundLifecycle.js";
+import { completeJob, getJob } from "./shared/textractJobs.js";
+import { EVENT_STAGES, recordEvent } from "./shared/fundEvents.js";
+import { settleAssemblyDocument } from "./shared/fundAssembly.js";
+import { IC_MEMO, recordComplianceVerdict, runPreTradeCheck } from "./shared/preTradeCheck.js";
+import {
+  RULE_FIELD_DICTIONARY_KEY,
+  formatFieldDictionary,
+  normalizeRuleFields,
+  parseFieldDictionary
+} from "./shared/ruleFields.js";
+
 /* ---------------- CONFIG ---------------- */
 
 const REGION                    = process.env.AWS_REGION || "us-east-1";
 const MODEL_ID                  = process.env.NOVA_MODEL_ID || "amazon.nova-pro-v1:0";
-const ICMEMO_PROMPT_S3_URI      = process.env.ICMEMO_PROMPT_S3_URI;
-const ICMEMO_SCHEMA_S3_URI      = process.env.ICMEMO_SCHEMA_S3_URI;
-const RULES_ENGINE_PROMPT_S3_URI = process.env.RULES_ENGINE_PROMPT_S3_URI;
-const RULES_ENGINE_SCHEMA_S3_URI = process.env.RULES_ENGINE_SCHEMA_S3_URI;
+const ASSETS_BUCKET             = process.env.ASSETS_BUCKET;
 const DDB_TABLE                 = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE           = process.env.DOCUMENTS_TABLE;
+const TEXTRACT_JOBS_TABLE       = process.env.TEXTRACT_JOBS_TABLE;
+const FUND_EVENTS_TABLE         = process.env.FUND_EVENTS_TABLE;
 const SUCCESS_QUEUE_URL         = process.env.SUCCESS_QUEUE_URL;
 const DOC_BUCKET                = process.env.DOC_BUCKET;
+const FUND_ASSEMBLE_QUEUE_URL   = process.env.FUND_ASSEMBLE_QUEUE_URL;
+const MAX_REPAIR_ATTEMPTS       = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2);
+const CHUNK_MAX_TOKENS          = Number(process.env.CHUNK_MAX_TOKENS || 30000);
 
-if (!ICMEMO_PROMPT_S3_URI)       throw new Error("ICMEMO_PROMPT_S3_URI env var is not set");
-if (!ICMEMO_SCHEMA_S3_URI)       throw new Error("ICMEMO_SCHEMA_S3_URI env var is not set");
-if (!RULES_ENGINE_PROMPT_S3_URI) throw new Error("RULES_ENGINE_PROMPT_S3_URI env var is not set");
-if (!RULES_ENGINE_SCHEMA_S3_URI) throw new Error("RULES_ENGINE_SCHEMA_S3_URI env var is not set");
+if (!ASSETS_BUCKET)              throw new Error("ASSETS_BUCKET env var is not set");
 if (!DDB_TABLE)                  throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE)            throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!TEXTRACT_JOBS_TABLE)        throw new Error("TEXTRACT_JOBS_TABLE env var is not set");
+if (!FUND_EVENTS_TABLE)          throw new Error("FUND_EVENTS_TABLE env var is not set");
 if (!SUCCESS_QUEUE_URL)          throw new Error("SUCCESS_QUEUE_URL env var is not set");
 if (!DOC_BUCKET)                 throw new Error("DOC_BUCKET env var is not set");
+if (!FUND_ASSEMBLE_QUEUE_URL)    throw new Error("FUND_ASSEMBLE_QUEUE_URL env var is not set");
 
 /* ---------------- CLIENTS ---------------- */
 
@@ -46,6 +83,11 @@ const bedrock  = new BedrockRuntimeClient({ region: REGION });
 const s3       = new S3Client({ region: REGION });
 const ddb      = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
 const sqsClient = new SQSClient({ region: REGION });
+const ajv       = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators keyed by schema URI + sha256 — reused across warm
+// invocations, recompiled when a new catalogued schema version is deployed.
+const validatorCache = new Map();
 
 /* ---------------- LOGGER ---------------- */
 
@@ -62,149 +104,714 @@ async function readS3Text(uri) {
   return resp.Body.transformToString("utf-8");
 }
 
+function getValidator(cacheKey, schemaText) {
+  if (!validatorCache.has(cacheKey)) {
+    validatorCache.set(cacheKey, ajv.compile(JSON.parse(schemaText)));
+  }
+  return validatorCache.get(cacheKey);
+}
+
+/**
+ * Form fields of a FORMS analysis, by page: Map of page → ["Key: value", ...].
+ * Selection elements (checkboxes) are rendered as [X] / [ ] — they have no
+ * LINE text, so without this a ticked box never reaches the prompt.
+ */
+function formFieldsByPage(blocks) {
+  const byId      = new Map(blocks.map(b => [b.Id, b]));
+  const relatedOf = (block, type) => (block?.Relationships || []).filter(r => r.Type === type).flatMap(r => r.Ids);
+  const textOf    = (block) => relatedOf(block, "CHILD")
+    .map(id => byId.get(id))
+    .map(c => c?.BlockType === "SELECTION_ELEMENT" ? (c.SelectionStatus === "SELECTED" ? "[X]" : "[ ]") : c?.Text)
+    .filter(Boolean)
+    .join(" ");
+
+  const fields = new Map();
+  for (const key of blocks.filter(b => b.BlockType === "KEY_VALUE_SET" && b.EntityTypes?.includes("KEY"))) {
+    const label = textOf(key).trim();
+    if (!label) continue;
+
+    const value  = relatedOf(key, "VALUE").map(id => textOf(byId.get(id))).join(" ").trim();
+    const pageNo = key.Page ?? 1;
+    if (!fields.has(pageNo)) fields.set(pageNo, []);
+    fields.get(pageNo).push(`${label}: ${value}`);
+  }
+  return fields;
+}
+
 /**
- * Paginate GetDocumentTextDetection to collect all LINE blocks.
- * Large documents produce results split across multiple pages.
+ * Paginate GetDocumentTextDetection (or GetDocumentAnalysis for jobs started
+ * with StartDocumentAnalysis) to collect all LINE blocks, grouped by page.
+ * Large documents produce results split across multiple response pages.
+ * For FORMS analyses each page's text ends with its form fields.
+ * Returns { pages: [{ page, text }] in page order, blocks: every raw Block }.
+ * The raw blocks are cached in S3 so later re-extraction never needs Textract.
  */
-async function extractTextFromJob(jobId, requestId) {
-  const lines = [];
+async function extractTextFromJob(jobId, useAnalysis, requestId) {
+  const GetCommand  = useAnalysis ? GetDocumentAnalysisCommand : GetDocumentTextDetectionCommand;
+  const linesByPage = new Map();
+  const blocks      = [];
   let nextToken;
-  let page = 0;
+  let batch = 0;
+  let totalLines = 0;
 
   do {
     const params = { JobId: jobId };
     if (nextToken) params.NextToken = nextToken;
 
-    const resp = await textract.send(new GetDocumentTextDetectionCommand(params));
+    const resp = await withRetry(() => textract.send(new GetCommand(params)), {
+      label: useAnalysis ? "GetDocumentAnalysis" : "GetDocumentTextDetection", log, logMeta: { requestId, jobId, batch }
+    });
 
     if (resp.JobStatus === "FAILED") {
       throw new Error(`Textract job ${jobId} failed: ${resp.StatusMessage || "unknown reason"}`);
     }
 
-    const pageLines = (resp.Blocks || [])
-      .filter(b => b.BlockType === "LINE")
-      .map(b => b.Text || "")
-      .filter(t => t.trim());
+    blocks.push(...(resp.Blocks || []));
+
+    const lineBlocks = (resp.Blocks || [])
+      .filter(b => b.BlockType === "LINE" && (b.Text || "").trim());
+
+    for (const b of lineBlocks) {
+      const pageNo = b.Page ?? 1;
+      if (!linesByPage.has(pageNo)) linesByPage.set(pageNo, []);
+      linesByPage.get(pageNo).push(b.Text);
+    }
 
-    lines.push(...pageLines);
+    totalLines += lineBlocks.length;
     nextToken = resp.NextToken;
-    page++;
+    batch++;
 
     log("DEBUG", "Textract page processed", {
-      requestId, jobId, page, linesThisPage: pageLines.length, hasMore: !!nextToken
+      requestId, jobId, page: batch, linesThisPage: lineBlocks.length, hasMore: !!nextToken
     });
   } while (nextToken);
 
+  const formFields = useAnalysis ? formFieldsByPage(blocks) : new Map();
+  for (const pageNo of formFields.keys()) {
+    if (!linesByPage.has(pageNo)) linesByPage.set(pageNo, []);
+  }
+
+  const pages = [...linesByPage.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([page, lines]) => ({
+      page,
+      text: formFields.has(page)
+        ? `${lines.join("\n")}\n\nForm fields:\n${formFields.get(page).join("\n")}`.trim()
+        : lines.join("\n")
+    }));
+
   log("INFO", "Textract pagination complete", {
-    requestId, jobId, totalPages: page, totalLines: lines.length
+    requestId, jobId, totalPages: batch, documentPages: pages.length, totalLines, totalBlocks: blocks.length,
+    formFields: [...formFields.values()].reduce((n, f) => n + f.length, 0)
   });
 
-  return lines.join("\n");
+  return { pages, blocks };
+}
+
+/** Read a JSON object from the documents bucket. */
+async function readDocJson(key) {
+  const resp = await s3.send(new GetObjectCommand({ Bucket: DOC_BUCKET, Key: key }));
+  return JSON.parse(await resp.Body.transformToString("utf-8"));
 }
 
-async function updateFundStatus({ fundId, status, resultPath, errorReason }) {
-  const updateExp    = ["#s = :s", "updatedAt = :u"];
-  const exprNames    = { "#s": "status" };
-  const exprValues   = { ":s": status, ":u": new Date().toISOString() };
+/**
+ * Transition a document to its new status (plus any result / error fields)
+ * on FundDocumentsTable, refresh the fund's aggregate status and close the
+ * record's stage on the fund timeline.
+ */
+async function updateDocumentStatus({
+  fundId, documentId, status, resultPath, errorReason, validationErrors, invalidOutputPath,
+  citationCheck, ruleFieldCheck, fieldProvenanceCheck, ocrPaths, provenance, timeline
+}) {
+  await transitionDocument(ddb, {
+    table: DOCUMENTS_TABLE,
+    fundId,
+    documentId,
+    to:  status,
+    set: {
+      resultPath, errorReason, validationErrors, invalidOutputPath,
+      citationCheck, ruleFieldCheck, fieldProvenanceCheck, ocrPaths, provenance
+    },
+    // A successful re-run clears the previous failure details
+    remove: status === DOCUMENT_STATUSES.SUCCEEDED ? ["errorReason", "validationErrors", "invalidOutputPath", "timedOutAt", "reaperAttempts", "throttleRetries"] : [],
+    actor:  "textractResultsWorkerLambda"
+  });
 
-  if (resultPath) { updateExp.push("resultPath = :r");   exprValues[":r"] = resultPath; }
-  if (errorReason){ updateExp.push("errorReason = :e");  exprValues[":e"] = errorReason; }
+  await refreshFundStatus(ddb, { fundsTable: DDB_TABLE, documentsTable: DOCUMENTS_TABLE, fundId });
 
-  await ddb.send(new UpdateCommand({
-    TableName: DDB_TABLE,
-    Key: { fundId },
-    UpdateExpression: "SET " + updateExp.join(", "),
-    ExpressionAttributeNames: exprNames,
-    ExpressionAttributeValues: exprValues
-  }));
+  await recordTimelineEvent(timeline, status, { error: errorReason });
+}
+
+/**
+ * Append this record's stage to the fund timeline (shared/fundEvents.js).
+ * `timeline` is filled in as the record is resolved:
+ *   { stage, startedAt, requestId, fundId?, documentId?, detail? }
+ */
+async function recordTimelineEvent(timeline, status, { error } = {}) {
+  if (!timeline?.fundId) return;
+
+  await recordEvent(ddb, {
+    table:      FUND_EVENTS_TABLE,
+    fundId:     timeline.fundId,
+    documentId: timeline.documentId,
+    stage:      timeline.stage,
+    status,
+    durationMs: Date.now() - timeline.startedAt,
+    requestId:  timeline.requestId,
+    error,
+    detail:     timeline.detail
+  });
+}
+
+/**
+ * Whether the document still accepts this outcome. A duplicated or late
+ * completion (the document already SUCCEEDED, or was re-uploaded since) is
+ * dropped before any Bedrock call or S3 write. A re-upload puts the document
+ * back in TEXTRACT_PROCESSING with a new textractJobId, so a Textract
+ * completion (jobId) must also be for the document's current job; records
+ * without a textractJobId are checked on status alone.
+ *
+ * The starter registers a job (registeredAt) before it moves the document to
+ * TEXTRACT_PROCESSING, so a fast completion can find the document still
+ * RECEIVED from before the job started. That throws, and SQS redelivers the
+ * completion once the starter has caught up; a document RECEIVED after the
+ * job started was re-uploaded, and the completion is stale.
+ * Returns { accepted, document } — document is null when it no longer exists.
+ */
+async function acceptsOutcome({ fundId, documentId, status, jobId, registeredAt, requestId }) {
+  const document   = await getDocument(ddb, { table: DOCUMENTS_TABLE, fundId, documentId });
+  const currentJob = document?.textractJobId;
+  const sameJob    = !jobId || !currentJob || currentJob === jobId;
+
+  if (sameJob && canTransitionDocument(document?.status, status)) return { accepted: true, document };
+
+  if (registeredAt && document?.status === DOCUMENT_STATUSES.RECEIVED && document.updatedAt <= registeredAt) {
+    throw new Error(`Document ${documentId} is not TEXTRACT_PROCESSING yet for Textract job ${jobId}`);
+  }
+
+  log("WARN", "Stale completion dropped", {
+    requestId, fundId, documentId, currentStatus: document?.status ?? null, outcome: status,
+    ...(jobId && { jobId, currentJobId: currentJob ?? null })
+  });
+  return { accepted: false, document };
+}
+
+// Statuses in which a document is no longer waiting on any Textract job
+const ENDED_DOCUMENT_STATUSES = new Set([
+  DOCUMENT_STATUSES.SUCCEEDED,
+  DOCUMENT_STATUSES.VALIDATION_FAILED,
+  DOCUMENT_STATUSES.FAILED
+]);
+
+// Document types whose result feeds the pre-trade compliance check: the IC
+// memo itself, or the IMA rules it is checked against
+const PRE_TRADE_CHECK_TYPES = new Set([IC_MEMO, "ima"]);
+
+/**
+ * Re-run the fund's pre-trade compliance check (shared/preTradeCheck.js) and
+ * store the verdict on the fund. Best-effort: the extraction already
+ * succeeded, so a failed check is logged and never retried.
+ */
+async function checkPreTradeCompliance({ fundId, requestId }) {
+  try {
+    const verdict = await runPreTradeCheck(s3, { bucket: DOC_BUCKET, fundId });
+    if (!verdict) return;
+
+    const written = await recordComplianceVerdict(ddb, { table: DDB_TABLE, fundId, verdict });
+
+    log(verdict.blockingBreaches?.length ? "WARN" : "INFO", "Pre-trade compliance checked", {
+      requestId, fundId, written, outcome: verdict.outcome,
+      rulesResultId:    verdict.rulesSource?.resultId ?? null,
+      blockingBreaches: verdict.blockingBreaches?.map(b => b.rule_code) ?? [],
+      unresolvedFields: verdict.unresolvedFields?.map(f => f.field) ?? []
+    });
+  } catch (err) {
+    log("WARN", "Pre-trade compliance check failed", { requestId, fundId, error: err.message });
+  }
+}
+
+const buildUserPrompt = (schema, documentText, prompt) =>
+  `JSON Schema (must conform exactly):\n${schema}\n\n` +
+  `Document text (${PAGE_MARKER_HINT}):\n${documentText}\n\n${prompt}`;
+
+const BEDROCK_INFERENCE = { maxTokens: 6000, temperature: 0.1, topP: 0.9 };
+
+/**
+ * Run the Bedrock extraction for one document and return schema-valid JSON.
+ * Same result shape as converseForJson ({ ok, value, errors, attempts, rawOutput,
+ * usage }), plus `chunks` when the document was extracted in page ranges.
+ *
+ * Document types with `chunking: true` whose OCR text exceeds CHUNK_MAX_TOKENS
+ * are split into page-range chunks; each chunk is extracted and validated on
+ * its own (against chunkSchema — values not on its pages are null), then the
+ * results are merged (sections / clauses / rules deduped by id), values no
+ * chunk found are filled in and the merged object is validated again.
+ */
+async function extractStructured({ docType, pages, extractedText, prompt, schema, validate, validatorKey, logMeta }) {
+  const common = {
+    bedrock,
+    modelId: MODEL_ID,
+    validate,
+    inferenceConfig: BEDROCK_INFERENCE,
+    maxRepairAttempts: MAX_REPAIR_ATTEMPTS,
+    log
+  };
+
+  const documentTokens = estimateTokens(extractedText);
+  if (!docType.chunking || documentTokens <= CHUNK_MAX_TOKENS) {
+    return converseForJson({ ...common, userPrompt: buildUserPrompt(schema, extractedText, prompt), logMeta });
+  }
+
+  const chunks        = buildPageChunks(pages, { maxTokens: CHUNK_MAX_TOKENS });
+  const totalPages    = pages.length ? pages[pages.length - 1].page : 0;
+  const parsedSchema  = JSON.parse(schema);
+  const validateChunk = getValidator(`${validatorKey}#chunk`, JSON.stringify(chunkSchema(parsedSchema)));
+
+  log("INFO", "Chunked extraction", {
+    ...logMeta, documentTokens, chunkMaxTokens: CHUNK_MAX_TOKENS,
+    chunks: chunks.map(c => `${c.startPage}-${c.endPage}`)
+  });
+
+  const values = [];
+  const usage  = { inputTokens: 0, outputTokens: 0 };
+  let attempts = 0;
+
+  for (const [i, chunk] of chunks.entries()) {
+    const chunkText = formatPages(chunk.pages);
+    const result = await converseForJson({
+      ...common,
+      validate:   validateChunk,
+      userPrompt: buildUserPrompt(schema, chunkText, `${prompt}\n\n${chunkInstruction(chunk, totalPages)}`),
+      logMeta: { ...logMeta, chunk: i + 1, chunkCount: chunks.length, startPage: chunk.startPage, endPage: chunk.endPage }
+    });
+
+    attempts += result.attempts;
+    usage.inputTokens  += result.usage.inputTokens;
+    usage.outputTokens += result.usage.outputTokens;
+    if (!result.ok) {
+      return {
+        ...result,
+        attempts,
+        usage,
+        chunks: chunks.length,
+        errors: result.errors.map(e => `chunk ${i + 1} (pages ${chunk.startPage}-${chunk.endPage}): ${e}`)
+      };
+    }
+    values.push(result.value);
+  }
+
+  const merged = fillMissingValues(mergeChunkResults(values), parsedSchema);
+  if (!validate(merged)) {
+    return {
+      ok: false,
+      errors: formatAjvErrors(validate.errors).map(e => `merged: ${e}`),
+      attempts,
+      usage,
+      chunks: chunks.length,
+      rawOutput: JSON.stringify(merged, null, 2)
+    };
+  }
+
+  return { ok: true, value: merged, attempts, usage, chunks: chunks.length };
+}
+
+/**
+ * Take an IMA / SideLetter document out of the fund's pending assembly set
+ * (shared/fundAssembly.js) and enqueue the assembly once nothing is pending.
+ * ocrKey is only passed when OCR succeeded.
+ */
+function settleAssembly({ fundId, documentId, ocrKey, triggeredBy, requestId }) {
+  return settleAssemblyDocument(ddb, sqsClient, {
+    table: DDB_TABLE, queueUrl: FUND_ASSEMBLE_QUEUE_URL, fundId, documentId, ocrKey, triggeredBy,
+    log, logMeta: { requestId }
+  });
+}
+
+/**
+ * Resolve a Textract completion to its fund + document.
+ * The job registry item written by textractStarterLambda is authoritative.
+ * Jobs started before the registry existed fall back to their JobTag
+ * ("<P>:<uuid>:<documentType | documentId>"); a document record is created
+ * for tags that predate per-document records.
+ * Returns { fundId, documentId, documentType, key, registered }.
+ */
+async function resolveJob({ jobId, jobTag, sourceKey }) {
+  const job = await getJob(ddb, { table: TEXTRACT_JOBS_TABLE, jobId });
+  if (job) return { ...job, registered: true };
+
+  // No registry item and no legacy tag — most likely the starter has not
+  // written the item yet; throwing lets SQS redeliver the completion.
+  if (!jobTag?.includes(":")) throw new Error(`No job registry entry for Textract job ${jobId}`);
+
+  const legacy     = parseJobTag(jobTag);
+  const documentId = legacy.documentId || newDocumentId(legacy.documentType);
+
+  if (!legacy.documentId) {
+    const base = { table: DOCUMENTS_TABLE, fundId: legacy.fundId, documentId, actor: "textractResultsWorkerLambda" };
+    await transitionDocument(ddb, {
+      ...base,
+      to:     DOCUMENT_STATUSES.RECEIVED,
+      set:    { documentType: legacy.documentType, objectKey: sourceKey, fileName: sourceKey.split("/").pop() },
+      reason: "legacy JobTag"
+    });
+    await transitionDocument(ddb, { ...base, to: DOCUMENT_STATUSES.TEXTRACT_PROCESSING, set: { textractJobId: jobId } });
+  }
+
+  return { ...legacy, documentId, key: sourceKey, registered: false };
 }
 
 /* ---------------- CORE PROCESSING ---------------- */
 
-async function processRecord(record, requestId) {
+// Message type fundReextract sends straight to TextractResultsQueue (no SNS envelope).
+const REEXTRACT_MESSAGE_TYPE = "REEXTRACT";
+
+/** Key-safe file name used in every S3 output key for a document. */
+const toSafeFileName = (sourceKey) =>
+  (sourceKey.split("/").pop() || "document").replace(/\s+/g, "_").replace(/[^\w.\-]/g, "");
+
+async function processRecord(record, requestId, timeline) {
+  const body = JSON.parse(record.body);
+
+  if (body.type === REEXTRACT_MESSAGE_TYPE) {
+    await processReextract(body, requestId, timeline);
+    return;
+  }
 
   // 1. Double-parse SNS→SQS envelope
-  const snsEnvelope  = JSON.parse(record.body);
-  const notification = JSON.parse(snsEnvelope.Message);
+  const notification = JSON.parse(body.Message);
 
-  const { JobId, Status, JobTag, DocumentLocation } = notification;
+  const { JobId, Status, JobTag, DocumentLocation, API } = notification;
 
-  if (!JobId)  throw new Error("Missing JobId in Textract notification");
-  if (!JobTag) throw new Error("Missing JobTag in Textract notification");
+  if (!JobId) throw new Error("Missing JobId in Textract notification");
 
-  // JobTag format: "<P>:<uuid>:<documentType>"  P=I(INT#) or E(EXT#)
-  const firstColon = JobTag.indexOf(":");
-  const lastColon  = JobTag.lastIndexOf(":");
-  if (firstColon === -1 || firstColon === lastColon) throw new Error(`Invalid JobTag format: ${JobTag}`);
+  // Resolve JobId → fund + document through the job registry (shared/textractJobs.js)
+  const job = await resolveJob({ jobId: JobId, jobTag: JobTag, sourceKey: DocumentLocation?.S3ObjectName || "" });
+  const { fundId, documentId, documentType } = job;
 
-  const prefixChar   = JobTag.slice(0, firstColon);
-  const uuid         = JobTag.slice(firstColon + 1, lastColon);
-  const documentType = JobTag.slice(lastColon + 1);
-  const fundId       = `${prefixChar === "I" ? "INT" : "EXT"}#${uuid}`;
+  Object.assign(timeline, {
+    fundId,
+    documentId,
+    detail: {
+      textractJobId: JobId,
+      // Time Textract spent on the job, from the registry's requestedAt
+      ...(job.requestedAt && { textractMs: Date.now() - Date.parse(job.requestedAt) })
+    }
+  });
+
+  // Derive original filename from the S3 key recorded when the job started
+  const originalKey  = job.key || DocumentLocation?.S3ObjectName || "";
+  const safeFileName = toSafeFileName(originalKey);
 
-  // Derive original filename from the S3 key in the notification
-  const originalKey  = DocumentLocation?.S3ObjectName || "";
-  const fileName     = originalKey.split("/").pop() || "document";
-  const safeFileName = fileName.replace(/\s+/g, "_").replace(/[^\w.\-]/g, "");
+  const docType = getDocumentType(documentType);
+  if (!docType) throw new Error(`Unknown documentType for Textract job ${JobId}: ${documentType}`);
+
+  log("INFO", "Processing Textract completion", {
+    requestId, fundId, documentId, documentType, JobId, Status, registered: job.registered
+  });
 
-  log("INFO", "Processing Textract completion", { requestId, fundId, documentType, JobId, Status });
+  if (job.registered) {
+    await completeJob(ddb, { table: TEXTRACT_JOBS_TABLE, jobId: JobId, textractStatus: Status });
+  }
+
+  const outcome = Status === "SUCCEEDED" ? DOCUMENT_STATUSES.SUCCEEDED : DOCUMENT_STATUSES.FAILED;
+  const { accepted, document } = await acceptsOutcome({
+    fundId, documentId, status: outcome, jobId: JobId, registeredAt: job.registered ? job.requestedAt : undefined, requestId
+  });
+  if (!accepted) {
+    // A document that has ended (or was deleted) is not waiting on a newer job,
+    // so the dropped completion still ends its wait for the fund assembly
+    if (isAssembled(docType) && (!document || ENDED_DOCUMENT_STATUSES.has(document.status))) {
+      await settleAssembly({ fundId, documentId, triggeredBy: originalKey, requestId });
+    }
+    return;
+  }
 
   // 2. Handle terminal FAILED status — mark DDB, return (no retry)
   if (Status !== "SUCCEEDED") {
-    log("ERROR", "Textract job did not succeed", { requestId, fundId, JobId, Status });
-    await updateFundStatus({
+    log("ERROR", "Textract job did not succeed", { requestId, fundId, documentId, JobId, Status });
+    await updateDocumentStatus({
       fundId,
-      status: "FAILED",
-      errorReason: `Textract job ${JobId} ended with status: ${Status}`
+      documentId,
+      status: DOCUMENT_STATUSES.FAILED,
+      errorReason: `Textract job ${JobId} ended with status: ${Status}`,
+      timeline
     });
+    // Release the pending slot so the remaining documents can still be assembled
+    if (isAssembled(docType)) {
+      await settleAssembly({ fundId, documentId, triggeredBy: originalKey, requestId });
+    }
     return;
   }
 
   // 3. Paginate Textract results
-  log("INFO", "Fetching Textract results", { requestId, fundId, JobId });
-  const extractedText = await extractTextFromJob(JobId, requestId);
+  // Prefer the API named in the notification, then the job registry, then the document type.
+  const startApi    = API || job.api;
+  const useAnalysis = startApi ? startApi === "StartDocumentAnalysis" : usesDocumentAnalysis(docType);
+
+  log("INFO", "Fetching Textract results", { requestId, fundId, JobId, useAnalysis });
+  const { pages, blocks } = await extractTextFromJob(JobId, useAnalysis, requestId);
+  const extractedText     = formatPages(pages);
 
   log("INFO", "Text extracted", { requestId, fundId, documentType, chars: extractedText.length });
 
-  // 4. Load prompt + schema based on document type
-  const isICMemo = documentType === "icmemo";
-  const promptUri = isICMemo ? ICMEMO_PROMPT_S3_URI      : RULES_ENGINE_PROMPT_S3_URI;
-  const schemaUri = isICMemo ? ICMEMO_SCHEMA_S3_URI       : RULES_ENGINE_SCHEMA_S3_URI;
+  // Persist the raw Textract blocks, the OCR text (with page markers) and the
+  // per-page text next to the per-document results. fundReextract re-runs the
+  // Bedrock stage from these files without a new Textract job.
+  // Pattern: <fundId>/<documentType>/ocr/<safeFilename>.<ts>.txt
+  //          <fundId>/<documentType>/ocr/<safeFilename>.<ts>.pages.json
+  //          <fundId>/<documentType>/ocr/<safeFilename>.<ts>.blocks.json
+  const ts        = new Date().toISOString().replace(/[:.]/g, "-");
+  const ocrKey    = `${fundId}/${documentType}/ocr/${safeFileName}.${ts}.txt`;
+  const pagesKey  = `${fundId}/${documentType}/ocr/${safeFileName}.${ts}.pages.json`;
+  const blocksKey = `${fundId}/${documentType}/ocr/${safeFileName}.${ts}.blocks.json`;
+
+  await Promise.all([
+    s3.send(new PutObjectCommand({
+      Bucket: DOC_BUCKET,
+      Key:    ocrKey,
+      Body:   extractedText,
+      ContentType: "text/plain; charset=utf-8"
+    })),
+    s3.send(new PutObjectCommand({
+      Bucket: DOC_BUCKET,
+      Key:    pagesKey,
+      Body:   JSON.stringify({ textractJobId: JobId, sourceKey: originalKey, pageCount: pages.length, pages }),
+      ContentType: "application/json"
+    })),
+    s3.send(new PutObjectCommand({
+      Bucket: DOC_BUCKET,
+      Key:    blocksKey,
+      Body:   JSON.stringify({ textractJobId: JobId, sourceKey: originalKey, api: API || null, blocks }),
+      ContentType: "application/json"
+    }))
+  ]);
+
+  const ocrPaths = {
+    textPath:   `s3://${DOC_BUCKET}/${ocrKey}`,
+    pagesPath:  `s3://${DOC_BUCKET}/${pagesKey}`,
+    blocksPath: `s3://${DOC_BUCKET}/${blocksKey}`
+  };
+
+  log("INFO", "OCR output written to S3", {
+    requestId, fundId, documentType, ...ocrPaths, pageCount: pages.length, blockCount: blocks.length
+  });
+
+  // IMA / SideLetter OCR feeds the fund-level merge — enqueue it once nothing is pending.
+  // Runs before per-document extraction so a schema failure here does not block assembly.
+  if (isAssembled(docType)) {
+    await settleAssembly({ fundId, documentId, ocrKey, triggeredBy: ocrKey, requestId });
+  }
 
-  const [prompt, schema] = await Promise.all([
-    readS3Text(promptUri),
-    readS3Text(schemaUri)
+  await runExtraction({
+    fundId, documentId, documentType, docType, safeFileName, ts, pages, extractedText, ocrPaths,
+    promptKey: docType.promptKey,
+    schemaKey: docType.schemaKey,
+    requestId,
+    timeline
+  });
+}
+
+/**
+ * Re-run only the Bedrock stage for a document whose OCR is already cached.
+ * Message (from fundReextract):
+ *   { type: "REEXTRACT", fundId, documentId, documentType, pagesKey, promptKey?, schemaKey?, requestedAt }
+ * promptKey / schemaKey fall back to the registry entry for the document type.
+ * Assembly bookkeeping is skipped — the OCR text it depends on has not changed.
+ */
+async function processReextract(message, requestId, timeline) {
+  const { fundId, documentId, documentType, pagesKey } = message;
+
+  if (!fundId || !documentId || !pagesKey) {
+    throw new Error("REEXTRACT message requires fundId, documentId and pagesKey");
+  }
+
+  const docType = getDocumentType(documentType);
+  if (!docType) throw new Error(`Unknown documentType in REEXTRACT message: ${documentType}`);
+
+  log("INFO", "Processing re-extraction", { requestId, fundId, documentId, documentType, pagesKey });
+  Object.assign(timeline, { stage: EVENT_STAGES.REEXTRACTION, fundId, documentId });
+
+  const { accepted } = await acceptsOutcome({ fundId, documentId, status: DOCUMENT_STATUSES.SUCCEEDED, requestId });
+  if (!accepted) return;
+
+  const cached        = await readDocJson(pagesKey);
+  const pages         = cached.pages || [];
+  const extractedText = formatPages(pages);
+  const ocrBase       = pagesKey.replace(/\.pages\.json$/, "");
+
+  await runExtraction({
+    fundId,
+    documentId,
+    documentType:  docType.id,
+    docType,
+    safeFileName:  toSafeFileName(cached.sourceKey || ""),
+    ts:            new Date().toISOString().replace(/[:.]/g, "-"),
+    pages,
+    extractedText,
+    ocrPaths: {
+      textPath:   `s3://${DOC_BUCKET}/${ocrBase}.txt`,
+      pagesPath:  `s3://${DOC_BUCKET}/${pagesKey}`,
+      blocksPath: `s3://${DOC_BUCKET}/${ocrBase}.blocks.json`
+    },
+    promptKey: message.promptKey || docType.promptKey,
+    schemaKey: message.schemaKey || docType.schemaKey,
+    requestId,
+    timeline
+  });
+}
+
+/**
+ * Bedrock stage: prompt + schema → validated JSON → result file, citation
+ * check, DynamoDB status and SuccessQueue notification. Shared by fresh
+ * Textract completions and re-extractions from cached OCR.
+ */
+async function runExtraction({
+  fundId, documentId, documentType, docType, safeFileName, ts, pages, extractedText, ocrPaths,
+  promptKey, schemaKey, requestId, timeline
+}) {
+  // 4. Load prompt + schema (registry defaults, or re-extraction overrides)
+  //    through the asset catalog — fails if either is uncatalogued or drifted.
+  //    Rule-producing types also get the rule field dictionary appended.
+  const promptUri = assetUri(ASSETS_BUCKET, promptKey);
+  const schemaUri = assetUri(ASSETS_BUCKET, schemaKey);
+  const readAsset = (key) => readS3Text(assetUri(ASSETS_BUCKET, key));
+  const catalog   = parseCatalog(await readAsset(CATALOG_KEY));
+
+  const [promptAsset, schemaAsset, dictionaryAsset] = await Promise.all([
+    loadCatalogedAsset(catalog, promptKey, ASSET_KINDS.PROMPT, readAsset),
+    loadCatalogedAsset(catalog, schemaKey, ASSET_KINDS.SCHEMA, readAsset),
+    docType.ruleFields
+      ? loadCatalogedAsset(catalog, RULE_FIELD_DICTIONARY_KEY, ASSET_KINDS.DICTIONARY, readAsset)
+      : null
   ]);
+  const fieldDictionary = dictionaryAsset && parseFieldDictionary(dictionaryAsset.text);
+  const prompt = fieldDictionary
+    ? `${promptAsset.text}\n\n${formatFieldDictionary(fieldDictionary)}`
+    : promptAsset.text;
+  const schema = schemaAsset.text;
+
+  // 5. Call Bedrock → strip fences, parse, AJV validate; re-prompt with the
+  //    errors up to MAX_REPAIR_ATTEMPTS times before giving up. Long PPM / LPA
+  //    text is extracted in page-range chunks and merged.
+  log("INFO", "Sending to Bedrock", {
+    requestId, fundId, documentType, promptUri, schemaUri,
+    promptVersion: promptAsset.ref.version, schemaVersion: schemaAsset.ref.version
+  });
 
-  // 5. Call Bedrock
-  const userPrompt = `JSON Schema (must conform exactly):\n${schema}\n\nDocument text:\n${extractedText}\n\n${prompt}`;
+  const validatorKey = `${schemaUri}#${schemaAsset.ref.sha256}`;
+  const result = await extractStructured({
+    docType,
+    pages,
+    extractedText,
+    prompt,
+    schema,
+    validate: getValidator(validatorKey, schema),
+    validatorKey,
+    logMeta: { requestId, fundId, documentType }
+  });
 
-  log("INFO", "Sending to Bedrock", { requestId, fundId, documentType });
+  const provenance = buildProvenance({
+    prompt:          promptAsset.ref,
+    schema:          schemaAsset.ref,
+    fieldDictionary: dictionaryAsset?.ref,
+    modelId:         MODEL_ID,
+    inferenceConfig: BEDROCK_INFERENCE,
+    usage:           result.usage,
+    attempts:        result.attempts,
+    chunks:          result.chunks
+  });
 
-  const bedrockStart = Date.now();
-  const bedrockResp = await bedrock.send(new ConverseCommand({
-    modelId: MODEL_ID,
-    messages: [{ role: "user", content: [{ text: userPrompt }] }],
-    inferenceConfig: { maxTokens: 6000, temperature: 0.1, topP: 0.9 }
-  }));
+  // 6. Still invalid after repairs — terminal for this document (no SQS retry).
+  //    Keep the last raw output for review and persist the errors on the record.
+  if (!result.ok) {
+    const invalidKey = `${fundId}/${documentType}/invalid/${safeFileName}.${ts}.txt`;
+
+    await s3.send(new PutObjectCommand({
+      Bucket: DOC_BUCKET,
+      Key:    invalidKey,
+      Body:   result.rawOutput,
+      ContentType: "text/plain; charset=utf-8"
+    }));
+
+    log("ERROR", "Schema validation failed after repair attempts", {
+      requestId, fundId, documentType, schemaUri, attempts: result.attempts, errors: result.errors
+    });
+
+    await updateDocumentStatus({
+      fundId,
+      documentId,
+      status: DOCUMENT_STATUSES.VALIDATION_FAILED,
+      errorReason: `Schema validation failed (${schemaKey}) after ${result.attempts} attempt(s)`,
+      validationErrors: result.errors.slice(0, 50),
+      invalidOutputPath: `s3://${DOC_BUCKET}/${invalidKey}`,
+      ocrPaths,
+      provenance,
+      timeline
+    });
+    return;
+  }
+
+  log("INFO", "Schema validation passed", { requestId, fundId, documentType, schemaUri, attempts: result.attempts, usage: result.usage });
+
+  // 7. Map rule condition fields onto the rule field dictionary. Rules with
+  //    fields or values it cannot map move to rejected_rules — reported, not fatal.
+  let extracted = result.value;
+  let fieldCheck = null;
+  let ruleFieldCheck;
 
-  log("INFO", "Bedrock response received", { requestId, fundId, durationMs: Date.now() - bedrockStart });
+  if (fieldDictionary) {
+    ({ result: extracted, check: fieldCheck } = normalizeRuleFields(extracted, fieldDictionary));
+  }
 
-  const finalOutput =
-    bedrockResp?.output?.message?.content
-      ?.filter(c => c?.text)
-      .map(c => c.text)
-      .join("\n\n") || "";
+  if (fieldCheck) {
+    ruleFieldCheck = {
+      dictionaryVersion: fieldCheck.dictionary.version,
+      checked:           fieldCheck.checked,
+      mapped:            fieldCheck.mapped.length,
+      rejected:          fieldCheck.rejected.length
+    };
+
+    log(fieldCheck.rejected.length ? "WARN" : "INFO", "Rule field check complete", {
+      requestId, fundId, documentType, ...ruleFieldCheck,
+      rejectedRules: fieldCheck.rejected.slice(0, 10)
+    });
+  }
+
+  // 8. Check every cited page: clause / section text is fuzzy-matched against
+  //    the OCR text of its pages (text that cannot be found lowers the item's
+  //    confidence) and each rule source against its cited clause.
+  const { result: verified, check: citations } = verifyCitations(extracted, { pages });
+  extracted = verified;
+
+  // 9. IC memo fields: placeholders become null / NOT_FOUND and every
+  //    fieldProvenance snippet is looked up in the OCR text (icmemo-v2 onwards).
+  let fieldProvenanceCheck;
+  if (documentType === IC_MEMO) {
+    const { result: checked, check: memoCheck } = checkFieldProvenance(extracted, pages);
+    extracted = checked;
+
+    if (memoCheck) {
+      const { flagged, ...counts } = memoCheck;
+      fieldProvenanceCheck = counts;
+
+      log(flagged.length ? "WARN" : "INFO", "Field provenance check complete", {
+        requestId, fundId, documentType, ...fieldProvenanceCheck, sample: flagged.slice(0, 10)
+      });
+    }
+  }
 
-  // 6. Write result to S3
+  // 10. Write result to S3, stamped with its provenance
   // Pattern: <fundId>/<documentType>/<safeFilename>.<ts>.<documentType>.json
-  const ts        = new Date().toISOString().replace(/[:.]/g, "-");
   const outputKey = `${fundId}/${documentType}/${safeFileName}.${ts}.${documentType}.json`;
 
   await s3.send(new PutObjectCommand({
     Bucket: DOC_BUCKET,
     Key:    outputKey,
-    Body:   finalOutput,
+    Body:   JSON.stringify({
+      ...extracted,
+      ...(fieldCheck && { rule_field_check: fieldCheck }),
+      provenance
+    }, null, 2),
     ContentType: "application/json"
   }));
 
@@ -212,16 +819,42 @@ async function processRecord(record, requestId) {
 
   log("INFO", "Result written to S3", { requestId, fundId, documentType, resultPath });
 
-  // 7. Update DynamoDB to SUCCEEDED
-  await updateFundStatus({ fundId, status: "SUCCEEDED", resultPath });
+  // 11. Write the citation report. Mismatches are reported, not fatal —
+  //    analysts review the citations file.
+  let citationCheck;
+
+  if (citations.checked > 0 || citations.sourcesChecked > 0) {
+    const citationsKey = `${fundId}/${documentType}/${safeFileName}.${ts}.citations.json`;
+
+    await s3.send(new PutObjectCommand({
+      Bucket: DOC_BUCKET,
+      Key:    citationsKey,
+      Body:   JSON.stringify({ resultPath, ...citations }, null, 2),
+      ContentType: "application/json"
+    }));
 
-  log("INFO", "DynamoDB updated to SUCCEEDED", { requestId, fundId });
+    const { flagged, ...counts } = citations;
+    citationCheck = { ...counts, reportPath: `s3://${DOC_BUCKET}/${citationsKey}` };
 
-  // 8. Send to SuccessQueue
+    log(flagged.length ? "WARN" : "INFO", "Citation check complete", {
+      requestId, fundId, documentType, ...citationCheck, sample: flagged.slice(0, 5)
+    });
+  }
+
+  // 12. Update the document to SUCCEEDED (fund aggregate recomputed)
+  await updateDocumentStatus({
+    fundId, documentId, status: DOCUMENT_STATUSES.SUCCEEDED, resultPath, citationCheck, ruleFieldCheck,
+    fieldProvenanceCheck, ocrPaths, provenance, timeline
+  });
+
+  log("INFO", "Document updated to SUCCEEDED", { requestId, fundId, documentId });
+
+  // 13. Send to SuccessQueue
   await sqsClient.send(new SendMessageCommand({
     QueueUrl: SUCCESS_QUEUE_URL,
     MessageBody: JSON.stringify({
       fundId,
+      documentId,
       documentType,
       status:      "SUCCEEDED",
       outputFiles: [resultPath],
@@ -230,6 +863,11 @@ async function processRecord(record, requestId) {
   }));
 
   log("INFO", "SuccessQueue notification sent", { requestId, fundId });
+
+  // 14. IC memo or IMA rules changed — refresh the fund's compliance verdict
+  if (PRE_TRADE_CHECK_TYPES.has(documentType)) {
+    await checkPreTradeCompliance({ fundId, requestId });
+  }
 }
 
 /* ---------------- HANDLER ---------------- */
@@ -242,12 +880,21 @@ export const handler = async (event, context) => {
   const batchItemFailures = [];
 
   for (const record of (event.Records || [])) {
+    const timeline = { stage: EVENT_STAGES.EXTRACTION, startedAt: Date.now(), requestId };
+
     try {
-      await processRecord(record, requestId);
+      await processRecord(record, requestId, timeline);
     } catch (err) {
+      // Lost a race with another transition after acceptsOutcome — nothing to retry
+      if (err.name === "IllegalTransitionError") {
+        log("WARN", "Stale completion dropped", { requestId, messageId: record.messageId, error: err.message });
+        continue;
+      }
       log("ERROR", "Record processing failed", {
         requestId, messageId: record.messageId, error: err.message, stack: err.stack
       });
+      // SQS retries the message; the timeline shows each failed attempt
+      await recordTimelineEvent(timeline, "ERROR", { error: err.message });
       batchItemFailures.push({ itemIdentifier: record.messageId });
     }
   }
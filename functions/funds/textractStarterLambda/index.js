@@ -1,26 +1,52 @@
 import {
   TextractClient,
-  StartDocumentTextDetectionCommand
+  StartDocumentTextDetectionCommand,
+  StartDocumentAnalysisCommand
 } from "@aws-sdk/client-textract";
 
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+
+import { getDocumentType, isAssembled, usesDocumentAnalysis } from "./shared/documentTypes.js";
+import { getDocument, newDocumentId, refreshFundStatus, updateDocument } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, canTransitionDocument, transitionDocument } from "./shared/fundLifecycle.js";
+import { registerJob } from "./shared/textractJobs.js";
+import { EVENT_STAGES, recordEvent } from "./shared/fundEvents.js";
+import { settleAssemblyDocument } from "./shared/fundAssembly.js";
+import { isTransientError, requeueDelaySeconds, withRetry } from "./shared/retry.js";
 
 /* ---------------- CONFIG ---------------- */
 
-const REGION                  = process.env.AWS_REGION || "us-east-1";
-const DDB_TABLE               = process.env.DDB_TABLE;
-const TEXTRACT_SNS_TOPIC_ARN  = process.env.TEXTRACT_SNS_TOPIC_ARN;
-const TEXTRACT_SNS_ROLE_ARN   = process.env.TEXTRACT_SNS_ROLE_ARN;
+const REGION                     = process.env.AWS_REGION || "us-east-1";
+const DDB_TABLE                  = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE            = process.env.DOCUMENTS_TABLE;
+const TEXTRACT_JOBS_TABLE        = process.env.TEXTRACT_JOBS_TABLE;
+const FUND_EVENTS_TABLE          = process.env.FUND_EVENTS_TABLE;
+const TEXTRACT_SNS_TOPIC_ARN     = process.env.TEXTRACT_SNS_TOPIC_ARN;
+const TEXTRACT_SNS_ROLE_ARN      = process.env.TEXTRACT_SNS_ROLE_ARN;
+const TEXTRACT_STARTER_QUEUE_URL = process.env.TEXTRACT_STARTER_QUEUE_URL;
+const FUND_ASSEMBLE_QUEUE_URL    = process.env.FUND_ASSEMBLE_QUEUE_URL;
+
+// Start calls are retried in-invocation first; a message still throttled
+// after that is re-queued with a growing DelaySeconds, up to this many times.
+const START_MAX_ATTEMPTS    = 3;
+const MAX_THROTTLE_REQUEUES = Number(process.env.MAX_THROTTLE_REQUEUES || 5);
 
-if (!DDB_TABLE)              throw new Error("DDB_TABLE env var is not set");
-if (!TEXTRACT_SNS_TOPIC_ARN) throw new Error("TEXTRACT_SNS_TOPIC_ARN env var is not set");
-if (!TEXTRACT_SNS_ROLE_ARN)  throw new Error("TEXTRACT_SNS_ROLE_ARN env var is not set");
+if (!DDB_TABLE)                  throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE)            throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!TEXTRACT_JOBS_TABLE)        throw new Error("TEXTRACT_JOBS_TABLE env var is not set");
+if (!FUND_EVENTS_TABLE)          throw new Error("FUND_EVENTS_TABLE env var is not set");
+if (!TEXTRACT_SNS_TOPIC_ARN)     throw new Error("TEXTRACT_SNS_TOPIC_ARN env var is not set");
+if (!TEXTRACT_SNS_ROLE_ARN)      throw new Error("TEXTRACT_SNS_ROLE_ARN env var is not set");
+if (!TEXTRACT_STARTER_QUEUE_URL) throw new Error("TEXTRACT_STARTER_QUEUE_URL env var is not set");
+if (!FUND_ASSEMBLE_QUEUE_URL)    throw new Error("FUND_ASSEMBLE_QUEUE_URL env var is not set");
 
 /* ---------------- CLIENTS ---------------- */
 
 const textract = new TextractClient({ region: REGION });
 const ddb      = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const sqs      = new SQSClient({ region: REGION });
 
 /* ---------------- LOGGER ---------------- */
 
@@ -28,6 +54,71 @@ function log(level, message, meta = {}) {
   console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
 }
 
+/* ---------------- HELPERS ---------------- */
+
+/**
+ * Build the Textract start command for a document type.
+ * Types with textractFeatures in the registry use StartDocumentAnalysis
+ * (FORMS / TABLES / ...); everything else uses plain text detection.
+ * Returns { command, apiName } — apiName is used in logs and errorReason.
+ */
+function buildStartCommand(docType, { bucket, key, jobTag }) {
+  const params = {
+    DocumentLocation: {
+      S3Object: { Bucket: bucket, Name: key }
+    },
+    NotificationChannel: {
+      SNSTopicArn: TEXTRACT_SNS_TOPIC_ARN,
+      RoleArn:     TEXTRACT_SNS_ROLE_ARN
+    },
+    JobTag: jobTag
+  };
+
+  if (usesDocumentAnalysis(docType)) {
+    return {
+      command: new StartDocumentAnalysisCommand({ ...params, FeatureTypes: docType.textractFeatures }),
+      apiName: "StartDocumentAnalysis"
+    };
+  }
+  return {
+    command: new StartDocumentTextDetectionCommand(params),
+    apiName: "StartDocumentTextDetection"
+  };
+}
+
+/** Write a document transition and refresh the fund's aggregate status. */
+async function setDocumentState(fundId, documentId, to, fields = {}) {
+  await transitionDocument(ddb, {
+    table: DOCUMENTS_TABLE, fundId, documentId, to, set: fields, actor: "textractStarterLambda"
+  });
+  await refreshFundStatus(ddb, { fundsTable: DDB_TABLE, documentsTable: DOCUMENTS_TABLE, fundId });
+}
+
+/**
+ * Put a throttled message back on TextractStarterQueue with a backoff delay.
+ * The document stays RECEIVED; throttleRetries on it also bumps updatedAt so
+ * the stuck-job reaper does not re-queue it a second time meanwhile.
+ * Returns the DelaySeconds used.
+ */
+async function requeueThrottled(payload, retryCount) {
+  const delaySeconds = requeueDelaySeconds(retryCount);
+
+  await sqs.send(new SendMessageCommand({
+    QueueUrl:     TEXTRACT_STARTER_QUEUE_URL,
+    DelaySeconds: delaySeconds,
+    MessageBody:  JSON.stringify({ ...payload, retryCount })
+  }));
+
+  await updateDocument(ddb, {
+    table: DOCUMENTS_TABLE,
+    fundId: payload.fundId,
+    documentId: payload.documentId,
+    set: { throttleRetries: retryCount }
+  });
+
+  return delaySeconds;
+}
+
 /* ---------------- HANDLER ---------------- */
 
 export const handler = async (event, context) => {
@@ -36,70 +127,154 @@ export const handler = async (event, context) => {
   log("INFO", "Batch start", { requestId, recordCount: event.Records?.length || 0 });
 
   for (const record of (event.Records || [])) {
-    const { fundId, documentType, bucket, key, fileName } = JSON.parse(record.body || "{}");
+    const payload = JSON.parse(record.body || "{}");
+    const { fundId, documentId: queuedDocumentId, documentType, bucket, key, fileName, retryCount = 0 } = payload;
 
     if (!fundId || !documentType || !bucket || !key) {
       log("ERROR", "Invalid SQS payload — missing required fields", { requestId, body: record.body });
       throw new Error("Invalid SQS payload");
     }
 
-    // JobTag: Textract allows only [a-zA-Z0-9_.\-:] — encode prefix as I/E, strip "#"
-    // Format: "<P>:<uuid>:<documentType>"  e.g. "I:abc-123:icmemo"  I=INT# E=EXT#
-    const prefixChar = fundId.startsWith("INT#") ? "I" : "E";
-    const uuid       = fundId.replace(/^(INT|EXT)#/, "");
-    const jobTag     = `${prefixChar}:${uuid}:${documentType}`.slice(0, 64);
+    const docType = getDocumentType(documentType);
+    if (!docType) {
+      log("ERROR", "Unknown documentType in SQS payload", { requestId, fundId, documentType });
+      throw new Error(`Unknown documentType: ${documentType}`);
+    }
 
-    log("INFO", "Starting async Textract job", { requestId, fundId, documentType, bucket, key, jobTag });
+    // Messages queued before per-document records existed carry no documentId
+    const documentId = queuedDocumentId || newDocumentId(docType.id);
+    if (!queuedDocumentId) {
+      await transitionDocument(ddb, {
+        table: DOCUMENTS_TABLE, fundId, documentId,
+        to:    DOCUMENT_STATUSES.RECEIVED,
+        set:   { documentType: docType.id, bucket, objectKey: key, fileName },
+        actor: "textractStarterLambda"
+      });
+    } else {
+      // A duplicate or late message for a document that is already being
+      // extracted (or was deleted) must not start a second Textract job
+      const document = await getDocument(ddb, { table: DOCUMENTS_TABLE, fundId, documentId });
+      if (!document || !canTransitionDocument(document.status, DOCUMENT_STATUSES.TEXTRACT_PROCESSING)) {
+        log("WARN", "Document cannot start Textract — message dropped", {
+          requestId, fundId, documentId, status: document?.status ?? null
+        });
+        continue;
+      }
+    }
+
+    // The job registry (shared/textractJobs.js) ties the completion back to the
+    // fund + document; the JobTag is only a human-readable hint in the console.
+    const jobTag = documentId;
+
+    log("INFO", "Starting async Textract job", {
+      requestId, fundId, documentId, documentType, bucket, key, jobTag,
+      featureTypes: docType.textractFeatures
+    });
+
+    const { command: startCommand, apiName } = buildStartCommand(docType, { bucket, key, jobTag });
+    const startedAt = Date.now();
+    const event = { table: FUND_EVENTS_TABLE, fundId, documentId, stage: EVENT_STAGES.TEXTRACT_START, requestId };
 
     let textractJobId;
     try {
-      const resp = await textract.send(new StartDocumentTextDetectionCommand({
-        DocumentLocation: {
-          S3Object: { Bucket: bucket, Name: key }
-        },
-        NotificationChannel: {
-          SNSTopicArn: TEXTRACT_SNS_TOPIC_ARN,
-          RoleArn:     TEXTRACT_SNS_ROLE_ARN
-        },
-        JobTag: jobTag
-      }));
+      const resp = await withRetry(() => textract.send(startCommand), {
+        maxAttempts: START_MAX_ATTEMPTS,
+        label:       apiName,
+        log,
+        logMeta:     { requestId, fundId, documentId }
+      });
 
       textractJobId = resp.JobId;
     } catch (err) {
-      log("ERROR", "StartDocumentTextDetection failed", {
-        requestId, fundId, documentType, error: err.message
+      // Still throttled (ProvisionedThroughputExceeded, LimitExceeded, ...):
+      // re-queue with a delay instead of failing the document
+      if (isTransientError(err) && retryCount < MAX_THROTTLE_REQUEUES) {
+        const delaySeconds = await requeueThrottled({ ...payload, documentId }, retryCount + 1);
+
+        log("WARN", `${apiName} throttled — message re-queued`, {
+          requestId, fundId, documentId, error: err.name, retryCount: retryCount + 1, delaySeconds
+        });
+        await recordEvent(ddb, {
+          ...event,
+          status:     "THROTTLED",
+          durationMs: Date.now() - startedAt,
+          error:      `${apiName} failed: ${err.message}`,
+          detail:     { retryCount: retryCount + 1, delaySeconds }
+        });
+        continue;
+      }
+
+      log("ERROR", `${apiName} failed`, {
+        requestId, fundId, documentId, documentType, error: err.message,
+        transient: isTransientError(err), retryCount
       });
-      // Mark FAILED in DDB and rethrow so SQS retries / sends to DLQ
-      await ddb.send(new UpdateCommand({
-        TableName: DDB_TABLE,
-        Key: { fundId },
-        UpdateExpression: "SET #s = :failed, updatedAt = :u, errorReason = :e",
-        ExpressionAttributeNames: { "#s": "status" },
-        ExpressionAttributeValues: {
-          ":failed": "FAILED",
-          ":u":      new Date().toISOString(),
-          ":e":      `StartDocumentTextDetection failed: ${err.message}`
+      // Terminal error (or throttled past MAX_THROTTLE_REQUEUES): mark the
+      // document FAILED and ack the message. An SQS retry would only call
+      // Textract again — and, for a message without a documentId, create
+      // another document. A document left RECEIVED because the FAILED write
+      // failed is picked up by the stuck-job reaper.
+      const errorReason = `${apiName} failed: ${err.message}`;
+      let failed = false;
+      try {
+        await setDocumentState(fundId, documentId, DOCUMENT_STATUSES.FAILED, { errorReason });
+        failed = true;
+      } catch (stateErr) {
+        log("ERROR", "Could not mark document FAILED", {
+          requestId, fundId, documentId, error: stateErr.message
+        });
+      }
+      await recordEvent(ddb, {
+        ...event,
+        status:     DOCUMENT_STATUSES.FAILED,
+        durationMs: Date.now() - startedAt,
+        error:      errorReason
+      });
+
+      // An IMA / SideLetter that cannot be read no longer holds up the fund assembly
+      if (failed && isAssembled(docType)) {
+        try {
+          await settleAssemblyDocument(ddb, sqs, {
+            table: DDB_TABLE, queueUrl: FUND_ASSEMBLE_QUEUE_URL, fundId, documentId,
+            triggeredBy: key, log, logMeta: { requestId }
+          });
+        } catch (assemblyErr) {
+          log("ERROR", "Could not release the document from the fund assembly", {
+            requestId, fundId, documentId, error: assemblyErr.message
+          });
         }
-      })).catch(() => {});
-      throw err;
+      }
+      continue;
     }
 
-    log("INFO", "Textract job started", { requestId, fundId, documentType, textractJobId });
-
-    // Update DynamoDB: TEXTRACT_PROCESSING + store jobId for traceability
-    await ddb.send(new UpdateCommand({
-      TableName: DDB_TABLE,
-      Key: { fundId },
-      UpdateExpression: "SET #s = :s, updatedAt = :u, textractJobId = :j",
-      ExpressionAttributeNames: { "#s": "status" },
-      ExpressionAttributeValues: {
-        ":s": "TEXTRACT_PROCESSING",
-        ":u": new Date().toISOString(),
-        ":j": textractJobId
-      }
-    }));
+    log("INFO", "Textract job started", { requestId, fundId, documentId, documentType, textractJobId });
+
+    // Register JobId → fund + document before anything else; the results worker
+    // resolves the completion through this item. A failure here rethrows and
+    // SQS retries the whole start (the orphaned job's completion is dropped
+    // into the results DLQ with no registry entry).
+    await registerJob(ddb, {
+      table: TEXTRACT_JOBS_TABLE,
+      jobId: textractJobId,
+      fundId,
+      documentId,
+      documentType: docType.id,
+      bucket,
+      key,
+      fileName: fileName || key.split("/").pop(),
+      api:      apiName
+    });
+
+    // Update the document: TEXTRACT_PROCESSING + store jobId for traceability
+    await setDocumentState(fundId, documentId, DOCUMENT_STATUSES.TEXTRACT_PROCESSING, { textractJobId });
+
+    log("INFO", "Document updated to TEXTRACT_PROCESSING", { requestId, fundId, documentId, textractJobId });
 
-    log("INFO", "DynamoDB updated to TEXTRACT_PROCESSING", { requestId, fundId, textractJobId });
+    await recordEvent(ddb, {
+      ...event,
+      status:     DOCUMENT_STATUSES.TEXTRACT_PROCESSING,
+      durationMs: Date.now() - startedAt,
+      detail:     { textractJobId, api: apiName }
+    });
   }
 
   return { ok: true, requestId };
@@ -0,0 +1,505 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  SQSClient,
+  ChangeMessageVisibilityBatchCommand,
+  DeleteMessageCommand,
+  ReceiveMessageCommand,
+  SendMessageCommand
+} from "@aws-sdk/client-sqs";
+import { getDocument, refreshFundStatus, updateDocument } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, transitionDocument } from "./shared/fundLifecycle.js";
+import { getJob } from "./shared/textractJobs.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION                       = process.env.AWS_REGION || "us-east-1";
+const DDB_TABLE                    = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE              = process.env.DOCUMENTS_TABLE;
+const TEXTRACT_JOBS_TABLE          = process.env.TEXTRACT_JOBS_TABLE;
+const FORM_CHECK_TABLE             = process.env.FORM_CHECK_TABLE;
+const TEXTRACT_STARTER_QUEUE_URL   = process.env.TEXTRACT_STARTER_QUEUE_URL;
+const TEXTRACT_STARTER_DLQ_URL     = process.env.TEXTRACT_STARTER_DLQ_URL;
+const TEXTRACT_RESULTS_QUEUE_URL   = process.env.TEXTRACT_RESULTS_QUEUE_URL;
+const TEXTRACT_RESULTS_DLQ_URL     = process.env.TEXTRACT_RESULTS_DLQ_URL;
+const FUND_ASSEMBLE_QUEUE_URL      = process.env.FUND_ASSEMBLE_QUEUE_URL;
+const FUND_ASSEMBLE_DLQ_URL        = process.env.FUND_ASSEMBLE_DLQ_URL;
+const FORM_CHECK_RESULTS_QUEUE_URL = process.env.FORM_CHECK_RESULTS_QUEUE_URL;
+const FORM_CHECK_RESULTS_DLQ_URL   = process.env.FORM_CHECK_RESULTS_DLQ_URL;
+
+if (!DDB_TABLE)                    throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE)              throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!TEXTRACT_JOBS_TABLE)          throw new Error("TEXTRACT_JOBS_TABLE env var is not set");
+if (!FORM_CHECK_TABLE)             throw new Error("FORM_CHECK_TABLE env var is not set");
+if (!TEXTRACT_STARTER_QUEUE_URL)   throw new Error("TEXTRACT_STARTER_QUEUE_URL env var is not set");
+if (!TEXTRACT_STARTER_DLQ_URL)     throw new Error("TEXTRACT_STARTER_DLQ_URL env var is not set");
+if (!TEXTRACT_RESULTS_QUEUE_URL)   throw new Error("TEXTRACT_RESULTS_QUEUE_URL env var is not set");
+if (!TEXTRACT_RESULTS_DLQ_URL)     throw new Error("TEXTRACT_RESULTS_DLQ_URL env var is not set");
+if (!FUND_ASSEMBLE_QUEUE_URL)      throw new Error("FUND_ASSEMBLE_QUEUE_URL env var is not set");
+if (!FUND_ASSEMBLE_DLQ_URL)        throw new Error("FUND_ASSEMBLE_DLQ_URL env var is not set");
+if (!FORM_CHECK_RESULTS_QUEUE_URL) throw new Error("FORM_CHECK_RESULTS_QUEUE_URL env var is not set");
+if (!FORM_CHECK_RESULTS_DLQ_URL)   throw new Error("FORM_CHECK_RESULTS_DLQ_URL env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const sqs = new SQSClient({ region: REGION });
+
+/* ---------------- CONSTANTS ---------------- */
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "*",
+  "Access-Control-Allow-Headers": "*"
+};
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT     = 200;
+
+// Upper bound on messages one redrive call moves; call again for the rest
+const MAX_REDRIVE = 100;
+
+// Received messages stay hidden this long while a redrive is deciding on them
+const REDRIVE_VISIBILITY_SECONDS = 60;
+
+// Receive calls that only return already-seen messages before a pass gives up
+const MAX_EMPTY_RECEIVES = 2;
+
+// Attributes cleared when a record is reset for a redrive
+const DOCUMENT_ERROR_FIELDS = ["errorReason", "validationErrors", "invalidOutputPath", "timedOutAt", "reaperAttempts"];
+
+// Fund assembly status while a redriven assembly message waits in FundAssembleQueue
+const ASSEMBLY_QUEUED = "QUEUED";
+
+// Document statuses a redrive resets from: the consumer recorded a failure.
+// Anything else has moved on without the message (or is still in flight).
+const REDRIVABLE_DOCUMENT_STATUSES = new Set([DOCUMENT_STATUSES.FAILED, DOCUMENT_STATUSES.VALIDATION_FAILED]);
+
+/* ---------------- HELPERS ---------------- */
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: CORS_HEADERS,
+  body: JSON.stringify(body)
+});
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/** Textract notification inside an SNS→SQS envelope (or the bare notification). */
+const parseTextractNotification = (body) =>
+  typeof body?.Message === "string" ? parseJson(body.Message) : body;
+
+/* ---------------- MESSAGE TARGETS ---------------- */
+//
+// Each DLQ message is resolved to the record it was working on:
+//   { kind: "document",  fundId, documentId, resetStatus, textractJobId? }
+//   { kind: "formCheck", jobId, resetStatus, textractJobId }
+//   { kind: "fund",      fundId }
+// resetStatus is the status the record is put back into when the message is redriven.
+
+/** TextractStarterQueue: { fundId, documentId, documentType, bucket, key, fileName } */
+async function starterTarget(body) {
+  if (!body?.fundId) return null;
+  // Messages queued before per-document records existed carry no documentId;
+  // the starter creates the document when they are redriven.
+  return {
+    kind:        "document",
+    fundId:      body.fundId,
+    documentId:  body.documentId || null,
+    resetStatus: DOCUMENT_STATUSES.RECEIVED
+  };
+}
+
+/** TextractResultsQueue: a Textract completion (SNS envelope) or a { type: "REEXTRACT" } message. */
+async function resultsTarget(body) {
+  if (body?.type === "REEXTRACT") {
+    return {
+      kind:        "document",
+      fundId:      body.fundId,
+      documentId:  body.documentId,
+      resetStatus: DOCUMENT_STATUSES.REEXTRACTING
+    };
+  }
+
+  const notification = parseTextractNotification(body);
+  if (!notification?.JobId) return null;
+
+  const job = await getJob(ddb, { table: TEXTRACT_JOBS_TABLE, jobId: notification.JobId });
+  return {
+    kind:          "document",
+    fundId:        job?.fundId || null,
+    documentId:    job?.documentId || null,
+    resetStatus:   DOCUMENT_STATUSES.TEXTRACT_PROCESSING,
+    textractJobId: notification.JobId
+  };
+}
+
+/** FundAssembleQueue: { fundId, triggeredBy } */
+async function assembleTarget(body) {
+  return body?.fundId ? { kind: "fund", fundId: body.fundId } : null;
+}
+
+/** FormCheckResultsQueue: a Textract completion whose JobTag is the form-check jobId. */
+async function formCheckTarget(body) {
+  const notification = parseTextractNotification(body);
+  if (!notification?.JobTag) return null;
+  return {
+    kind:          "formCheck",
+    jobId:         notification.JobTag,
+    resetStatus:   "TEXTRACT_PROCESSING",
+    textractJobId: notification.JobId
+  };
+}
+
+/**
+ * Redrivable dead-letter queues, keyed by the {queue} path parameter.
+ * Each DLQ is redriven into the queue it dead-letters for.
+ */
+const DEAD_LETTER_QUEUES = {
+  "textract-starter": {
+    dlqUrl:    TEXTRACT_STARTER_DLQ_URL,
+    sourceUrl: TEXTRACT_STARTER_QUEUE_URL,
+    target:    starterTarget
+  },
+  "textract-results": {
+    dlqUrl:    TEXTRACT_RESULTS_DLQ_URL,
+    sourceUrl: TEXTRACT_RESULTS_QUEUE_URL,
+    target:    resultsTarget
+  },
+  "fund-assemble": {
+    dlqUrl:    FUND_ASSEMBLE_DLQ_URL,
+    sourceUrl: FUND_ASSEMBLE_QUEUE_URL,
+    target:    assembleTarget
+  },
+  "formcheck-results": {
+    dlqUrl:    FORM_CHECK_RESULTS_DLQ_URL,
+    sourceUrl: FORM_CHECK_RESULTS_QUEUE_URL,
+    target:    formCheckTarget
+  }
+};
+
+/* ---------------- RECORDS ---------------- */
+
+/** Current { status, failureReason } of a target's record, or null when there is none. */
+async function loadRecordState(target) {
+  if (target.kind === "document" && target.fundId && target.documentId) {
+    const doc = await getDocument(ddb, { table: DOCUMENTS_TABLE, fundId: target.fundId, documentId: target.documentId });
+    return doc && { status: doc.status, failureReason: doc.errorReason || null };
+  }
+  if (target.kind === "formCheck") {
+    const { Item } = await ddb.send(new GetCommand({ TableName: FORM_CHECK_TABLE, Key: { jobId: target.jobId } }));
+    return Item && { status: Item.status, failureReason: Item.errorReason || null };
+  }
+  if (target.kind === "fund" && target.fundId) {
+    const { Item } = await ddb.send(new GetCommand({ TableName: DDB_TABLE, Key: { fundId: target.fundId } }));
+    return Item && { status: Item.assemblyStatus || null, failureReason: Item.assemblyErrorReason || null };
+  }
+  return null;
+}
+
+/**
+ * Put a target's record back into its in-flight status and clear the previous
+ * failure, so the status APIs and the stuck-job reaper see the retry.
+ * A document is only reset from FAILED / VALIDATION_FAILED, or cleared when
+ * it is still in the reset status (the consumer died before recording a
+ * failure). A Textract completion must also be for the document's current
+ * job, so an old completion cannot be redriven onto a re-uploaded document.
+ * Returns { resetStatus } (null when there was no record to reset), or
+ * { skipReason } when the message must not be redriven.
+ */
+async function resetRecord(target) {
+  const now = new Date().toISOString();
+
+  if (target.kind === "document") {
+    if (!target.fundId || !target.documentId) return { resetStatus: null };
+    const key = { table: DOCUMENTS_TABLE, fundId: target.fundId, documentId: target.documentId };
+    const doc = await getDocument(ddb, key);
+    const job = target.textractJobId ? { textractJobId: target.textractJobId } : {};
+
+    if (!doc) return { skipReason: "document not found" };
+    if (job.textractJobId && doc.textractJobId !== job.textractJobId) {
+      return { skipReason: `document is on Textract job ${doc.textractJobId ?? "(none)"}` };
+    }
+    if (doc.status !== target.resetStatus && !REDRIVABLE_DOCUMENT_STATUSES.has(doc.status)) {
+      return { skipReason: `document is ${doc.status}` };
+    }
+
+    // The guards repeat the checks above, in case the document moves meanwhile
+    try {
+      if (doc.status === target.resetStatus) {
+        await updateDocument(ddb, { ...key, remove: DOCUMENT_ERROR_FIELDS, expected: { status: doc.status, ...job } });
+      } else {
+        await transitionDocument(ddb, {
+          ...key,
+          to:       target.resetStatus,
+          remove:   DOCUMENT_ERROR_FIELDS,
+          expected: { status: doc.status, ...job },
+          actor:    "dlqAdmin",
+          reason:   "DLQ redrive"
+        });
+      }
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException" && err.name !== "IllegalTransitionError") throw err;
+      return { skipReason: "document changed during the redrive" };
+    }
+    await refreshFundStatus(ddb, { fundsTable: DDB_TABLE, documentsTable: DOCUMENTS_TABLE, fundId: target.fundId });
+    return { resetStatus: target.resetStatus };
+  }
+
+  if (target.kind === "formCheck") {
+    await ddb.send(new UpdateCommand({
+      TableName: FORM_CHECK_TABLE,
+      Key: { jobId: target.jobId },
+      UpdateExpression: "SET #s = :s, updatedAt = :u REMOVE errorReason, timedOutAt, reaperAttempts",
+      ConditionExpression: "attribute_exists(jobId)",
+      ExpressionAttributeNames: { "#s": "status" },
+      ExpressionAttributeValues: { ":s": target.resetStatus, ":u": now }
+    }));
+    return { resetStatus: target.resetStatus };
+  }
+
+  await ddb.send(new UpdateCommand({
+    TableName: DDB_TABLE,
+    Key: { fundId: target.fundId },
+    UpdateExpression: "SET assemblyStatus = :s, updatedAt = :u REMOVE assemblyErrorReason",
+    ConditionExpression: "attribute_exists(fundId)",
+    ExpressionAttributeValues: { ":s": ASSEMBLY_QUEUED, ":u": now }
+  }));
+  return { resetStatus: ASSEMBLY_QUEUED };
+}
+
+/* ---------------- SQS ---------------- */
+
+/**
+ * Receive up to `limit` distinct messages from a DLQ. Messages stay hidden for
+ * visibilityTimeout seconds; callers release the ones they do not consume.
+ */
+async function receiveMessages(queueUrl, limit, visibilityTimeout) {
+  const seen = new Map();
+  let emptyReceives = 0;
+
+  while (seen.size < limit && emptyReceives < MAX_EMPTY_RECEIVES) {
+    const resp = await sqs.send(new ReceiveMessageCommand({
+      QueueUrl:                    queueUrl,
+      MaxNumberOfMessages:         Math.min(10, limit - seen.size),
+      VisibilityTimeout:           visibilityTimeout,
+      WaitTimeSeconds:             0,
+      MessageSystemAttributeNames: ["All"],
+      MessageAttributeNames:       ["All"]
+    }));
+
+    const fresh = (resp.Messages || []).filter(m => !seen.has(m.MessageId));
+    if (fresh.length === 0) {
+      emptyReceives++;
+      continue;
+    }
+    fresh.forEach(m => seen.set(m.MessageId, m));
+  }
+
+  return [...seen.values()];
+}
+
+/** Make received messages visible again right away. */
+async function releaseMessages(queueUrl, messages) {
+  for (let i = 0; i < messages.length; i += 10) {
+    await sqs.send(new ChangeMessageVisibilityBatchCommand({
+      QueueUrl: queueUrl,
+      Entries: messages.slice(i, i + 10).map((m, j) => ({
+        Id:                String(j),
+        ReceiptHandle:     m.ReceiptHandle,
+        VisibilityTimeout: 0
+      }))
+    }));
+  }
+}
+
+/** Listing entry for one DLQ message. */
+async function describeMessage(queue, message) {
+  const body   = parseJson(message.Body);
+  const target = await queue.target(body);
+  const record = target ? await loadRecordState(target) : null;
+  const attrs  = message.Attributes || {};
+
+  return {
+    messageId:     message.MessageId,
+    sentAt:        attrs.SentTimestamp ? new Date(Number(attrs.SentTimestamp)).toISOString() : null,
+    receiveCount:  Number(attrs.ApproximateReceiveCount || 0),
+    fundId:        target?.fundId ?? null,
+    documentId:    target?.documentId ?? null,
+    jobId:         target?.jobId ?? null,
+    textractJobId: target?.textractJobId ?? null,
+    recordStatus:  record?.status ?? null,
+    failureReason: record?.failureReason ?? null,
+    body:          body ?? message.Body
+  };
+}
+
+/* ---------------- ROUTES ---------------- */
+
+/**
+ * GET /admin/dlq/{queue}?limit=50
+ *
+ * Lists messages in the DLQ without consuming them, each resolved to its fund /
+ * document / form-check job with that record's status and errorReason (the
+ * worker's exception itself is only in its CloudWatch logs). Every listing
+ * counts as a receive, so receiveCount grows by one per call.
+ */
+async function listDeadLetters(queueName, queue, params, requestId) {
+  const limit = Math.min(parseInt(params.limit || DEFAULT_LIST_LIMIT, 10) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+
+  const received = await receiveMessages(queue.dlqUrl, limit, 30);
+  try {
+    const messages = [];
+    for (const m of received) messages.push(await describeMessage(queue, m));
+
+    log("INFO", "DLQ listed", { requestId, queue: queueName, count: messages.length });
+    return jsonResponse(200, { queue: queueName, count: messages.length, messages });
+  } finally {
+    await releaseMessages(queue.dlqUrl, received);
+  }
+}
+
+/**
+ * POST /admin/dlq/{queue}/redrive
+ *
+ * Body: { "messageIds": ["..."] }  or  { "all": true }
+ *
+ * For each selected message: reset the matching DynamoDB record to its
+ * in-flight status (clearing errorReason / timedOutAt / reaperAttempts), send
+ * the original body back to the source queue, then delete it from the DLQ.
+ * Messages whose document has moved on (see resetRecord) stay in the DLQ and
+ * are listed in notRedriven with the reason.
+ * At most MAX_REDRIVE messages move per call; `remaining` tells whether to
+ * call again.
+ */
+async function redriveDeadLetters(queueName, queue, body, requestId) {
+  const all        = body.all === true;
+  const messageIds = Array.isArray(body.messageIds) ? body.messageIds.filter(id => typeof id === "string") : [];
+
+  if (!all && messageIds.length === 0) {
+    return jsonResponse(400, { error: "Provide messageIds (array) or all: true" });
+  }
+  if (!all && messageIds.length > MAX_REDRIVE) {
+    return jsonResponse(400, { error: `At most ${MAX_REDRIVE} messageIds per call` });
+  }
+
+  const wanted   = new Set(messageIds);
+  const received = await receiveMessages(queue.dlqUrl, all ? MAX_REDRIVE : MAX_LIST_LIMIT, REDRIVE_VISIBILITY_SECONDS);
+  const selected = received.filter(m => all || wanted.has(m.MessageId));
+  const skipped  = received.filter(m => !selected.includes(m));
+
+  const redriven    = [];
+  const notRedriven = [];
+  const failed      = [];
+
+  try {
+    for (const message of selected) {
+      const target = await queue.target(parseJson(message.Body));
+      try {
+        const { resetStatus = null, skipReason } = target ? await resetRecord(target) : {};
+        if (skipReason) {
+          notRedriven.push({
+            messageId:  message.MessageId,
+            fundId:     target.fundId ?? null,
+            documentId: target.documentId ?? null,
+            reason:     skipReason
+          });
+          skipped.push(message);
+          continue;
+        }
+
+        await sqs.send(new SendMessageCommand({
+          QueueUrl:    queue.sourceUrl,
+          MessageBody: message.Body,
+          ...(message.MessageAttributes && { MessageAttributes: message.MessageAttributes })
+        }));
+        await sqs.send(new DeleteMessageCommand({ QueueUrl: queue.dlqUrl, ReceiptHandle: message.ReceiptHandle }));
+
+        redriven.push({
+          messageId:  message.MessageId,
+          fundId:     target?.fundId ?? null,
+          documentId: target?.documentId ?? null,
+          jobId:      target?.jobId ?? null,
+          resetStatus
+        });
+      } catch (err) {
+        log("ERROR", "DLQ message redrive failed", { requestId, queue: queueName, messageId: message.MessageId, error: err.message });
+        failed.push({ messageId: message.MessageId, error: err.message });
+        skipped.push(message);
+      }
+    }
+  } finally {
+    await releaseMessages(queue.dlqUrl, skipped);
+  }
+
+  const found    = new Set(selected.map(m => m.MessageId));
+  const notFound = messageIds.filter(id => !found.has(id));
+
+  log("INFO", "DLQ redriven", {
+    requestId, queue: queueName,
+    redriven: redriven.length, notRedriven: notRedriven.length, failed: failed.length, notFound: notFound.length
+  });
+
+  return jsonResponse(200, {
+    queue: queueName,
+    redriven,
+    notRedriven,
+    failed,
+    notFound,
+    // A full batch with all=true means there may be more messages left
+    remaining: all && received.length >= MAX_REDRIVE
+  });
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * DlqAdminLambda — operations API for the pipeline dead-letter queues.
+ *
+ *   GET  /admin/dlq/{queue}          → list messages (not consumed)
+ *   POST /admin/dlq/{queue}/redrive  → reset records + requeue selected / all messages
+ *
+ * {queue}: textract-starter | textract-results | fund-assemble | formcheck-results
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "DlqAdmin invoked", { requestId, method: event.httpMethod, resource: event.resource });
+
+  try {
+    const queueName = event?.pathParameters?.queue;
+    const queue     = Object.hasOwn(DEAD_LETTER_QUEUES, queueName ?? "") ? DEAD_LETTER_QUEUES[queueName] : null;
+    if (!queue) {
+      return jsonResponse(404, {
+        error: `Unknown queue. Expected one of: ${Object.keys(DEAD_LETTER_QUEUES).join(", ")}`
+      });
+    }
+
+    if (event.httpMethod === "GET") {
+      return await listDeadLetters(queueName, queue, event.queryStringParameters || {}, requestId);
+    }
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return jsonResponse(400, { error: "Request body must be valid JSON" });
+    }
+
+    return await redriveDeadLetters(queueName, queue, body, requestId);
+
+  } catch (err) {
+    log("ERROR", "Unhandled error", { requestId, error: err.message, stack: err.stack });
+    return jsonResponse(500, { error: "Failed to process dead-letter queue request" });
+  }
+};
@@ -0,0 +1,110 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { fundNameKeys } from "./shared/fundNames.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION    = process.env.AWS_REGION || "us-east-1";
+const DDB_TABLE = process.env.DDB_TABLE;
+
+if (!DDB_TABLE) throw new Error("DDB_TABLE env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+
+/* ---------------- CONSTANTS ---------------- */
+
+// Items read per Scan page
+const SCAN_PAGE_SIZE = 200;
+
+// Stop starting new pages once less than this much of the invocation is left;
+// the response's nextKey resumes the scan
+const STOP_BEFORE_TIMEOUT_MS = 30_000;
+
+/* ---------------- LOGGER ---------------- */
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/* ---------------- HELPERS ---------------- */
+
+/**
+ * Set the fund's name keys unless fundName changed since the scan read it
+ * (the writer that changed it set the keys itself).
+ * Returns true when the fund was updated.
+ */
+async function setNameKeys(fund, keys) {
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: DDB_TABLE,
+      Key: { fundId: fund.fundId },
+      UpdateExpression: "SET normalizedName = :n, nameKey = :k",
+      ConditionExpression: "fundName = :name",
+      ExpressionAttributeValues: { ":n": keys.normalizedName, ":k": keys.nameKey, ":name": fund.fundName }
+    }));
+    return true;
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return false;
+  }
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * Invoked by hand after deploying nameKey-normalizedName-index:
+ *   aws lambda invoke --function-name <stack>-fund-name-backfill \
+ *     --payload '{"dryRun": true}' --cli-binary-format raw-in-base64-out out.json
+ *
+ * Event: { dryRun?: boolean, startKey?: object } — startKey is the nextKey of
+ * a previous run that stopped before the end of the table.
+ * Returns { scanned, updated, unchanged, blank, skipped, dryRun, nextKey }.
+ */
+export const handler = async (event = {}, context) => {
+  const requestId = context.awsRequestId;
+  const dryRun    = event.dryRun === true;
+  const counts    = { scanned: 0, updated: 0, unchanged: 0, blank: 0, skipped: 0 };
+
+  log("INFO", "FundNameBackfill invoked", { requestId, dryRun, startKey: event.startKey ?? null });
+
+  let ExclusiveStartKey = event.startKey || undefined;
+
+  do {
+    const resp = await ddb.send(new ScanCommand({
+      TableName: DDB_TABLE,
+      ProjectionExpression: "fundId, fundName, normalizedName, nameKey",
+      Limit: SCAN_PAGE_SIZE,
+      ExclusiveStartKey
+    }));
+    ExclusiveStartKey = resp.LastEvaluatedKey;
+
+    for (const fund of resp.Items || []) {
+      counts.scanned++;
+
+      // 1. Funds without a usable name stay out of the index
+      const keys = fundNameKeys(fund.fundName);
+      if (!keys.nameKey) {
+        counts.blank++;
+        continue;
+      }
+
+      // 2. Keys already current
+      if (fund.normalizedName === keys.normalizedName && fund.nameKey === keys.nameKey) {
+        counts.unchanged++;
+        continue;
+      }
+
+      // 3. Missing or stale keys
+      if (dryRun || await setNameKeys(fund, keys)) counts.updated++;
+      else counts.skipped++;
+    }
+  } while (ExclusiveStartKey && context.getRemainingTimeInMillis() > STOP_BEFORE_TIMEOUT_MS);
+
+  const result = { ...counts, dryRun, nextKey: ExclusiveStartKey ?? null };
+
+  log("INFO", "FundNameBackfill done", { requestId, ...result });
+
+  return result;
+};
@@ -0,0 +1,531 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { S3Client, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { SFNClient, StartExecutionCommand } from "@aws-sdk/client-sfn";
+import {
+  TextractClient,
+  GetDocumentAnalysisCommand,
+  GetDocumentTextDetectionCommand
+} from "@aws-sdk/client-textract";
+import { getDocumentType, isAssembled, usesDocumentAnalysis } from "./shared/documentTypes.js";
+import { refreshFundStatus, updateDocument } from "./shared/fundDocuments.js";
+import { DOCUMENT_STATUSES, FUND_STATUSES, transitionDocument, transitionFund } from "./shared/fundLifecycle.js";
+import { getJob } from "./shared/textractJobs.js";
+import { settleAssemblyDocument } from "./shared/fundAssembly.js";
+
+/* ---------------- CONFIG ---------------- */
+
+const REGION                       = process.env.AWS_REGION || "us-east-1";
+const DDB_TABLE                    = process.env.DDB_TABLE;
+const DOCUMENTS_TABLE              = process.env.DOCUMENTS_TABLE;
+const TEXTRACT_JOBS_TABLE          = process.env.TEXTRACT_JOBS_TABLE;
+const FORM_CHECK_TABLE             = process.env.FORM_CHECK_TABLE;
+const S3_UPLOAD_TRIGGER_FUNCTION   = process.env.S3_UPLOAD_TRIGGER_FUNCTION;
+const TEXTRACT_STARTER_QUEUE_URL   = process.env.TEXTRACT_STARTER_QUEUE_URL;
+const TEXTRACT_RESULTS_QUEUE_URL   = process.env.TEXTRACT_RESULTS_QUEUE_URL;
+const FUND_ASSEMBLE_QUEUE_URL      = process.env.FUND_ASSEMBLE_QUEUE_URL;
+const FORM_CHECK_RESULTS_QUEUE_URL = process.env.FORM_CHECK_RESULTS_QUEUE_URL;
+const FORM_CHECK_SFN_ARN           = process.env.FORM_CHECK_SFN_ARN;
+const MAX_RESUME_ATTEMPTS          = parseInt(process.env.MAX_RESUME_ATTEMPTS || "2", 10);
+
+if (!DDB_TABLE)                    throw new Error("DDB_TABLE env var is not set");
+if (!DOCUMENTS_TABLE)              throw new Error("DOCUMENTS_TABLE env var is not set");
+if (!TEXTRACT_JOBS_TABLE)          throw new Error("TEXTRACT_JOBS_TABLE env var is not set");
+if (!FORM_CHECK_TABLE)             throw new Error("FORM_CHECK_TABLE env var is not set");
+if (!S3_UPLOAD_TRIGGER_FUNCTION)   throw new Error("S3_UPLOAD_TRIGGER_FUNCTION env var is not set");
+if (!TEXTRACT_STARTER_QUEUE_URL)   throw new Error("TEXTRACT_STARTER_QUEUE_URL env var is not set");
+if (!TEXTRACT_RESULTS_QUEUE_URL)   throw new Error("TEXTRACT_RESULTS_QUEUE_URL env var is not set");
+if (!FUND_ASSEMBLE_QUEUE_URL)      throw new Error("FUND_ASSEMBLE_QUEUE_URL env var is not set");
+if (!FORM_CHECK_RESULTS_QUEUE_URL) throw new Error("FORM_CHECK_RESULTS_QUEUE_URL env var is not set");
+if (!FORM_CHECK_SFN_ARN)           throw new Error("FORM_CHECK_SFN_ARN env var is not set");
+
+/* ---------------- CLIENTS ---------------- */
+
+const ddb      = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+const s3       = new S3Client({ region: REGION });
+const sqs      = new SQSClient({ region: REGION });
+const lambda   = new LambdaClient({ region: REGION });
+const sfn      = new SFNClient({ region: REGION });
+const textract = new TextractClient({ region: REGION });
+
+/* ---------------- CONSTANTS ---------------- */
+
+// FundsTable, FundDocumentsTable and FormCheckTable all carry a
+// status-updatedAt-index GSI (PK status, SK updatedAt)
+const STATUS_INDEX = "status-updatedAt-index";
+
+// Minutes a record may sit in a status without an update before it is reaped.
+// UPLOADING outlives the presigned URL (PresignExpiresSeconds, 15 min default);
+// TEXTRACT_PROCESSING is only resumed once Textract reports a terminal status.
+const DOCUMENT_DEADLINES_MINUTES = {
+  [DOCUMENT_STATUSES.UPLOADING]:           60,
+  [DOCUMENT_STATUSES.RECEIVED]:            30,
+  [DOCUMENT_STATUSES.TEXTRACT_PROCESSING]: 60,
+  [DOCUMENT_STATUSES.REEXTRACTING]:        60
+};
+
+// Fund-level statuses of the legacy flows, which keep their state on the fund
+// record alone: INITIATED (Rules Engine presigned upload), UPLOADING and
+// PROCESSING (REST IC memo upload / ICMemoExtraction /
+// FundDocumentProcessingWorker). Funds with per-document rows are left to the
+// document sweep — their status is the documents' aggregate.
+const FUND_DEADLINES_MINUTES = {
+  [FUND_STATUSES.INITIATED]:  60,
+  [FUND_STATUSES.UPLOADING]:  60,
+  [FUND_STATUSES.PROCESSING]: 60
+};
+
+// FormCheckStateMachine is an EXPRESS workflow (5-minute limit, no
+// DescribeExecution), so an ANALYZING job older than this has certainly
+// finished without FormCheckAggregatorLambda writing its result.
+const FORM_CHECK_DEADLINES_MINUTES = {
+  TEXTRACT_PROCESSING: 60,
+  ANALYZING:           15
+};
+
+// Upper bound on records handled per status per run; the rest wait for the next run
+const MAX_ITEMS_PER_STATUS = 50;
+
+const TEXTRACT_TERMINAL_STATUSES = new Set(["SUCCEEDED", "FAILED", "PARTIAL_SUCCESS"]);
+
+const OUTCOMES = Object.freeze({
+  RESUMED:   "resumed",
+  TIMED_OUT: "timedOut",
+  WAITING:   "waiting",
+  SKIPPED:   "skipped"
+});
+
+/* ---------------- LOGGER ---------------- */
+
+function log(level, message, meta = {}) {
+  console.log(JSON.stringify({ level, message, timestamp: new Date().toISOString(), ...meta }));
+}
+
+/* ---------------- HELPERS ---------------- */
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60_000).toISOString();
+
+/** Records in `status` not updated since `cutoff` (oldest first, capped). */
+async function queryStale(table, status, cutoff) {
+  const items = [];
+  let ExclusiveStartKey;
+
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName: table,
+      IndexName: STATUS_INDEX,
+      KeyConditionExpression: "#s = :s AND updatedAt < :cutoff",
+      ExpressionAttributeNames: { "#s": "status" },
+      ExpressionAttributeValues: { ":s": status, ":cutoff": cutoff },
+      Limit: MAX_ITEMS_PER_STATUS - items.length,
+      ExclusiveStartKey
+    }));
+    items.push(...(resp.Items || []));
+    ExclusiveStartKey = resp.LastEvaluatedKey;
+  } while (ExclusiveStartKey && items.length < MAX_ITEMS_PER_STATUS);
+
+  return items;
+}
+
+/**
+ * Current Textract status of an async job:
+ *   { jobStatus, statusMessage } — jobStatus = null when Textract no longer
+ *   knows the job (results are only kept for 7 days).
+ */
+async function getTextractJobStatus(jobId, useAnalysis) {
+  const Command = useAnalysis ? GetDocumentAnalysisCommand : GetDocumentTextDetectionCommand;
+  try {
+    const resp = await textract.send(new Command({ JobId: jobId, MaxResults: 1 }));
+    return { jobStatus: resp.JobStatus, statusMessage: resp.StatusMessage };
+  } catch (err) {
+    if (err.name === "InvalidJobIdException") return { jobStatus: null, statusMessage: err.message };
+    throw err;
+  }
+}
+
+/**
+ * Re-deliver a Textract completion to a results queue in the same SNS→SQS
+ * envelope the topic subscription produces, so the worker processes it as if
+ * the original notification had arrived.
+ */
+async function sendTextractCompletion(queueUrl, notification) {
+  await sqs.send(new SendMessageCommand({
+    QueueUrl: queueUrl,
+    MessageBody: JSON.stringify({
+      Type:    "Notification",
+      Message: JSON.stringify({ ...notification, Timestamp: Date.now() })
+    })
+  }));
+}
+
+const timedOutReason = (status, detail) => `TIMED_OUT: stuck in ${status} — ${detail}`;
+
+/* ---------------- FUND DOCUMENTS ---------------- */
+
+/**
+ * Claim a document for a resume: bump reaperAttempts and updatedAt, but only if
+ * it is still in the status / updatedAt the sweep saw. The bump restarts the
+ * deadline, so the next run only acts again if the resume did not help.
+ */
+async function claimDocument(doc, set = {}) {
+  await updateDocument(ddb, {
+    table: DOCUMENTS_TABLE,
+    fundId: doc.fundId,
+    documentId: doc.documentId,
+    set: { ...set, reaperAttempts: (doc.reaperAttempts || 0) + 1 },
+    expected: { status: doc.status, updatedAt: doc.updatedAt }
+  });
+}
+
+async function timeOutDocument(doc, detail) {
+  await transitionDocument(ddb, {
+    table: DOCUMENTS_TABLE,
+    fundId: doc.fundId,
+    documentId: doc.documentId,
+    to:  DOCUMENT_STATUSES.FAILED,
+    set: {
+      errorReason: timedOutReason(doc.status, detail),
+      timedOutAt:  new Date().toISOString()
+    },
+    expected: { status: doc.status, updatedAt: doc.updatedAt },
+    actor:    "stuckJobReaper",
+    reason:   "TIMED_OUT"
+  });
+  await refreshFundStatus(ddb, { fundsTable: DDB_TABLE, documentsTable: DOCUMENTS_TABLE, fundId: doc.fundId });
+
+  // An IMA / SideLetter that timed out no longer holds up the fund assembly
+  const docType = getDocumentType(doc.documentType);
+  if (docType && isAssembled(docType)) {
+    await settleAssemblyDocument(ddb, sqs, {
+      table: DDB_TABLE, queueUrl: FUND_ASSEMBLE_QUEUE_URL, fundId: doc.fundId, documentId: doc.documentId,
+      triggeredBy: "stuckJobReaper", log, logMeta: { documentId: doc.documentId }
+    });
+  }
+  return OUTCOMES.TIMED_OUT;
+}
+
+/**
+ * UPLOADING: the presigned PUT never produced an S3 event. If the object is
+ * there, replay the S3 event into S3UploadTriggerLambda; otherwise the upload
+ * never happened.
+ */
+async function reapUploadingDocument(doc) {
+  try {
+    await s3.send(new HeadObjectCommand({ Bucket: doc.bucket, Key: doc.objectKey }));
+  } catch (err) {
+    if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+      return timeOutDocument(doc, "the upload never arrived");
+    }
+    throw err;
+  }
+
+  await claimDocument(doc);
+  await lambda.send(new InvokeCommand({
+    FunctionName:   S3_UPLOAD_TRIGGER_FUNCTION,
+    InvocationType: "Event",
+    Payload: JSON.stringify({
+      Records: [{
+        s3: {
+          bucket: { name: doc.bucket },
+          object: { key: encodeURIComponent(doc.objectKey) }
+        }
+      }]
+    })
+  }));
+  return OUTCOMES.RESUMED;
+}
+
+/** RECEIVED: the TextractStarterQueue message was lost or dead-lettered — re-queue it. */
+async function reapReceivedDocument(doc) {
+  await claimDocument(doc);
+  await sqs.send(new SendMessageCommand({
+    QueueUrl: TEXTRACT_STARTER_QUEUE_URL,
+    MessageBody: JSON.stringify({
+      fundId:       doc.fundId,
+      documentId:   doc.documentId,
+      documentType: doc.documentType,
+      bucket:       doc.bucket,
+      key:          doc.objectKey,
+      fileName:     doc.fileName
+    })
+  }));
+  return OUTCOMES.RESUMED;
+}
+
+/**
+ * TEXTRACT_PROCESSING: ask Textract for the job's real state. A finished job
+ * whose SNS notification was lost is re-delivered to TextractResultsQueue;
+ * a running job is left alone.
+ */
+async function reapTextractProcessingDocument(doc) {
+  if (!doc.textractJobId) return timeOutDocument(doc, "no Textract job was recorded");
+
+  const job         = await getJob(ddb, { table: TEXTRACT_JOBS_TABLE, jobId: doc.textractJobId });
+  const docType     = getDocumentType(doc.documentType);
+  const useAnalysis = job?.api ? job.api === "StartDocumentAnalysis" : usesDocumentAnalysis(docType);
+
+  const { jobStatus, statusMessage } = await getTextractJobStatus(doc.textractJobId, useAnalysis);
+
+  if (!jobStatus) return timeOutDocument(doc, `Textract job ${doc.textractJobId} no longer exists`);
+  if (!TEXTRACT_TERMINAL_STATUSES.has(jobStatus)) return OUTCOMES.WAITING;
+
+  await claimDocument(doc);
+  await sendTextractCompletion(TEXTRACT_RESULTS_QUEUE_URL, {
+    JobId:            doc.textractJobId,
+    Status:           jobStatus,
+    StatusMessage:    statusMessage,
+    API:              useAnalysis ? "StartDocumentAnalysis" : "StartDocumentTextDetection",
+    JobTag:           doc.documentId,
+    DocumentLocation: { S3Bucket: doc.bucket, S3ObjectName: doc.objectKey }
+  });
+  return OUTCOMES.RESUMED;
+}
+
+/** REEXTRACTING: the REEXTRACT message is not kept, so the caller has to re-request it. */
+async function reapReextractingDocument(doc) {
+  return timeOutDocument(doc, "re-extraction did not finish; POST /funds/{fundId}/reextract again");
+}
+
+const DOCUMENT_REAPERS = {
+  [DOCUMENT_STATUSES.UPLOADING]:           reapUploadingDocument,
+  [DOCUMENT_STATUSES.RECEIVED]:            reapReceivedDocument,
+  [DOCUMENT_STATUSES.TEXTRACT_PROCESSING]: reapTextractProcessingDocument,
+  [DOCUMENT_STATUSES.REEXTRACTING]:        reapReextractingDocument
+};
+
+async function reapDocument(doc) {
+  if ((doc.reaperAttempts || 0) >= MAX_RESUME_ATTEMPTS) {
+    return timeOutDocument(doc, `no progress after ${doc.reaperAttempts} resume attempt(s)`);
+  }
+  return DOCUMENT_REAPERS[doc.status](doc);
+}
+
+/* ---------------- FUNDS (legacy flows) ---------------- */
+
+/** True when the fund has at least one FundDocumentsTable row. */
+async function hasDocuments(fundId) {
+  const resp = await ddb.send(new QueryCommand({
+    TableName: DOCUMENTS_TABLE,
+    KeyConditionExpression: "fundId = :f",
+    ExpressionAttributeValues: { ":f": fundId },
+    ProjectionExpression: "documentId",
+    Limit: 1
+  }));
+  return (resp.Items || []).length > 0;
+}
+
+/**
+ * A legacy fund record past its deadline. The legacy flows keep no state a
+ * resume could start from (no job registry entry, no queued message), so the
+ * fund is marked FAILED and the caller re-submits.
+ */
+async function reapFund(fund) {
+  if (await hasDocuments(fund.fundId)) return OUTCOMES.SKIPPED;
+
+  await transitionFund(ddb, {
+    table:  DDB_TABLE,
+    fundId: fund.fundId,
+    to:     FUND_STATUSES.FAILED,
+    set: {
+      errorReason: timedOutReason(fund.status, "the legacy upload / extraction flow never finished"),
+      timedOutAt:  new Date().toISOString()
+    },
+    expected: { status: fund.status, updatedAt: fund.updatedAt },
+    actor:    "stuckJobReaper",
+    reason:   "TIMED_OUT"
+  });
+  return OUTCOMES.TIMED_OUT;
+}
+
+/* ---------------- FORM CHECKS ---------------- */
+
+/** Conditional FormCheckTable update — same contract as claimDocument. */
+async function updateFormCheck(job, { sets, values = {} }) {
+  await ddb.send(new UpdateCommand({
+    TableName: FORM_CHECK_TABLE,
+    Key: { jobId: job.jobId },
+    UpdateExpression: "SET " + ["updatedAt = :u", ...sets].join(", "),
+    ConditionExpression: "#s = :expectedStatus AND updatedAt = :expectedUpdatedAt",
+    ExpressionAttributeNames: { "#s": "status" },
+    ExpressionAttributeValues: {
+      ":u":                 new Date().toISOString(),
+      ":expectedStatus":    job.status,
+      ":expectedUpdatedAt": job.updatedAt,
+      ...values
+    }
+  }));
+}
+
+const claimFormCheck = (job, { sets = [], values = {} } = {}) =>
+  updateFormCheck(job, {
+    sets:   ["reaperAttempts = :ra", ...sets],
+    values: { ":ra": (job.reaperAttempts || 0) + 1, ...values }
+  });
+
+async function timeOutFormCheck(job, detail) {
+  await updateFormCheck(job, {
+    sets:   ["#s = :failed", "errorReason = :e", "timedOutAt = :t"],
+    values: {
+      ":failed": "FAILED",
+      ":e":      timedOutReason(job.status, detail),
+      ":t":      new Date().toISOString()
+    }
+  });
+  return OUTCOMES.TIMED_OUT;
+}
+
+/** Re-deliver a finished form-check Textract job to FormCheckResultsQueue. */
+async function resendFormCheckCompletion(job, jobStatus, statusMessage) {
+  await claimFormCheck(job);
+  await sendTextractCompletion(FORM_CHECK_RESULTS_QUEUE_URL, {
+    JobId:         job.textractJobId,
+    Status:        jobStatus,
+    StatusMessage: statusMessage,
+    API:           "StartDocumentAnalysis",
+    JobTag:        job.jobId
+  });
+  return OUTCOMES.RESUMED;
+}
+
+/** TEXTRACT_PROCESSING: same as for fund documents, via FormCheckResultsQueue. */
+async function reapTextractProcessingFormCheck(job) {
+  if (!job.textractJobId) return timeOutFormCheck(job, "no Textract job was recorded");
+
+  const { jobStatus, statusMessage } = await getTextractJobStatus(job.textractJobId, true);
+
+  if (!jobStatus) return timeOutFormCheck(job, `Textract job ${job.textractJobId} no longer exists`);
+  if (!TEXTRACT_TERMINAL_STATUSES.has(jobStatus)) return OUTCOMES.WAITING;
+
+  return resendFormCheckCompletion(job, jobStatus, statusMessage);
+}
+
+/**
+ * ANALYZING: the Step Functions execution ended (or never started) without the
+ * aggregator writing a result. Restart it from the stored execution input, or
+ * re-run the results worker when the execution was never started.
+ */
+async function reapAnalyzingFormCheck(job) {
+  if (job.executionInput) {
+    const name = `${job.jobId}-reaper-${Date.now()}`;
+    await claimFormCheck(job);
+    const resp = await sfn.send(new StartExecutionCommand({
+      stateMachineArn: FORM_CHECK_SFN_ARN,
+      name,
+      input:           job.executionInput
+    }));
+    await ddb.send(new UpdateCommand({
+      TableName: FORM_CHECK_TABLE,
+      Key: { jobId: job.jobId },
+      UpdateExpression: "SET executionArn = :a",
+      ExpressionAttributeValues: { ":a": resp.executionArn }
+    }));
+    return OUTCOMES.RESUMED;
+  }
+
+  if (job.textractJobId) {
+    const { jobStatus, statusMessage } = await getTextractJobStatus(job.textractJobId, true);
+    if (jobStatus === "SUCCEEDED") return resendFormCheckCompletion(job, jobStatus, statusMessage);
+  }
+
+  return timeOutFormCheck(job, "analysis never started and Textract results are unavailable");
+}
+
+const FORM_CHECK_REAPERS = {
+  TEXTRACT_PROCESSING: reapTextractProcessingFormCheck,
+  ANALYZING:           reapAnalyzingFormCheck
+};
+
+async function reapFormCheck(job) {
+  if ((job.reaperAttempts || 0) >= MAX_RESUME_ATTEMPTS) {
+    return timeOutFormCheck(job, `no progress after ${job.reaperAttempts} resume attempt(s)`);
+  }
+  return FORM_CHECK_REAPERS[job.status](job);
+}
+
+/* ---------------- SWEEP ---------------- */
+
+/**
+ * Sweep one table: every status past its deadline, one record at a time.
+ * A record that moved on between the query and the write
+ * (ConditionalCheckFailedException, or IllegalTransitionError once it reached
+ * a status it cannot time out from) is skipped; other errors are logged and
+ * counted so one bad record does not stop the sweep.
+ */
+async function sweep({ name, table, deadlines, reap, idOf, requestId }) {
+  const summary = { resumed: 0, timedOut: 0, waiting: 0, skipped: 0, errors: 0 };
+
+  for (const [status, minutes] of Object.entries(deadlines)) {
+    const stale = await queryStale(table, status, minutesAgo(minutes));
+
+    for (const item of stale) {
+      const ids = idOf(item);
+      try {
+        const outcome = await reap(item);
+        summary[outcome]++;
+        log("INFO", "Reaped stuck record", { requestId, sweep: name, status, outcome, ...ids, updatedAt: item.updatedAt });
+      } catch (err) {
+        if (err.name === "ConditionalCheckFailedException" || err.name === "IllegalTransitionError") {
+          summary[OUTCOMES.SKIPPED]++;
+          log("INFO", "Record moved on during sweep — skipped", { requestId, sweep: name, status, ...ids });
+          continue;
+        }
+        summary.errors++;
+        log("ERROR", "Failed to reap record", { requestId, sweep: name, status, ...ids, error: err.message, stack: err.stack });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/* ---------------- HANDLER ---------------- */
+
+/**
+ * StuckJobReaperLambda — scheduled (EventBridge rule).
+ *
+ * Finds fund documents and form-check jobs that have sat in an intermediate
+ * status past its deadline, checks their true state with Textract, and either
+ * resumes the pipeline where it stalled or marks them FAILED with a
+ * "TIMED_OUT: ..." errorReason. Each record is resumed at most
+ * MAX_RESUME_ATTEMPTS times before it is timed out. Fund records of the legacy
+ * flows (no per-document rows) stuck in INITIATED / UPLOADING / PROCESSING are
+ * timed out.
+ */
+export const handler = async (event, context) => {
+  const requestId = context.awsRequestId;
+
+  log("INFO", "StuckJobReaper invoked", { requestId });
+
+  const documents = await sweep({
+    name:      "documents",
+    table:     DOCUMENTS_TABLE,
+    deadlines: DOCUMENT_DEADLINES_MINUTES,
+    reap:      reapDocument,
+    idOf:      (d) => ({ fundId: d.fundId, documentId: d.documentId }),
+    requestId
+  });
+
+  const funds = await sweep({
+    name:      "funds",
+    table:     DDB_TABLE,
+    deadlines: FUND_DEADLINES_MINUTES,
+    reap:      reapFund,
+    idOf:      (f) => ({ fundId: f.fundId }),
+    requestId
+  });
+
+  const formChecks = await sweep({
+    name:      "formChecks",
+    table:     FORM_CHECK_TABLE,
+    deadlines: FORM_CHECK_DEADLINES_MINUTES,
+    reap:      reapFormCheck,
+    idOf:      (j) => ({ jobId: j.jobId }),
+    requestId
+  });
+
+  log("INFO", "StuckJobReaper done", { requestId, documents, funds, formChecks });
+
+  return { requestId, documents, funds, formChecks };
+};
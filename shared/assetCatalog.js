@@ -0,0 +1,79 @@
+// Prompt + schema catalog
+// assets/catalog.json lists every prompt, JSON schema and the rule field
+// dictionary the Bedrock stages may load, each with a name, a version and the
+// sha256 of the file as deployed.
+// textractResultsWorkerLambda and fundAssembler resolve assets through it so
+// every result can be stamped with exactly which prompt / schema produced it;
+// fundReextract uses it to reject overrides that are not catalogued.
+//
+// Editing a prompt or schema means bumping its catalog entry — deploy.sh
+// refuses to upload assets whose hash does not match the catalog.
+
+import { createHash } from "node:crypto";
+
+export const CATALOG_KEY = "assets/catalog.json";
+
+export const ASSET_KINDS = Object.freeze({
+  PROMPT:     "prompt",
+  SCHEMA:     "schema",
+  DICTIONARY: "dictionary"
+});
+
+/** Hex sha256 of an asset's UTF-8 text. */
+export const sha256 = (text) => createHash("sha256").update(text, "utf8").digest("hex");
+
+/**
+ * Parse catalog.json text into a Map of asset key → entry.
+ * Entry: { kind, name, version, key, sha256 }.
+ */
+export const parseCatalog = (text) => {
+  const { assets } = JSON.parse(text);
+  if (!Array.isArray(assets)) throw new Error(`${CATALOG_KEY} has no "assets" array`);
+  return new Map(assets.map(a => [a.key, a]));
+};
+
+/** Catalog entry for an asset key, or null when the key is not catalogued. */
+export const findAsset = (catalog, key) => catalog.get(key) || null;
+
+/**
+ * Resolve an asset key through the catalog and read it.
+ * `readText(key)` fetches the asset body (the caller owns the S3 client).
+ * Throws when the key is not catalogued, has the wrong kind, or its content
+ * no longer matches the catalogued hash — an unversioned edit must never
+ * reach Bedrock silently.
+ * Returns { text, ref: { name, version, key, sha256 } }.
+ */
+export const loadCatalogedAsset = async (catalog, key, kind, readText) => {
+  const entry = findAsset(catalog, key);
+  if (!entry)              throw new Error(`Asset not in ${CATALOG_KEY}: ${key}`);
+  if (entry.kind !== kind) throw new Error(`Asset ${key} is a ${entry.kind}, expected ${kind}`);
+
+  const text   = await readText(key);
+  const actual = sha256(text);
+  if (actual !== entry.sha256) {
+    throw new Error(`Asset ${key} does not match ${CATALOG_KEY} (expected sha256 ${entry.sha256}, got ${actual})`);
+  }
+
+  return { text, ref: { name: entry.name, version: entry.version, key, sha256: entry.sha256 } };
+};
+
+/**
+ * Provenance stamp stored on every result object and fund record:
+ * which prompt / schema version, model and inference settings produced the
+ * output, and what it cost. fieldDictionary is set for outputs whose prompt
+ * carried the rule field dictionary (shared/ruleFields.js).
+ */
+export const buildProvenance = ({ prompt, schema, fieldDictionary, modelId, inferenceConfig, usage, attempts, chunks }) => ({
+  prompt,
+  schema,
+  ...(fieldDictionary && { fieldDictionary }),
+  modelId,
+  inferenceConfig,
+  usage: {
+    inputTokens:  usage?.inputTokens  || 0,
+    outputTokens: usage?.outputTokens || 0
+  },
+  attempts,
+  ...(chunks && { chunks }),
+  generatedAt: new Date().toISOString()
+});
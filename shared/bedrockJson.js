@@ -0,0 +1,104 @@
+// Bedrock JSON helpers
+// Turns a ConverseCommand response into schema-valid JSON. Used by
+// textractResultsWorkerLambda and fundAssembler: strip markdown fences, parse,
+// validate with the caller's compiled AJV validator and, on failure, re-prompt
+// the model with the errors for a bounded number of repair attempts.
+
+import { ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
+import { withRetry } from "./retry.js";
+
+/** Remove a surrounding ```json … ``` (or bare ```) fence, if present. */
+export const stripCodeFences = (text) => {
+  const trimmed = (text || "").trim();
+  const fenced  = trimmed.match(/^```(?:json|JSON)?\s*([\s\S]*?)\s*```$/);
+  return fenced ? fenced[1].trim() : trimmed;
+};
+
+/** Concatenate the text blocks of a Converse response. */
+export const converseText = (resp) =>
+  resp?.output?.message?.content
+    ?.filter(c => c?.text)
+    .map(c => c.text)
+    .join("\n\n") || "";
+
+/** Human-readable AJV errors, e.g. "/meta/fund_name must be string". */
+export const formatAjvErrors = (errors) =>
+  (errors || []).map(e => `${e.instancePath || "/"} ${e.message}`);
+
+/**
+ * Parse + validate one model output.
+ * Returns { ok: true, value } or { ok: false, errors: string[] }.
+ */
+export const checkModelOutput = (text, validate) => {
+  let value;
+  try {
+    value = JSON.parse(stripCodeFences(text));
+  } catch (err) {
+    return { ok: false, errors: [`Output is not valid JSON: ${err.message}`] };
+  }
+  if (!validate(value)) return { ok: false, errors: formatAjvErrors(validate.errors) };
+  return { ok: true, value };
+};
+
+const repairPrompt = (errors) =>
+  "Your previous response did not conform to the JSON Schema. Errors:\n" +
+  errors.map(e => `- ${e}`).join("\n") +
+  "\n\nReturn the complete corrected JSON object only — no markdown, no commentary.";
+
+/**
+ * Call Bedrock Converse and return schema-valid JSON.
+ *
+ * The first call sends userPrompt. Each failed attempt appends the model's
+ * answer and a repair message listing the errors to the conversation and asks
+ * again, up to maxRepairAttempts extra calls.
+ *
+ * Returns { ok, value, errors, attempts, rawOutput, usage }:
+ *   ok=true  → value is the validated object
+ *   ok=false → errors are from the last attempt, rawOutput is its text
+ * Each Bedrock call is retried on throttling / 5xx (shared/retry.js); terminal
+ * errors (access, validation) and a throttle that outlasts the retries are thrown.
+ */
+export const converseForJson = async ({
+  bedrock,
+  modelId,
+  userPrompt,
+  validate,
+  inferenceConfig,
+  maxRepairAttempts = 2,
+  log = () => {},
+  logMeta = {}
+}) => {
+  const messages = [{ role: "user", content: [{ text: userPrompt }] }];
+  const usage    = { inputTokens: 0, outputTokens: 0 };
+  let result;
+  let rawOutput = "";
+  let attempt   = 0;
+
+  while (true) {
+    attempt++;
+    const start = Date.now();
+    const resp  = await withRetry(() => bedrock.send(new ConverseCommand({ modelId, messages, inferenceConfig })), {
+      label: "Bedrock Converse", log, logMeta
+    });
+
+    usage.inputTokens  += resp?.usage?.inputTokens  || 0;
+    usage.outputTokens += resp?.usage?.outputTokens || 0;
+
+    rawOutput = converseText(resp);
+    result    = checkModelOutput(rawOutput, validate);
+
+    log(result.ok ? "INFO" : "WARN", "Bedrock JSON attempt", {
+      ...logMeta, attempt, durationMs: Date.now() - start, ok: result.ok,
+      ...(result.ok ? {} : { errors: result.errors.slice(0, 20) })
+    });
+
+    if (result.ok || attempt > maxRepairAttempts) break;
+
+    messages.push(
+      { role: "assistant", content: [{ text: rawOutput || "(empty response)" }] },
+      { role: "user",      content: [{ text: repairPrompt(result.errors.slice(0, 50)) }] }
+    );
+  }
+
+  return { ...result, attempts: attempt, rawOutput, usage };
+};
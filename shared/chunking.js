@@ -0,0 +1,206 @@
+// Token-aware chunking for long documents
+// Used by textractResultsWorkerLambda for document types with `chunking: true`
+// in shared/documentTypes.js (PPM, LPA). Long OCR text is split into page
+// ranges that fit a token budget, each range is extracted separately, and the
+// per-chunk JSON results are merged back into one object.
+
+/** Rough token estimate for English legal text (~4 characters per token). */
+export const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+// A page whose first line looks like a new top-level heading is a good place
+// to start a chunk: "ARTICLE VII", "Section 8 ...", "8. INVESTMENT RESTRICTIONS".
+const HEADING_RE = /^(ARTICLE|SECTION|PART|SCHEDULE|ANNEX|APPENDIX)\b|^\d{1,2}\.?\s+[A-Z][A-Z ,&'\-]{3,}$/i;
+
+const startsWithHeading = (page) => {
+  const firstLine = (page.text || "").split("\n").find(l => l.trim()) || "";
+  return HEADING_RE.test(firstLine.trim());
+};
+
+/**
+ * Split pages ([{ page, text }], in page order) into chunks of at most
+ * maxTokens estimated tokens. Returns [{ startPage, endPage, pages }].
+ *
+ * - Once a chunk is at least half full, it is closed early before a page that
+ *   starts with a heading, so sections stay together where possible.
+ * - Each chunk after the first repeats the previous chunk's last page
+ *   (overlapPages), so clauses that span a boundary are seen in full — the
+ *   merge step dedupes anything extracted twice.
+ * - A single page larger than the budget becomes its own chunk.
+ */
+export const buildPageChunks = (pages, { maxTokens, overlapPages = 1 }) => {
+  const chunks = [];
+  let current  = [];
+  let tokens   = 0;
+  let carried  = 0;   // overlap pages at the head of `current`
+
+  const close = () => {
+    chunks.push({
+      startPage: current[0].page,
+      endPage:   current[current.length - 1].page,
+      pages:     current
+    });
+    current = overlapPages > 0 ? current.slice(-overlapPages) : [];
+    tokens  = current.reduce((n, p) => n + estimateTokens(p.text), 0);
+    carried = current.length;
+  };
+
+  for (const page of pages) {
+    const pageTokens = estimateTokens(page.text);
+    const hasNewPages = current.length > carried;
+
+    if (hasNewPages && (tokens + pageTokens > maxTokens || (tokens >= maxTokens / 2 && startsWithHeading(page)))) {
+      close();
+    }
+    // The overlap alone would push this page over budget — start clean
+    if (carried && tokens + pageTokens > maxTokens) {
+      current = [];
+      tokens  = 0;
+      carried = 0;
+    }
+
+    current.push(page);
+    tokens += pageTokens;
+  }
+
+  if (current.length > carried) close();
+
+  return chunks;
+};
+
+/**
+ * Identity keys used to dedupe array items across chunks. Items with the same
+ * key are merged; when both carry a confidence, the higher one wins.
+ * Arrays not listed here are deduped on their full JSON value.
+ */
+export const DEDUPE_KEYS = Object.freeze({
+  extracted_sections: ["section_title", "page_start"],
+  extracted_clauses:  ["clause_id"],
+  normalized_rules:   ["rule_code"],
+  risk_factors:       ["title"]
+});
+
+// 0 is a real value (a 0% limit, a zero fee) — chunks report values that are
+// not on their pages as null, see chunkSchema
+const isEmpty = (v) =>
+  v === undefined || v === null || v === "" ||
+  (Array.isArray(v) && v.length === 0) ||
+  (typeof v === "object" && !Array.isArray(v) && Object.keys(v).length === 0);
+
+const isPlainObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+const itemKey = (item, keys) =>
+  keys ? JSON.stringify(keys.map(k => item?.[k])) : JSON.stringify(item);
+
+function mergeArrays(target, source, keys) {
+  const index = new Map(target.map((item, i) => [itemKey(item, keys), i]));
+
+  for (const item of source) {
+    const key = itemKey(item, keys);
+    if (!index.has(key)) {
+      index.set(key, target.length);
+      target.push(item);
+      continue;
+    }
+    const i = index.get(key);
+    const existing = target[i];
+    if (typeof item?.confidence === "number" && item.confidence > (existing?.confidence ?? -1)) {
+      target[i] = item;
+    }
+  }
+  return target;
+}
+
+// Earlier chunks win for scalar fields; later chunks only fill in values the
+// earlier ones left empty (null for terms not on their pages).
+function mergeObjects(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (Array.isArray(value)) {
+      target[key] = mergeArrays(Array.isArray(target[key]) ? target[key] : [], value, DEDUPE_KEYS[key]);
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeObjects(target[key], value);
+    } else if (isEmpty(target[key]) && !isEmpty(value)) {
+      target[key] = value;
+    } else if (!(key in target)) {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Merge per-chunk extraction results (in chunk order) into one object.
+ * extracted_sections, extracted_clauses and normalized_rules are concatenated
+ * and deduped by DEDUPE_KEYS; other fields are merged first-non-empty-wins.
+ * Run fillMissingValues on the merged object before validating it.
+ */
+export const mergeChunkResults = (results) =>
+  results.reduce((merged, r) => mergeObjects(merged, structuredClone(r)), {});
+
+const SCALAR_TYPES = new Set(["string", "number", "integer", "boolean"]);
+
+// Values filled in for required scalars no chunk found — what a single-call
+// extraction returns for them
+const MISSING_VALUES = { string: "", number: 0, integer: 0 };
+
+const typesOf = (node) => [node?.type].flat().filter(t => typeof t === "string");
+
+const resolveRef = (node, root) =>
+  typeof node?.$ref === "string" && node.$ref.startsWith("#/")
+    ? node.$ref.slice(2).split("/").reduce((n, part) => n?.[part], root)
+    : node;
+
+/**
+ * The JSON schema (parsed) a single chunk is validated against: every scalar
+ * field also accepts null, which chunkInstruction asks for when a value is not
+ * on the chunk's pages.
+ */
+export const chunkSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(chunkSchema);
+  if (!isPlainObject(schema)) return schema;
+
+  const out = Object.fromEntries(
+    Object.entries(schema).map(([k, v]) => [k, k === "enum" || k === "required" ? v : chunkSchema(v)])
+  );
+
+  const types = typesOf(schema);
+  if (types.length && types.every(t => SCALAR_TYPES.has(t) || t === "null")) {
+    out.type = [...new Set([...types, "null"])];
+    if (Array.isArray(schema.enum) && !schema.enum.includes(null)) out.enum = [...schema.enum, null];
+  }
+  return out;
+};
+
+/**
+ * Replace the nulls a merged result still has — values no chunk found — with
+ * "" / 0 where the full schema does not allow null. Modifies `value` in place
+ * and returns it.
+ */
+export const fillMissingValues = (value, schema, root = schema) => {
+  const node = resolveRef(schema, root);
+
+  if (Array.isArray(value)) return node?.items ? value.map(v => fillMissingValues(v, node.items, root)) : value;
+  if (!isPlainObject(value) || !node?.properties) return value;
+
+  for (const [key, prop] of Object.entries(node.properties)) {
+    const propNode = resolveRef(prop, root);
+    if (value[key] === null) {
+      const types   = typesOf(propNode);
+      const missing = types.find(t => t in MISSING_VALUES);
+      if (missing && !types.includes("null")) value[key] = MISSING_VALUES[missing];
+    } else if (value[key] !== undefined) {
+      value[key] = fillMissingValues(value[key], propNode, root);
+    }
+  }
+  return value;
+};
+
+/** Instruction appended to the prompt when extracting one chunk of a document. */
+export const chunkInstruction = ({ startPage, endPage }, totalPages) =>
+  `This request covers pages ${startPage}–${endPage} of ${totalPages} only. ` +
+  "Other pages are extracted separately and merged afterwards, so:\n" +
+  "• Extract only what appears in these pages.\n" +
+  "• Use the document's own section numbering as clause_id (e.g. \"8.1(b)\") and a " +
+  "stable descriptive rule_code (e.g. \"LEVERAGE_MAX_FUND\"), so the same clause or rule " +
+  "gets the same id in every chunk.\n" +
+  "• For fields whose values are not on these pages use null — never \"\" or 0, which would be " +
+  "read as real values.";
@@ -0,0 +1,42 @@
+// Signed pagination cursors
+// A cursor is "<payload>.<signature>": base64url JSON plus a base64url
+// HMAC-SHA256 of it. Callers see an opaque string; a cursor that was edited,
+// truncated or signed with another key decodes to null, so list endpoints
+// never act on a position the caller made up.
+//
+// The payload is whatever the endpoint needs to resume (e.g. the last item's
+// sort key) plus a hash of the query it belongs to, so a cursor cannot be
+// replayed against different filters.
+
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+
+const sign = (payload, secret) => createHmac("sha256", secret).update(payload).digest("base64url");
+
+/** payload object → opaque cursor string. */
+export const encodeCursor = (payload, secret) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body, secret)}`;
+};
+
+/** Cursor string → payload object, or null if malformed or the signature does not match. */
+export const decodeCursor = (cursor, secret) => {
+  if (typeof cursor !== "string") return null;
+
+  const [body, signature, ...rest] = cursor.split(".");
+  if (!body || !signature || rest.length) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual   = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+    return payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Short stable hash of a query's filters, to bind a cursor to the query it came from. */
+export const queryFingerprint = (filters) =>
+  createHash("sha256").update(JSON.stringify(filters)).digest("base64url").slice(0, 16);
@@ -0,0 +1,170 @@
+// Document type registry
+// Single source of truth for every document type the pipeline accepts.
+// Consumed by s3UploadTrigger (routing), initDocumentUpload (REST upload init),
+// textractStarterLambda (Textract API selection), textractResultsWorkerLambda
+// (prompt + schema selection), fundAssembler (IMA + SideLetter merge) and
+// fundReextract (default prompt + schema for re-runs). Adding a type is an entry
+// here plus its prompt/schema files under assets/ — no Lambda changes required.
+
+/**
+ * What an upload of this type does to the fund table.
+ *   create → the document opens a brand-new fund (INT#<uuid>)
+ *   attach → the document belongs to an existing fund (x-amz-meta-fund-id required)
+ */
+export const FUND_ACTIONS = Object.freeze({
+  CREATE: "create",
+  ATTACH: "attach"
+});
+
+/**
+ * Role a document plays in the fund-level rules assembly (fundAssembler).
+ *   base    → the governing document every other rule is layered on (IMA)
+ *   overlay → investor-scoped terms merged on top of the base (SideLetter)
+ * Types without an assemblyRole are extracted per document only.
+ */
+export const ASSEMBLY_ROLES = Object.freeze({
+  BASE:    "base",
+  OVERLAY: "overlay"
+});
+
+/** Prompt + schema used by fundAssembler for the consolidated rules output. */
+export const FUND_ASSEMBLY = Object.freeze({
+  promptKey: "assets/prompt/fund-assembly-v1.txt",
+  schemaKey: "assets/FundAssemblyJSONSchema.txt"
+});
+
+/**
+ * Registry entries:
+ *   id               — lowercase type id stored on fund records and in S3 result paths
+ *   folder           — S3 folder name that identifies the type in upload keys
+ *                      (uploads/<folder>/<file>.pdf)
+ *   promptKey        — prompt key in the platform (assets) bucket
+ *   schemaKey        — JSON schema key in the platform (assets) bucket; the
+ *                      results worker validates Bedrock output against it
+ *   textractFeatures — [] → StartDocumentTextDetection (plain OCR)
+ *                      otherwise → StartDocumentAnalysis with these FeatureTypes;
+ *                      FORMS key / value pairs (checkboxes as [X] / [ ]) are
+ *                      appended to each page's text by the results worker
+ *   fundAction       — FUND_ACTIONS.CREATE or FUND_ACTIONS.ATTACH
+ *   assemblyRole     — ASSEMBLY_ROLES.BASE / ASSEMBLY_ROLES.OVERLAY, or null
+ *   chunking         — true → documents over the worker's token budget are
+ *                      extracted in page-range chunks and merged (shared/chunking.js)
+ *   ruleFields       — true → the output has normalized_rules; the prompt carries
+ *                      the rule field dictionary and the rule fields are
+ *                      normalized against it (shared/ruleFields.js)
+ */
+export const DOCUMENT_TYPES = Object.freeze({
+  icmemo: {
+    id:               "icmemo",
+    folder:           "ICMemo",
+    promptKey:        "assets/prompt/icmemo-v2.txt",
+    schemaKey:        "assets/ICMemoEngineJSONSchemaV2.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.CREATE,
+    assemblyRole:     null,
+    chunking:         false,
+    ruleFields:       false
+  },
+  ima: {
+    id:               "ima",
+    folder:           "IMA",
+    promptKey:        "assets/prompt/rules-engine-v1.txt",
+    schemaKey:        "assets/RulesEngineJSONSchema.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     ASSEMBLY_ROLES.BASE,
+    chunking:         false,
+    ruleFields:       true
+  },
+  sideletter: {
+    id:               "sideletter",
+    folder:           "SideLetter",
+    promptKey:        "assets/prompt/sideletter-v1.txt",
+    schemaKey:        "assets/SideLetterJSONSchema.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     ASSEMBLY_ROLES.OVERLAY,
+    chunking:         false,
+    ruleFields:       true
+  },
+  lpa: {
+    id:               "lpa",
+    folder:           "LPA",
+    promptKey:        "assets/prompt/lpa-v1.txt",
+    schemaKey:        "assets/LPAJSONSchema.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     null,
+    chunking:         true,
+    ruleFields:       true
+  },
+  ppm: {
+    id:               "ppm",
+    folder:           "PPM",
+    promptKey:        "assets/prompt/ppm-v1.txt",
+    schemaKey:        "assets/PPMJSONSchema.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     null,
+    chunking:         true,
+    ruleFields:       true
+  },
+  subdoc: {
+    id:               "subdoc",
+    folder:           "SubDoc",
+    promptKey:        "assets/prompt/subdoc-v1.txt",
+    schemaKey:        "assets/SubDocJSONSchema.txt",
+    textractFeatures: ["FORMS"],   // investor-type / accreditation checkboxes
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     null,
+    chunking:         false,
+    ruleFields:       false
+  },
+  fundstructure: {
+    id:               "fundstructure",
+    folder:           "FundStructure",
+    promptKey:        "assets/prompt/fundstructure-v1.txt",
+    schemaKey:        "assets/FundStructureJSONSchema.txt",
+    textractFeatures: [],
+    fundAction:       FUND_ACTIONS.ATTACH,
+    assemblyRole:     null,
+    chunking:         false,
+    ruleFields:       false
+  }
+});
+
+/**
+ * Look up a registry entry by type id (case-insensitive).
+ * Returns null for unknown types.
+ */
+export const getDocumentType = (id) => {
+  const key = (id || "").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, key) ? DOCUMENT_TYPES[key] : null;
+};
+
+/** All registered type ids, e.g. for validation error messages. */
+export const listDocumentTypeIds = () => Object.keys(DOCUMENT_TYPES);
+
+/**
+ * Resolve the document type from an S3 key path.
+ * Convention: the folder containing the PDF names the document type.
+ *   uploads/ICMemo/document.pdf          → icmemo
+ *   uploads/IMA/INT#abc-123/report.pdf   → ima
+ */
+export const documentTypeFromKey = (key) => {
+  for (const segment of (key || "").split("/")) {
+    const lower = segment.trim().toLowerCase();
+    const match = Object.values(DOCUMENT_TYPES).find(t => t.id === lower || t.folder.toLowerCase() === lower);
+    if (match) return match;
+  }
+  return null;
+};
+
+/** s3:// URI of an asset key in the platform bucket. */
+export const assetUri = (assetsBucket, key) => `s3://${assetsBucket}/${key}`;
+
+/** True when OCR text of this type feeds the fund-level rules assembly. */
+export const isAssembled = (docType) => Boolean(docType?.assemblyRole);
+
+/** True when this type is OCR'd with StartDocumentAnalysis rather than text detection. */
+export const usesDocumentAnalysis = (docType) => (docType?.textractFeatures || []).length > 0;
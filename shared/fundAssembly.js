@@ -0,0 +1,115 @@
+// Fund assembly rounds
+// IMA and SideLetter documents feed fundAssembler's fund-level rules merge.
+// s3UploadTrigger adds each one's documentId to the fund's
+// pendingAssemblyDocuments set (removing assemblyEnqueuedAt, which starts a new
+// round). Every terminal outcome for the document takes it out again:
+//
+//   textractResultsWorkerLambda  OCR written (its key is added to
+//                                assemblyOcrKeys), Textract job FAILED, or a
+//                                completion dropped for a document that has
+//                                already ended
+//   textractStarterLambda        Textract start failed for good
+//   stuckJobReaper               document timed out
+//
+// The caller that leaves the set empty enqueues the assembly, once per round.
+// Callers pass their own DynamoDBDocumentClient and SQSClient.
+
+import { UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { SendMessageCommand } from "@aws-sdk/client-sqs";
+import { ASSEMBLY_ROLES, documentTypeFromKey } from "./documentTypes.js";
+
+/**
+ * Take one document out of the fund's pendingAssemblyDocuments and, when its
+ * OCR succeeded, record the OCR text key in assemblyOcrKeys. Both updates are
+ * idempotent, so a redelivered message can see the empty set again;
+ * enqueueAssembly claims the round, so the assembly is still enqueued once.
+ * Returns true when the fund is ready to assemble: nothing pending and an
+ * IMA OCR recorded.
+ */
+export const releaseAssemblyDocument = async (ddb, { table, fundId, documentId, ocrKey }) => {
+  const exprValues = { ":d": new Set([documentId]), ":u": new Date().toISOString() };
+  let updateExpression = "SET updatedAt = :u DELETE pendingAssemblyDocuments :d";
+
+  if (ocrKey) {
+    updateExpression += " ADD assemblyOcrKeys :ok";
+    exprValues[":ok"] = new Set([ocrKey]);
+  }
+
+  let resp;
+  try {
+    resp = await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: { fundId },
+      UpdateExpression: updateExpression,
+      ConditionExpression: "attribute_exists(fundId)",
+      ExpressionAttributeValues: exprValues,
+      ReturnValues: "ALL_NEW"
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return false;
+  }
+
+  const pending = resp.Attributes?.pendingAssemblyDocuments;
+  const ocrKeys = [...(resp.Attributes?.assemblyOcrKeys || [])];
+  const hasBase = ocrKeys.some(k => documentTypeFromKey(k)?.assemblyRole === ASSEMBLY_ROLES.BASE);
+
+  return (!pending || pending.size === 0) && hasBase;
+};
+
+/**
+ * Enqueue the fund assembly once per round of uploads. The round is claimed
+ * with assemblyEnqueuedAt; a redelivered message — or a second caller that
+ * also saw the set empty — finds the claim taken and skips. The claim is
+ * released if the send fails, so the caller's SQS retry can enqueue it.
+ * Returns true when this call enqueued the assembly.
+ */
+export const enqueueAssembly = async (ddb, sqs, { table, queueUrl, fundId, triggeredBy, log = () => {}, logMeta = {} }) => {
+  const enqueuedAt = new Date().toISOString();
+
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: { fundId },
+      UpdateExpression: "SET assemblyEnqueuedAt = :at",
+      ConditionExpression: "attribute_not_exists(assemblyEnqueuedAt) AND attribute_not_exists(pendingAssemblyDocuments)",
+      ExpressionAttributeValues: { ":at": enqueuedAt }
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    log("INFO", "Fund assembly already enqueued for this round — skipping", { ...logMeta, fundId, triggeredBy });
+    return false;
+  }
+
+  try {
+    await sqs.send(new SendMessageCommand({
+      QueueUrl: queueUrl,
+      MessageBody: JSON.stringify({ fundId, triggeredBy, timestamp: enqueuedAt })
+    }));
+  } catch (err) {
+    await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: { fundId },
+      UpdateExpression: "REMOVE assemblyEnqueuedAt",
+      ConditionExpression: "assemblyEnqueuedAt = :at",
+      ExpressionAttributeValues: { ":at": enqueuedAt }
+    })).catch(releaseErr => log("WARN", "Could not release the assembly claim", {
+      ...logMeta, fundId, error: releaseErr.message
+    }));
+    throw err;
+  }
+
+  log("INFO", "Fund assembly enqueued", { ...logMeta, fundId, triggeredBy });
+  return true;
+};
+
+/**
+ * releaseAssemblyDocument, then enqueueAssembly when that left the fund ready.
+ * For callers that end an assembly document (see the header).
+ */
+export const settleAssemblyDocument = async (ddb, sqs, {
+  table, queueUrl, fundId, documentId, ocrKey, triggeredBy, log, logMeta
+}) => {
+  if (!await releaseAssemblyDocument(ddb, { table, fundId, documentId, ocrKey })) return false;
+  return enqueueAssembly(ddb, sqs, { table, queueUrl, fundId, triggeredBy, log, logMeta });
+};
@@ -0,0 +1,229 @@
+// Fund → documents data model
+// A fund (FundsTable, PK fundId) owns any number of documents (FundDocumentsTable,
+// PK fundId + SK documentId). Each document carries its own lifecycle, result
+// path, OCR paths and errors; the fund record only carries an aggregate status
+// computed from its documents, so an LPA upload no longer erases the IMA's state.
+//
+// Status changes go through shared/fundLifecycle.js; updateDocument writes
+// everything else.
+//
+// Used by s3UploadTrigger, initDocumentUpload, textractStarterLambda,
+// textractResultsWorkerLambda, fundReextract, fundGetById and stuckJobReaper. Callers pass
+// their own DynamoDBDocumentClient.
+
+import { randomBytes } from "crypto";
+import { GetCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+import { DOCUMENT_STATUSES, FUND_STATUSES, transitionFund } from "./fundLifecycle.js";
+
+export { DOCUMENT_STATUSES, FUND_STATUSES };
+
+const IN_FLIGHT = new Set([
+  DOCUMENT_STATUSES.UPLOADING,
+  DOCUMENT_STATUSES.RECEIVED,
+  DOCUMENT_STATUSES.TEXTRACT_PROCESSING,
+  DOCUMENT_STATUSES.REEXTRACTING
+]);
+
+/** New document id: "<documentType>-<8 base36 chars>", e.g. "ima-k3j9x2qa". */
+export const newDocumentId = (documentType) => {
+  const suffix = [...randomBytes(8)].map(b => (b % 36).toString(36)).join("");
+  return `${documentType}-${suffix}`;
+};
+
+/** Document type id encoded in a documentId ("ima-k3j9x2qa" → "ima"). */
+export const documentTypeOfId = (documentId) => (documentId || "").split("-")[0];
+
+/**
+ * Legacy Textract JobTag → { fundId, documentId, documentType }.
+ * Completions are resolved through the job registry (shared/textractJobs.js);
+ * this only serves jobs started before it existed, which were tagged
+ * "<P>:<uuid>:<documentId>" (P = I for INT#, E for EXT#) or, before documents
+ * existed, "<P>:<uuid>:<documentType>" — those parse with documentId = null.
+ */
+export const parseJobTag = (jobTag) => {
+  const firstColon = jobTag.indexOf(":");
+  const lastColon  = jobTag.lastIndexOf(":");
+  if (firstColon === -1 || firstColon === lastColon) throw new Error(`Invalid JobTag format: ${jobTag}`);
+
+  const prefixChar = jobTag.slice(0, firstColon);
+  const uuid       = jobTag.slice(firstColon + 1, lastColon);
+  const last       = jobTag.slice(lastColon + 1);
+  const fundId     = `${prefixChar === "I" ? "INT" : "EXT"}#${uuid}`;
+
+  return last.includes("-")
+    ? { fundId, documentId: last, documentType: documentTypeOfId(last) }
+    : { fundId, documentId: null, documentType: last };
+};
+
+/**
+ * Aggregate fund status from its documents:
+ *   any document in flight      → PROCESSING
+ *   every document SUCCEEDED    → SUCCEEDED
+ *   no document SUCCEEDED       → FAILED
+ *   otherwise                   → PARTIALLY_SUCCEEDED
+ * Returns { status, documentCounts, documentTypes } (counts per document
+ * status, sorted distinct document types), or status = null when the fund has
+ * no documents yet.
+ */
+export const aggregateFundStatus = (documents) => {
+  const documentCounts = {};
+  for (const d of documents) documentCounts[d.status] = (documentCounts[d.status] || 0) + 1;
+
+  const documentTypes = [...new Set(documents.map(d => d.documentType || documentTypeOfId(d.documentId)))].sort();
+
+  const total     = documents.length;
+  const succeeded = documentCounts[DOCUMENT_STATUSES.SUCCEEDED] || 0;
+
+  let status;
+  if (total === 0)                                       status = null;
+  else if (documents.some(d => IN_FLIGHT.has(d.status))) status = FUND_STATUSES.PROCESSING;
+  else if (succeeded === total)                          status = FUND_STATUSES.SUCCEEDED;
+  else if (succeeded === 0)                              status = FUND_STATUSES.FAILED;
+  else                                                   status = FUND_STATUSES.PARTIALLY_SUCCEEDED;
+
+  return { status, documentCounts, documentTypes };
+};
+
+/**
+ * Create or update one document's non-status fields (use transitionDocument
+ * from shared/fundLifecycle.js to change status). `set` fields are written as-is; `remove`
+ * lists attributes to drop (e.g. stale errors after a successful re-run).
+ * `expected` makes the write conditional on current attribute values
+ * (e.g. { status, updatedAt }) and throws ConditionalCheckFailedException if
+ * the document moved on. createdAt is only written the first time.
+ * Returns the document as stored.
+ */
+export const updateDocument = async (ddb, { table, fundId, documentId, set = {}, remove = [], expected = {} }) => {
+  if ("status" in set) throw new Error("updateDocument cannot change status; use transitionDocument");
+
+  const now    = new Date().toISOString();
+  const names  = {};
+  const values = { ":u": now };
+  const sets   = ["updatedAt = :u", "createdAt = if_not_exists(createdAt, :u)"];
+
+  Object.entries(set).forEach(([name, value], i) => {
+    if (value === undefined) return;
+    names[`#f${i}`]  = name;
+    values[`:v${i}`] = value;
+    sets.push(`#f${i} = :v${i}`);
+  });
+
+  const removes = remove.map((name, i) => {
+    names[`#r${i}`] = name;
+    return `#r${i}`;
+  });
+
+  const conditions = Object.entries(expected).map(([name, value], i) => {
+    names[`#e${i}`]  = name;
+    values[`:e${i}`] = value;
+    return `#e${i} = :e${i}`;
+  });
+
+  const resp = await ddb.send(new UpdateCommand({
+    TableName: table,
+    Key: { fundId, documentId },
+    UpdateExpression: "SET " + sets.join(", ") + (removes.length ? " REMOVE " + removes.join(", ") : ""),
+    ...(conditions.length && { ConditionExpression: conditions.join(" AND ") }),
+    ...(Object.keys(names).length && { ExpressionAttributeNames: names }),
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW"
+  }));
+
+  return resp.Attributes;
+};
+
+/** Single document, or null. */
+export const getDocument = async (ddb, { table, fundId, documentId }) => {
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: table,
+    Key: { fundId, documentId },
+    ConsistentRead: true
+  }));
+  return Item || null;
+};
+
+/** Every document of a fund, oldest first. */
+export const listDocuments = async (ddb, { table, fundId }) => {
+  const documents = [];
+  let ExclusiveStartKey;
+
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName: table,
+      KeyConditionExpression: "fundId = :f",
+      ExpressionAttributeValues: { ":f": fundId },
+      ConsistentRead: true,
+      ExclusiveStartKey
+    }));
+    documents.push(...(resp.Items || []));
+    ExclusiveStartKey = resp.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return documents.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+};
+
+/**
+ * Recompute the fund's aggregate status after a document transition.
+ *
+ * Each call bumps fund.documentsRevision, re-reads the documents and writes
+ * the aggregate only if no other transition bumped the revision meanwhile.
+ * A losing writer can skip safely: the transition that won started its read
+ * after both document updates, so it writes the newer aggregate.
+ * A changed aggregate is written as a fund transition (and lands in the
+ * fund's statusHistory); an unchanged one only refreshes documentCounts and
+ * documentTypes (the latter backs GET /funds?documentType=).
+ * A fundId with no fund record is left alone rather than created.
+ * Returns the aggregate ({ status, documentCounts }) or null if skipped.
+ */
+export const refreshFundStatus = async (ddb, { fundsTable, documentsTable, fundId }) => {
+  let bumped;
+  try {
+    bumped = await ddb.send(new UpdateCommand({
+      TableName: fundsTable,
+      Key: { fundId },
+      UpdateExpression: "ADD documentsRevision :one",
+      ConditionExpression: "attribute_exists(fundId)",
+      ExpressionAttributeValues: { ":one": 1 },
+      ReturnValues: "ALL_NEW"
+    }));
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return null;
+    throw err;
+  }
+  const { documentsRevision: revision, status: current } = bumped.Attributes;
+
+  const aggregate = aggregateFundStatus(await listDocuments(ddb, { table: documentsTable, fundId }));
+  if (!aggregate.status) return aggregate;
+
+  try {
+    if (aggregate.status === current) {
+      await ddb.send(new UpdateCommand({
+        TableName: fundsTable,
+        Key: { fundId },
+        UpdateExpression: "SET documentCounts = :c, documentTypes = :t, updatedAt = :u",
+        ConditionExpression: "documentsRevision = :rev",
+        ExpressionAttributeValues: {
+          ":c":   aggregate.documentCounts,
+          ":t":   aggregate.documentTypes,
+          ":u":   new Date().toISOString(),
+          ":rev": revision
+        }
+      }));
+    } else {
+      await transitionFund(ddb, {
+        table:    fundsTable,
+        fundId,
+        to:       aggregate.status,
+        set:      { documentCounts: aggregate.documentCounts, documentTypes: aggregate.documentTypes },
+        expected: { documentsRevision: revision },
+        actor:    "refreshFundStatus"
+      });
+    }
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return null;
+    throw err;
+  }
+
+  return aggregate;
+};
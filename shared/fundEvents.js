@@ -0,0 +1,85 @@
+// Fund event timeline
+// One FundEventsTable item per pipeline step (PK fundId, SK eventId), written
+// by s3UploadTrigger, textractStarterLambda, textractResultsWorkerLambda and
+// fundDocumentProcessor and read by fundEvents (GET /funds/{fundId}/events).
+// The fund record only carries its current status; the timeline shows which
+// stage failed and how long each stage took.
+//
+// Timeline writes are best-effort: recordEvent never throws, so a failed
+// write cannot fail (and retry) the pipeline step it describes. It logs a
+// WARN instead, so a missing event can be traced in CloudWatch.
+// Callers pass their own DynamoDBDocumentClient.
+
+import { randomBytes } from "crypto";
+import { PutCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+
+// Events expire (DynamoDB TTL) once they are no longer useful for debugging.
+const EVENT_TTL_DAYS = 90;
+
+// Error messages are stored truncated; the full stack stays in CloudWatch.
+const MAX_ERROR_LENGTH = 1000;
+
+/** Pipeline stages recorded on the timeline. */
+export const EVENT_STAGES = Object.freeze({
+  UPLOAD_RECEIVED: "UPLOAD_RECEIVED",   // s3UploadTrigger
+  TEXTRACT_START:  "TEXTRACT_START",    // textractStarterLambda
+  EXTRACTION:      "EXTRACTION",        // textractResultsWorkerLambda (Textract completion)
+  REEXTRACTION:    "REEXTRACTION",      // textractResultsWorkerLambda (REEXTRACT message)
+  RULES_ENGINE:    "RULES_ENGINE"       // fundDocumentProcessor
+});
+
+/**
+ * Append one event:
+ *   { fundId, eventId, at, stage, status, durationMs?, requestId?, documentId?, error?, detail? }
+ * eventId = "<ISO timestamp>#<random>", so events sort chronologically.
+ * Returns true when written, false when the write failed.
+ */
+export const recordEvent = async (ddb, {
+  table, fundId, stage, status, durationMs, requestId, documentId, error, detail
+}) => {
+  const now = new Date();
+  const at  = now.toISOString();
+
+  try {
+    await ddb.send(new PutCommand({
+      TableName: table,
+      Item: {
+        fundId,
+        eventId:   `${at}#${randomBytes(4).toString("hex")}`,
+        at,
+        stage,
+        status,
+        ...(durationMs !== undefined && { durationMs: Math.round(durationMs) }),
+        ...(requestId  && { requestId }),
+        ...(documentId && { documentId }),
+        ...(error      && { error: String(error).slice(0, MAX_ERROR_LENGTH) }),
+        ...(detail     && { detail }),
+        expiresAt: Math.floor(now.getTime() / 1000) + EVENT_TTL_DAYS * 86400
+      }
+    }));
+    return true;
+  } catch (err) {
+    console.log(JSON.stringify({
+      level: "WARN", message: "Timeline event not recorded", timestamp: at,
+      stage, status, fundId, documentId, requestId, error: err.message
+    }));
+    return false;
+  }
+};
+
+/**
+ * One page of a fund's events, oldest first.
+ * Returns { events, lastKey } — pass lastKey back as startKey for the next page.
+ */
+export const listEvents = async (ddb, { table, fundId, limit, startKey }) => {
+  const resp = await ddb.send(new QueryCommand({
+    TableName: table,
+    KeyConditionExpression: "fundId = :f",
+    ExpressionAttributeValues: { ":f": fundId },
+    Limit: limit,
+    ExclusiveStartKey: startKey
+  }));
+
+  const events = (resp.Items || []).map(({ expiresAt, ...event }) => event);
+  return { events, lastKey: resp.LastEvaluatedKey || null };
+};
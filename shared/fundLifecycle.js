@@ -0,0 +1,246 @@
+// Fund and document lifecycle
+// The one place that says which status a fund (FundsTable) or document
+// (FundDocumentsTable) may move to from the status it is in now. Every status
+// write goes through transitionFund / transitionDocument, which turn the table
+// below into a conditional UpdateCommand — so a late or duplicated event
+// (e.g. a Textract completion arriving after the fund was re-uploaded) is
+// rejected by DynamoDB instead of overwriting newer state — and append the
+// move to the record's statusHistory list, which keeps the most recent
+// MAX_STATUS_HISTORY moves.
+//
+// Callers pass their own DynamoDBDocumentClient.
+
+import { GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+/** Per-document lifecycle (FundDocumentsTable.status). */
+export const DOCUMENT_STATUSES = Object.freeze({
+  UPLOADING:           "UPLOADING",
+  RECEIVED:            "RECEIVED",
+  TEXTRACT_PROCESSING: "TEXTRACT_PROCESSING",
+  REEXTRACTING:        "REEXTRACTING",
+  SUCCEEDED:           "SUCCEEDED",
+  VALIDATION_FAILED:   "VALIDATION_FAILED",
+  FAILED:              "FAILED"
+});
+
+/**
+ * Fund lifecycle (FundsTable.status). PROCESSING, SUCCEEDED,
+ * PARTIALLY_SUCCEEDED and FAILED are the aggregate computed from the fund's
+ * documents; the rest belong to the Rules Engine upload flow (INITIATED →
+ * UPLOADED) and the IC memo flows (UPLOADING / CREATED → EXTRACTED).
+ */
+export const FUND_STATUSES = Object.freeze({
+  INITIATED:           "INITIATED",
+  CREATED:             "CREATED",
+  UPLOADING:           "UPLOADING",
+  UPLOADED:            "UPLOADED",
+  PROCESSING:          "PROCESSING",
+  EXTRACTED:           "EXTRACTED",
+  SUCCEEDED:           "SUCCEEDED",
+  PARTIALLY_SUCCEEDED: "PARTIALLY_SUCCEEDED",
+  FAILED:              "FAILED"
+});
+
+// Key for "no record yet, or a record without a status" in the tables below.
+const NEW = "NEW";
+
+// statusHistory entries kept per record. A fund refreshes its aggregate on
+// every document transition, so an uncapped list would grow towards the
+// 400 KB item limit; the full pipeline timeline is in FundEventsTable.
+const MAX_STATUS_HISTORY = 50;
+
+const D = DOCUMENT_STATUSES;
+const F = FUND_STATUSES;
+
+// Where each document may go next. There are no self-loops, so a duplicated
+// S3 event or queue message for a document already in that state is refused.
+// Terminal documents can be re-uploaded (RECEIVED) or re-extracted
+// (REEXTRACTING); failed ones can also be redriven from a dead-letter queue
+// (RECEIVED / TEXTRACT_PROCESSING). A FAILED document also accepts a late
+// completion for the job the stuck-job reaper timed out.
+const DOCUMENT_TRANSITIONS = Object.freeze({
+  [NEW]:                 [D.UPLOADING, D.RECEIVED],
+  [D.UPLOADING]:         [D.RECEIVED, D.FAILED],
+  [D.RECEIVED]:          [D.TEXTRACT_PROCESSING, D.FAILED],
+  [D.TEXTRACT_PROCESSING]: [D.SUCCEEDED, D.VALIDATION_FAILED, D.FAILED],
+  [D.REEXTRACTING]:      [D.SUCCEEDED, D.VALIDATION_FAILED, D.FAILED],
+  [D.SUCCEEDED]:         [D.RECEIVED, D.REEXTRACTING],
+  [D.VALIDATION_FAILED]: [D.RECEIVED, D.TEXTRACT_PROCESSING, D.REEXTRACTING],
+  [D.FAILED]:            [D.RECEIVED, D.TEXTRACT_PROCESSING, D.REEXTRACTING, D.SUCCEEDED, D.VALIDATION_FAILED]
+});
+
+// Any fund that owns documents may take any aggregate status except the one
+// it already has; refreshFundStatus only writes when the aggregate changes.
+const AGGREGATE = [F.PROCESSING, F.SUCCEEDED, F.PARTIALLY_SUCCEEDED, F.FAILED];
+const aggregateExcept = (status) => AGGREGATE.filter(s => s !== status);
+
+const FUND_TRANSITIONS = Object.freeze({
+  [NEW]:                   [F.INITIATED, F.CREATED, F.UPLOADING, F.UPLOADED, ...AGGREGATE],
+  [F.INITIATED]:           [F.INITIATED, F.UPLOADED, ...AGGREGATE],
+  [F.CREATED]:             [...AGGREGATE],
+  [F.UPLOADING]:           [F.UPLOADED, ...AGGREGATE],
+  [F.UPLOADED]:            [F.INITIATED, F.UPLOADED, ...AGGREGATE],
+  [F.PROCESSING]:          [F.EXTRACTED, ...aggregateExcept(F.PROCESSING)],
+  [F.EXTRACTED]:           [...AGGREGATE],
+  [F.SUCCEEDED]:           [F.INITIATED, F.UPLOADED, ...aggregateExcept(F.SUCCEEDED)],
+  [F.PARTIALLY_SUCCEEDED]: [F.INITIATED, F.UPLOADED, ...aggregateExcept(F.PARTIALLY_SUCCEEDED)],
+  [F.FAILED]:              [F.INITIATED, F.UPLOADED, ...aggregateExcept(F.FAILED)]
+});
+
+/**
+ * Thrown when a record is in a status from which `to` is not allowed.
+ * `from` is the status found on the record (null when there is no record).
+ */
+export class IllegalTransitionError extends Error {
+  constructor({ entity, id, from, to }) {
+    super(`Illegal ${entity} transition ${from ?? NEW} → ${to} (${id})`);
+    this.name   = "IllegalTransitionError";
+    this.entity = entity;
+    this.id     = id;
+    this.from   = from;
+    this.to     = to;
+  }
+}
+
+const sourcesFor = (transitions, to) =>
+  Object.keys(transitions).filter(from => transitions[from].includes(to));
+
+/** Whether a document in status `from` (null/undefined = new) may move to `to`. */
+export const canTransitionDocument = (from, to) =>
+  (DOCUMENT_TRANSITIONS[from ?? NEW] || []).includes(to);
+
+/** Whether a fund in status `from` (null/undefined = new) may move to `to`. */
+export const canTransitionFund = (from, to) =>
+  (FUND_TRANSITIONS[from ?? NEW] || []).includes(to);
+
+/**
+ * Drop the oldest statusHistory entries beyond MAX_STATUS_HISTORY. Conditional
+ * on the length just written, so an append that lands in between is never
+ * trimmed away; the next transition trims instead. The transition itself has
+ * already been written, so a failed trim is logged, not thrown.
+ * Returns the record with the trimmed list.
+ */
+const trimStatusHistory = async (ddb, { table, key, record }) => {
+  const history = record.statusHistory || [];
+  const excess  = history.length - MAX_STATUS_HISTORY;
+  if (excess <= 0) return record;
+
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: key,
+      UpdateExpression: "REMOVE " + Array.from({ length: excess }, (_, i) => `statusHistory[${i}]`).join(", "),
+      ConditionExpression: "size(statusHistory) = :len",
+      ExpressionAttributeValues: { ":len": history.length }
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") {
+      console.log(JSON.stringify({
+        level: "WARN", message: "statusHistory not trimmed", timestamp: new Date().toISOString(),
+        key, error: err.message
+      }));
+    }
+    return record;
+  }
+  return { ...record, statusHistory: history.slice(excess) };
+};
+
+const transition = async (ddb, { entity, transitions, table, key, to, set, remove, expected, actor, reason }) => {
+  const sources = sourcesFor(transitions, to);
+  const id      = Object.values(key).join("/");
+  if (!sources.length) throw new IllegalTransitionError({ entity, id, from: undefined, to });
+
+  const now    = new Date().toISOString();
+  const names  = { "#s": "status" };
+  const values = {
+    ":to":    to,
+    ":u":     now,
+    ":empty": [],
+    ":h":     [{ status: to, at: now, by: actor, ...(reason && { reason }) }]
+  };
+  const sets = [
+    "#s = :to",
+    "updatedAt = :u",
+    "createdAt = if_not_exists(createdAt, :u)",
+    "statusHistory = list_append(if_not_exists(statusHistory, :empty), :h)"
+  ];
+
+  Object.entries(set).forEach(([name, value], i) => {
+    if (value === undefined) return;
+    names[`#f${i}`]  = name;
+    values[`:v${i}`] = value;
+    sets.push(`#f${i} = :v${i}`);
+  });
+
+  const removes = remove.map((name, i) => {
+    names[`#r${i}`] = name;
+    return `#r${i}`;
+  });
+
+  const fromList = sources.filter(s => s !== NEW).map((status, i) => {
+    values[`:from${i}`] = status;
+    return `:from${i}`;
+  });
+  const statusChecks = [
+    ...(sources.includes(NEW) ? ["attribute_not_exists(#s)"] : []),
+    ...(fromList.length ? [`#s IN (${fromList.join(", ")})`] : [])
+  ];
+
+  const conditions = [`(${statusChecks.join(" OR ")})`];
+  Object.entries(expected).forEach(([name, value], i) => {
+    names[`#e${i}`]  = name;
+    values[`:e${i}`] = value;
+    conditions.push(`#e${i} = :e${i}`);
+  });
+
+  let resp;
+  try {
+    resp = await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: key,
+      UpdateExpression: "SET " + sets.join(", ") + (removes.length ? " REMOVE " + removes.join(", ") : ""),
+      ConditionExpression: conditions.join(" AND "),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: "ALL_NEW"
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+
+    // Tell an illegal move apart from a failed `expected` guard (the record
+    // moved on but the transition itself would still be legal).
+    const { Item } = await ddb.send(new GetCommand({ TableName: table, Key: key, ConsistentRead: true }));
+    const from = Item?.status ?? null;
+    if (!sources.includes(from ?? NEW)) throw new IllegalTransitionError({ entity, id, from, to });
+    throw err;
+  }
+
+  return trimStatusHistory(ddb, { table, key, record: resp.Attributes });
+};
+
+/**
+ * Move a document to `to`, if its current status allows it.
+ * `set` / `remove` are written in the same update; `expected` adds equality
+ * guards on other attributes (e.g. { updatedAt }) and fails with
+ * ConditionalCheckFailedException when they no longer hold. `actor` and
+ * `reason` are recorded in statusHistory.
+ * Returns the document as stored; throws IllegalTransitionError otherwise.
+ */
+export const transitionDocument = (ddb, { table, fundId, documentId, to, set = {}, remove = [], expected = {}, actor, reason }) =>
+  transition(ddb, {
+    entity: "document",
+    transitions: DOCUMENT_TRANSITIONS,
+    table,
+    key: { fundId, documentId },
+    to, set, remove, expected, actor, reason
+  });
+
+/** Move a fund to `to`, if its current status allows it. Same options as transitionDocument. */
+export const transitionFund = (ddb, { table, fundId, to, set = {}, remove = [], expected = {}, actor, reason }) =>
+  transition(ddb, {
+    entity: "fund",
+    transitions: FUND_TRANSITIONS,
+    table,
+    key: { fundId },
+    to, set, remove, expected, actor, reason
+  });
@@ -0,0 +1,158 @@
+// Fund name matching
+// Normalizes fund names so "Acme Fund I", "ACME Fund I, L.P." and
+// "The Acme Fund 1 LP" compare equal, and scores near-misses for
+// GET /funds/search and for s3UploadTrigger's match against existing funds
+// before it creates a new one for an IC memo.
+//
+// Every fund write that sets fundName also sets fundNameKeys(name) —
+// normalizedName plus nameKey (its first word) — which FundsTable indexes in
+// nameKey-normalizedName-index (funds written before that are backfilled by
+// the one-off fundNameBackfill Lambda). A search reads the funds that share the
+// query's first word — at most MAX_CANDIDATES of them, nearest the query's
+// normalized name in index order — and scores each of them.
+// Callers pass their own DynamoDBDocumentClient.
+
+import { QueryCommand } from "@aws-sdk/lib-dynamodb";
+
+export const NAME_INDEX = "nameKey-normalizedName-index";
+
+// Funds read per search: half sorting at or after the query's normalized name,
+// half before it. A first word shared by more funds than this ("global",
+// "capital") only has its nearest names compared.
+const MAX_CANDIDATES = 200;
+
+// Legal-form words dropped anywhere in the name.
+const LEGAL_FORMS = new Set([
+  "lp", "llp", "lllp", "llc", "ltd", "limited", "inc", "incorporated", "corp", "corporation",
+  "plc", "sa", "sarl", "scs", "scsp", "sca", "sicav", "gmbh", "kg", "bv", "nv", "co"
+]);
+
+const ROMAN_NUMERALS = [
+  "i", "ii", "iii", "iv", "v", "vi", "vii", "viii", "ix", "x",
+  "xi", "xii", "xiii", "xiv", "xv", "xvi", "xvii", "xviii", "xix", "xx"
+];
+
+/** Normalized word list: lowercase ASCII, no punctuation / legal forms, numerals as digits. */
+const nameTokens = (name) => {
+  const words = String(name || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/\./g, "")                 // "L.P." → "lp"
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  const tokens = words
+    .filter(w => !LEGAL_FORMS.has(w))
+    // A roman numeral after the first word is a fund number ("Fund II" → "fund 2")
+    .map((w, i) => (i > 0 && ROMAN_NUMERALS.includes(w) ? String(ROMAN_NUMERALS.indexOf(w) + 1) : w));
+
+  return tokens[0] === "the" && tokens.length > 1 ? tokens.slice(1) : tokens;
+};
+
+/** Canonical form of a fund name, e.g. "Acme Fund I, L.P." → "acme fund 1". */
+export const normalizeFundName = (name) => nameTokens(name).join(" ");
+
+/**
+ * Index attributes to store alongside fundName: { normalizedName, nameKey },
+ * or {} for a blank name (the fund then stays out of the index).
+ */
+export const fundNameKeys = (name) => {
+  const tokens = nameTokens(name);
+  if (!tokens.length) return {};
+  return { normalizedName: tokens.join(" "), nameKey: tokens[0] };
+};
+
+const bigrams = (s) => {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+};
+
+/** Sørensen–Dice coefficient over character bigrams (spaces ignored). */
+const diceCoefficient = (a, b) => {
+  const x = a.replace(/ /g, "");
+  const y = b.replace(/ /g, "");
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  let shared = 0;
+  for (const [g, n] of gx) shared += Math.min(n, gy.get(g) || 0);
+  return (2 * shared) / (x.length - 1 + y.length - 1);
+};
+
+const numbersIn = (normalized) => normalized.split(" ").filter(t => /^\d+$/.test(t)).join(" ");
+
+/**
+ * Similarity of two fund names in [0, 1] — 1 when they normalize the same.
+ * Names whose fund numbers differ ("Fund II" vs "Fund III") are different
+ * funds however close the text is, so their score is halved.
+ */
+export const scoreFundNames = (a, b) => {
+  const x = normalizeFundName(a);
+  const y = normalizeFundName(b);
+  if (!x || !y) return 0;
+
+  const score = diceCoefficient(x, y);
+  return numbersIn(x) === numbersIn(y) ? score : score / 2;
+};
+
+/**
+ * Up to `max` funds under nameKey from one side of normalizedName:
+ * ascending from it (after = true) or descending from just below it.
+ */
+const readNeighbours = async (ddb, { table, nameKey, normalizedName, after, max }) => {
+  const items = [];
+  let ExclusiveStartKey;
+  do {
+    const resp = await ddb.send(new QueryCommand({
+      TableName: table,
+      IndexName: NAME_INDEX,
+      KeyConditionExpression: `nameKey = :k AND normalizedName ${after ? ">=" : "<"} :n`,
+      ExpressionAttributeValues: { ":k": nameKey, ":n": normalizedName },
+      ScanIndexForward: after,
+      Limit: max - items.length,
+      ExclusiveStartKey
+    }));
+    items.push(...(resp.Items || []));
+    ExclusiveStartKey = resp.LastEvaluatedKey;
+  } while (ExclusiveStartKey && items.length < max);
+
+  return items;
+};
+
+/**
+ * Funds whose name is similar to `name`, best first:
+ *   [{ fundId, fundName, status, createdAt, score }]
+ * Only funds sharing the normalized first word are considered, and of those
+ * at most MAX_CANDIDATES (see above).
+ */
+export const findFundsByName = async (ddb, { table, name, minScore = 0.6, limit = 10 }) => {
+  const { normalizedName, nameKey } = fundNameKeys(name);
+  if (!nameKey) return [];
+
+  const half = MAX_CANDIDATES / 2;
+  const [after, before] = await Promise.all([
+    readNeighbours(ddb, { table, nameKey, normalizedName, after: true,  max: half }),
+    readNeighbours(ddb, { table, nameKey, normalizedName, after: false, max: half })
+  ]);
+
+  return [...after, ...before]
+    .map(item => ({
+      fundId:    item.fundId,
+      fundName:  item.fundName,
+      status:    item.status ?? null,
+      createdAt: item.createdAt ?? null,
+      score:     Math.round(scoreFundNames(normalizedName, item.normalizedName) * 1000) / 1000
+    }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,135 @@
+// Extraction results
+// Every extraction writes a JSON object to the documents bucket under the fund:
+//
+//   <fundId>/<documentType>/<file>.<ts>.<documentType>.json   textractResultsWorkerLambda,
+//                                                            fundDocumentProcessor,
+//                                                            fundDocumentProcessingWorker
+//   <fundId>/assembled/<ts>.rules.json                        fundAssembler
+//
+// fundDocumentProcessingWorker wrote <fundId>/icmemo/<file>.<ts>.json before it
+// used the shape above; those keys are still read as icmemo results.
+//
+// (<ts> = ISO timestamp with ":" and "." replaced by "-"). OCR text, citation
+// reports and invalid model output live next to them and are not results.
+//
+// A result is addressed by its resultId — the key relative to "<fundId>/",
+// base64url-encoded — so GET /funds/{fundId}/results/{resultId} can only
+// reach result objects of that fund.
+//
+// Used by FundResultsLambda, FundGetByIdLambda and FundRulesEvaluateLambda.
+
+import { GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+
+export const ASSEMBLED = "assembled";
+
+const TS = "(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z)";
+
+const DOCUMENT_RESULT_KEY  = new RegExp(`^([a-z]+)/([^/]+)\\.${TS}\\.\\1\\.json$`);
+const ASSEMBLED_RESULT_KEY = new RegExp(`^${ASSEMBLED}/${TS}\\.rules\\.json$`);
+const IC_MEMO_LEGACY_KEY   = new RegExp(`^(icmemo)/([^/]+)\\.${TS}\\.json$`);
+
+/** "2026-03-01T10-15-00-123Z" → "2026-03-01T10:15:00.123Z" */
+const tsToIso = (ts) => ts.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+
+/**
+ * Parse a key relative to the fund prefix:
+ *   { documentType, fileName, createdAt } — fileName = null for assembled results —
+ * or null when the key is not a result.
+ */
+export const parseResultKey = (relativeKey) => {
+  const assembled = ASSEMBLED_RESULT_KEY.exec(relativeKey);
+  if (assembled) return { documentType: ASSEMBLED, fileName: null, createdAt: tsToIso(assembled[1]) };
+
+  const doc = DOCUMENT_RESULT_KEY.exec(relativeKey) || IC_MEMO_LEGACY_KEY.exec(relativeKey);
+  if (doc && doc[1] !== ASSEMBLED) return { documentType: doc[1], fileName: doc[2], createdAt: tsToIso(doc[3]) };
+
+  return null;
+};
+
+/** Full S3 key → resultId (null if the key is not a result of this fund). */
+export const resultIdForKey = (fundId, key) => {
+  const prefix = `${fundId}/`;
+  if (!key?.startsWith(prefix)) return null;
+
+  const relativeKey = key.slice(prefix.length);
+  return parseResultKey(relativeKey) ? Buffer.from(relativeKey).toString("base64url") : null;
+};
+
+/** "s3://bucket/key" → resultId, or null (e.g. a result in another bucket). */
+export const resultIdForPath = (fundId, s3Uri, bucket) => {
+  const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(s3Uri || "");
+  if (!match || match[1] !== bucket) return null;
+  return resultIdForKey(fundId, match[2]);
+};
+
+/**
+ * resultId of the IC memo result the legacy flows record on the fund itself
+ * (resultBucket + resultKey), or null.
+ */
+export const fundResultId = (fund, bucket) =>
+  fund.resultKey && fund.resultBucket === bucket ? resultIdForKey(fund.fundId, fund.resultKey) : null;
+
+/**
+ * Every result object of a fund, oldest first:
+ *   [{ resultId, documentType, fileName, createdAt, version, latest, size, key }]
+ * version counts from 1 per documentType; latest marks the newest of each.
+ */
+export const listResults = async (s3, { bucket, fundId }) => {
+  const prefix  = `${fundId}/`;
+  const results = [];
+  let ContinuationToken;
+
+  do {
+    const resp = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+    for (const obj of resp.Contents || []) {
+      const parsed = parseResultKey(obj.Key.slice(prefix.length));
+      if (!parsed) continue;
+      results.push({
+        resultId: resultIdForKey(fundId, obj.Key),
+        ...parsed,
+        size:     obj.Size,
+        key:      obj.Key
+      });
+    }
+    ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  results.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.key.localeCompare(b.key));
+
+  const counts = {};
+  for (const r of results) r.version = counts[r.documentType] = (counts[r.documentType] || 0) + 1;
+  for (const r of results) r.latest = r.version === counts[r.documentType];
+
+  return results;
+};
+
+/** Parsed JSON of a result object. Throws SyntaxError if it does not parse. */
+export const readResult = async (s3, { bucket, key }) => {
+  const obj = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const raw = await obj.Body.transformToString("utf-8");
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new SyntaxError(`${key}: ${err.message}`);
+  }
+};
+
+// Result types carrying normalized_rules, in the order a rule evaluation
+// prefers them: the assembled IMA + side letters, then the IMA alone
+export const RULE_RESULT_TYPES = [ASSEMBLED, "ima", "lpa", "ppm", "sideletter"];
+const DEFAULT_RULE_RESULT_TYPES = [ASSEMBLED, "ima"];
+
+/**
+ * The result whose normalized_rules to evaluate, from listResults() output:
+ * the given resultId, the latest result of documentType, or the latest
+ * assembled result and failing that the latest IMA result. Null if none.
+ */
+export const findRulesResult = (results, { resultId, documentType } = {}) => {
+  if (resultId) return results.find(r => r.resultId === resultId && RULE_RESULT_TYPES.includes(r.documentType)) || null;
+
+  for (const type of documentType ? [documentType] : DEFAULT_RULE_RESULT_TYPES) {
+    const latest = results.find(r => r.documentType === type && r.latest);
+    if (latest) return latest;
+  }
+  return null;
+};
@@ -0,0 +1,185 @@
+// IC memo field provenance
+// icmemo-v2 returns, next to the CDM values, a fieldProvenance object keyed by
+// field path ("nav.amount", "portfolioManager", …) giving each value's source
+// page, a verbatim snippet, a confidence and a status — FOUND, INFERRED or
+// NOT_FOUND. Unknown values are null instead of the "", 0 and 1970-01-01
+// placeholders icmemo-v1 asked for, which downstream systems could not tell
+// apart from real data.
+//
+// checkFieldProvenance runs after schema validation and enforces that
+// contract: any placeholder the model still returns becomes null / NOT_FOUND,
+// and every snippet is looked up in the OCR text — on the cited page, else on
+// any page (the page is corrected) — with confidence capped when it cannot be
+// found at all.
+//
+// clearPlaceholders applies the placeholder part alone, for icmemo-v1 results
+// that have no fieldProvenance to check.
+//
+// Used by textractResultsWorkerLambda and fundDocumentProcessingWorker (icmemo
+// results) and preTradeCheck.js (NOT_FOUND fields and v1 placeholders are
+// reported as such instead of "not derivable").
+
+import { locate, normalizeForMatch } from "./pageCitations.js";
+
+export const FIELD_STATUSES = Object.freeze({
+  FOUND:     "FOUND",
+  INFERRED:  "INFERRED",
+  NOT_FOUND: "NOT_FOUND"
+});
+
+export const SNIPPET_CHECKS = Object.freeze({
+  VERIFIED:  "VERIFIED",    // snippet on the cited page
+  MISCITED:  "MISCITED",    // snippet on another page — page corrected
+  NOT_FOUND: "NOT_FOUND"    // snippet not in the OCR text
+});
+
+// Every CDM field, by the path fieldProvenance is keyed on
+export const IC_MEMO_FIELDS = Object.freeze([
+  "tradeId",
+  "fund",
+  "strategy",
+  "asset",
+  "sector",
+  "region",
+  "icMemoContext",
+  "nav.amount",
+  "nav.currency",
+  "nav.asOfDate",
+  "fundAccountingSystem",
+  "proposedCommitment.amount",
+  "proposedCommitment.currency",
+  "portfolioManager",
+  "status"
+]);
+
+// icmemo-v1 placeholders; 0 only counts as one for amounts
+const PLACEHOLDER_STRINGS = new Set(["", "1970-01-01"]);
+const AMOUNT_FIELDS       = new Set(["nav.amount", "proposedCommitment.amount"]);
+
+// Highest confidence a value keeps when its snippet is missing or not in the OCR text
+const UNVERIFIED_CONFIDENCE = 0.5;
+
+const getPath = (source, path) => path.split(".").reduce((node, part) => node?.[part], source);
+
+const setPath = (target, path, value) => {
+  const parts = path.split(".");
+  let node = target;
+  for (const part of parts.slice(0, -1)) node = node[part] = { ...node[part] };
+  node[parts.at(-1)] = value;
+};
+
+const isPlaceholder = (path, value) =>
+  (typeof value === "string" && PLACEHOLDER_STRINGS.has(value.trim())) ||
+  (value === 0 && AMOUNT_FIELDS.has(path));
+
+const notFound = () => ({ status: FIELD_STATUSES.NOT_FOUND, page: null, snippet: null, confidence: 0 });
+
+/**
+ * Enforce and verify the fieldProvenance of an IC memo extraction (parsed
+ * JSON). `pages` is the OCR text as [{ page, text }].
+ *
+ * Returns { result, check } — result with placeholder / NOT_FOUND values set to
+ * null and every field's provenance entry completed: snippetCheck (VERIFIED |
+ * MISCITED | NOT_FOUND), citedPage when the page was corrected, and
+ * originalConfidence when the confidence was capped. check is
+ *   { fields, found, inferred, notFound, placeholdersCleared, snippetsVerified,
+ *     snippetsMiscited, snippetsNotFound, downgraded,
+ *     flagged: [{ field, issue, page?, foundOnPage? }] }
+ * A result without fieldProvenance (an icmemo-v1 extraction) is returned as is,
+ * with check = null.
+ */
+export const checkFieldProvenance = (result, pages) => {
+  if (!result?.fieldProvenance || typeof result.fieldProvenance !== "object") return { result, check: null };
+
+  const pageIndex  = new Map((pages || []).map(p => [p.page, normalizeForMatch(p.text)]));
+  const annotated  = { ...result };
+  const provenance = {};
+  const flagged    = [];
+  const counts     = { placeholdersCleared: 0, snippetsVerified: 0, snippetsMiscited: 0, snippetsNotFound: 0, downgraded: 0 };
+
+  for (const field of IC_MEMO_FIELDS) {
+    const value  = getPath(result, field);
+    const source = result.fieldProvenance[field];
+
+    // 1. No value, a placeholder, or the model's own NOT_FOUND → null / NOT_FOUND
+    if (value === null || value === undefined || isPlaceholder(field, value) || source?.status === FIELD_STATUSES.NOT_FOUND) {
+      if (value !== null && value !== undefined) {
+        setPath(annotated, field, null);
+        if (isPlaceholder(field, value)) {
+          counts.placeholdersCleared++;
+          flagged.push({ field, issue: `Placeholder ${JSON.stringify(value)} cleared` });
+        }
+      }
+      provenance[field] = notFound();
+      continue;
+    }
+
+    // 2. Complete the entry — a missing page / snippet is null, a missing confidence 0
+    const entry = {
+      status:     source?.status === FIELD_STATUSES.INFERRED ? FIELD_STATUSES.INFERRED : FIELD_STATUSES.FOUND,
+      page:       Number.isInteger(source?.page) ? source.page : null,
+      snippet:    source?.snippet || null,
+      confidence: typeof source?.confidence === "number" ? source.confidence : 0
+    };
+
+    // 3. Look the snippet up on its page, then on every page
+    if (entry.snippet) {
+      const { verified, foundOnPages } = locate(entry.snippet, entry.page === null ? [] : [entry.page], pageIndex);
+      if (verified) {
+        entry.snippetCheck = SNIPPET_CHECKS.VERIFIED;
+        counts.snippetsVerified++;
+      } else if (foundOnPages.length) {
+        entry.snippetCheck = SNIPPET_CHECKS.MISCITED;
+        entry.citedPage    = entry.page;
+        entry.page         = foundOnPages[0];
+        counts.snippetsMiscited++;
+        flagged.push({ field, issue: "Snippet on another page", page: entry.citedPage, foundOnPage: entry.page });
+      } else {
+        entry.snippetCheck = SNIPPET_CHECKS.NOT_FOUND;
+        counts.snippetsNotFound++;
+        flagged.push({ field, issue: "Snippet not in the OCR text", page: entry.page });
+      }
+    } else {
+      flagged.push({ field, issue: "No snippet" });
+    }
+
+    if (entry.snippetCheck !== SNIPPET_CHECKS.VERIFIED && entry.snippetCheck !== SNIPPET_CHECKS.MISCITED &&
+        entry.confidence > UNVERIFIED_CONFIDENCE) {
+      entry.originalConfidence = entry.confidence;
+      entry.confidence         = UNVERIFIED_CONFIDENCE;
+      counts.downgraded++;
+    }
+
+    provenance[field] = entry;
+  }
+
+  annotated.fieldProvenance = provenance;
+
+  const statuses = Object.values(provenance).map(p => p.status);
+  return {
+    result: annotated,
+    check: {
+      fields:   IC_MEMO_FIELDS.length,
+      found:    statuses.filter(s => s === FIELD_STATUSES.FOUND).length,
+      inferred: statuses.filter(s => s === FIELD_STATUSES.INFERRED).length,
+      notFound: statuses.filter(s => s === FIELD_STATUSES.NOT_FOUND).length,
+      ...counts,
+      flagged
+    }
+  };
+};
+
+/**
+ * Set every icmemo-v1 placeholder value of an IC memo extraction to null.
+ * Returns { result, cleared } — cleared lists the field paths that held one.
+ */
+export const clearPlaceholders = (memo) => {
+  const result  = { ...memo };
+  const cleared = IC_MEMO_FIELDS.filter(f => isPlaceholder(f, getPath(memo, f)));
+  for (const field of cleared) setPath(result, field, null);
+  return { result, cleared };
+};
+
+/** Fields of an IC memo extraction its fieldProvenance marks NOT_FOUND (empty for icmemo-v1). */
+export const notFoundFields = (memo) =>
+  IC_MEMO_FIELDS.filter(f => memo?.fieldProvenance?.[f]?.status === FIELD_STATUSES.NOT_FOUND);
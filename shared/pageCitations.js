@@ -0,0 +1,265 @@
+// Page-aware OCR text + citation checks
+// textractResultsWorkerLambda keeps Textract LINE blocks grouped by Block.Page.
+// The text sent to Bedrock carries an explicit "--- Page N ---" marker before
+// each page so the model can cite real page numbers, and after extraction every
+// cited page is checked against the OCR text of that page.
+//
+// The prompts also demand exact legal wording, so the check is fuzzy: the
+// score is the share of the quote's word trigrams (after normalizeForMatch)
+// found on the cited pages, so OCR noise or a trimmed tail costs a few points
+// instead of failing the match, while a paraphrased or invented clause scores
+// low and has its confidence lowered to the score.
+//
+// Used by textractResultsWorkerLambda (one document's pages), fundAssembler
+// (each clause checked against the document named in its source_document) and
+// icMemoProvenance.js (locate, for field snippets).
+
+/** Marker written before each page in prompt text and OCR text artifacts. */
+export const pageMarker = (page) => `--- Page ${page} ---`;
+
+/** Prompt hint describing the markers — prepended to the document text. */
+export const PAGE_MARKER_HINT =
+  'Each page of the document text starts with a "--- Page N ---" marker. Use these page numbers ' +
+  "for every page, page_start, page_end and sources[].page value; never estimate pages.";
+
+/** Join [{ page, text }] into one string with a marker before each page. */
+export const formatPages = (pages) =>
+  pages.map(p => `${pageMarker(p.page)}\n${p.text}`).join("\n\n");
+
+/** Split text written by formatPages back into [{ page, text }] — [] when it has no markers. */
+export const parsePages = (text) => {
+  const parts = String(text || "").split(/^--- Page (\d+) ---$/m);
+  const pages = [];
+  for (let i = 1; i + 1 < parts.length; i += 2) pages.push({ page: Number(parts[i]), text: parts[i + 1].trim() });
+  return pages;
+};
+
+/**
+ * Parse a page reference into page numbers.
+ *   12 → [12]   "12" → [12]   "p. 12" → [12]   "12-14" → [12, 13, 14]   "12, 15" → [12, 15]
+ */
+export const parsePageRef = (ref) => {
+  if (typeof ref === "number") return Number.isFinite(ref) ? [ref] : [];
+  const pages = [];
+  for (const part of String(ref || "").split(/[,;]/)) {
+    const range = part.match(/(\d+)\s*[-–]\s*(\d+)/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      for (let p = from; p <= to && p - from < 50; p++) pages.push(p);
+      continue;
+    }
+    const single = part.match(/\d+/);
+    if (single) pages.push(Number(single[0]));
+  }
+  return pages;
+};
+
+/** Lowercase, drop punctuation and collapse whitespace so OCR noise does not block a match. */
+export const normalizeForMatch = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Compare on the opening of the quoted text — long clauses routinely run onto
+// the next page, and the model may trim the tail.
+const SNIPPET_CHARS = 80;
+
+/**
+ * Check where a quoted text appears. A citation of page N also matches text
+ * that starts on N and continues onto N+1. pageIndex is a Map of page number →
+ * normalizeForMatch(page text).
+ * Returns { verified, foundOnPages }.
+ */
+export function locate(quote, citedPages, pageIndex) {
+  const snippet = normalizeForMatch(quote).slice(0, SNIPPET_CHARS);
+  if (!snippet) return { verified: false, foundOnPages: [] };
+
+  const matchesFrom = (page) =>
+    pageIndex.has(page) &&
+    `${pageIndex.get(page)} ${pageIndex.get(page + 1) || ""}`.includes(snippet);
+
+  const verified     = citedPages.some(matchesFrom);
+  const foundOnPages = verified ? [] : [...pageIndex.keys()].filter(matchesFrom);
+  return { verified, foundOnPages };
+}
+
+export const CITATION_STATUSES = Object.freeze({
+  VERIFIED:  "VERIFIED",    // found on the cited pages
+  MISCITED:  "MISCITED",    // found, but on other pages than cited
+  PARTIAL:   "PARTIAL",     // only part of the text is on the cited pages
+  NOT_FOUND: "NOT_FOUND"    // not in the source text
+});
+
+const VERIFIED_SCORE = 0.85;
+const PARTIAL_SCORE  = 0.5;
+
+const SHINGLE_WORDS = 3;
+
+const ITEM_COLLECTIONS = ["extracted_clauses", "provisions", "extracted_sections"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Word n-grams of normalized text (the whole text when it is shorter than n words). */
+const shingles = (text) => {
+  const words = normalizeForMatch(text).split(" ").filter(Boolean);
+  if (words.length <= SHINGLE_WORDS) return words.length ? [words.join(" ")] : [];
+
+  const out = [];
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) out.push(words.slice(i, i + SHINGLE_WORDS).join(" "));
+  return out;
+};
+
+/**
+ * Page number → Set of the shingles of that page and the next, so a quote
+ * that starts on a page and continues onto the next one still matches.
+ */
+const indexPages = (pages) => {
+  const byPage = new Map(pages.map(p => [p.page, p.text]));
+  const index  = new Map();
+  for (const [page, text] of byPage) {
+    index.set(page, new Set(shingles(`${text} ${byPage.get(page + 1) || ""}`)));
+  }
+  return index;
+};
+
+/** Share of the quote's shingles found on any of the given pages (0..1). */
+const scoreOn = (quoteShingles, windows) => {
+  if (!windows.length || !quoteShingles.length) return 0;
+  const found = quoteShingles.filter(s => windows.some(w => w.has(s))).length;
+  return found / quoteShingles.length;
+};
+
+/**
+ * Score one quote against the pages it cites:
+ *   { status, score, citedPages, foundOnPages? }
+ * foundOnPages lists other pages that match when the cited ones do not.
+ */
+const checkQuote = (quote, cited, index) => {
+  const quoteShingles = [...new Set(shingles(quote))];
+  const citedPages    = parsePageRef(cited);
+  const score         = scoreOn(quoteShingles, citedPages.filter(p => index.has(p)).map(p => index.get(p)));
+
+  if (score >= VERIFIED_SCORE) return { status: CITATION_STATUSES.VERIFIED, score: round2(score), citedPages };
+
+  const foundOnPages = [...index.keys()].filter(p => scoreOn(quoteShingles, [index.get(p)]) >= VERIFIED_SCORE);
+  if (foundOnPages.length) {
+    return { status: CITATION_STATUSES.MISCITED, score: round2(score), citedPages, foundOnPages };
+  }
+
+  return {
+    status: score >= PARTIAL_SCORE ? CITATION_STATUSES.PARTIAL : CITATION_STATUSES.NOT_FOUND,
+    score:  round2(score),
+    citedPages
+  };
+};
+
+/** Cited page reference of a clause / provision / section. */
+const citedRef = (collection, item) =>
+  collection === "extracted_sections"
+    ? `${item.page_start}-${item.page_end ?? item.page_start}`
+    : item.page;
+
+/**
+ * Verify the page citations in an extraction result against the OCR pages.
+ * `pages` is [{ page, text }] for a single document; for an assembled result
+ * pass `documents` instead — a Map of file name → pages, matched on each
+ * item's source_document. Checks, when present:
+ *   extracted_clauses[] / provisions[]  → text on page
+ *   extracted_sections[]                → text on page_start..page_end
+ *   normalized_rules[].sources[]        → cited clause's text on sources[].page
+ * Items without text or without source pages are left as they are.
+ *
+ * Returns { result, check } — result with a `citation` block on each checked
+ * clause / provision / section ({ status, score, citedPages, foundOnPages?,
+ * originalConfidence? }) and confidence lowered to the score for PARTIAL /
+ * NOT_FOUND items; check is
+ *   { checked, verified, miscited, partial, notFound, downgraded,
+ *     sourcesChecked, sourcesMismatched,
+ *     flagged: [{ path, clause_id?, status, score, cited?, foundOnPages? }] }
+ */
+export const verifyCitations = (result, { pages, documents } = {}) => {
+  const indexes  = new Map();
+  const indexFor = (item) => {
+    const key    = documents ? item?.source_document : "";
+    const source = documents ? documents.get(key) : pages;
+    if (!source?.length) return null;
+    if (!indexes.has(key)) indexes.set(key, indexPages(source));
+    return indexes.get(key);
+  };
+
+  const counts  = Object.fromEntries(Object.values(CITATION_STATUSES).map(s => [s, 0]));
+  const flagged = [];
+  const clauses = new Map();
+  let downgraded        = 0;
+  let sourcesChecked    = 0;
+  let sourcesMismatched = 0;
+
+  const flag = (path, clauseId, citation, cited) => flagged.push({
+    path,
+    ...(clauseId && { clause_id: clauseId }),
+    status: citation.status,
+    score:  citation.score,
+    ...(cited !== undefined && { cited }),
+    ...(citation.foundOnPages && { foundOnPages: citation.foundOnPages })
+  });
+
+  const annotated = { ...result };
+
+  // 1. Clauses, provisions and sections: one citation block each
+  for (const collection of ITEM_COLLECTIONS) {
+    if (!Array.isArray(result?.[collection])) continue;
+
+    annotated[collection] = result[collection].map((item, i) => {
+      if (collection !== "extracted_sections" && item?.clause_id && item?.text) clauses.set(item.clause_id, item);
+
+      const index = item?.text ? indexFor(item) : null;
+      if (!index) return item;
+
+      const citation = checkQuote(item.text, citedRef(collection, item), index);
+      counts[citation.status]++;
+
+      const out = { ...item, citation };
+      if (citation.status !== CITATION_STATUSES.VERIFIED) flag(`${collection}[${i}]`, item.clause_id, citation);
+
+      const lowered = [CITATION_STATUSES.PARTIAL, CITATION_STATUSES.NOT_FOUND].includes(citation.status);
+      if (lowered && typeof item.confidence === "number" && item.confidence > citation.score) {
+        out.confidence = citation.score;
+        citation.originalConfidence = item.confidence;
+        downgraded++;
+      }
+      return out;
+    });
+  }
+
+  // 2. Rule sources: the cited clause's text on the page the rule cites
+  (result?.normalized_rules || []).forEach((r, i) => {
+    (r?.sources || []).forEach((src, j) => {
+      const clause = clauses.get(src?.clause_id);
+      const index  = clause ? indexFor(clause) : null;
+      if (!index) return;
+
+      sourcesChecked++;
+      const citation = checkQuote(clause.text, src.page, index);
+      if (citation.status !== CITATION_STATUSES.VERIFIED) {
+        sourcesMismatched++;
+        flag(`normalized_rules[${i}].sources[${j}]`, src.clause_id, citation, src.page);
+      }
+    });
+  });
+
+  return {
+    result: annotated,
+    check: {
+      checked:  Object.values(counts).reduce((a, b) => a + b, 0),
+      verified: counts.VERIFIED,
+      miscited: counts.MISCITED,
+      partial:  counts.PARTIAL,
+      notFound: counts.NOT_FOUND,
+      downgraded,
+      sourcesChecked,
+      sourcesMismatched,
+      flagged
+    }
+  };
+};
@@ -0,0 +1,209 @@
+// Pre-trade compliance check
+// Connects a fund's IC memo extraction (ICMemoEngineJSONSchema — the proposed
+// commitment) with the normalized_rules extracted from its IMA / assembled
+// result, runs the PRE_TRADE rules (shared/rulesEngine.js) and stores the
+// verdict on the fund record as complianceVerdict.
+//
+// The IC memo describes one proposed commitment, so only the fields it states
+// are mapped (see icMemoTradeData). Exposures that depend on the rest of the
+// book — sector / region concentration, leverage — are left to the rules as
+// unresolved fields rather than guessed.
+//
+// Run by textractResultsWorkerLambda when an IC memo or IMA extraction
+// succeeds and by fundAssembler when an assembled result is written, so the
+// verdict follows whichever side arrives last. Callers pass their own clients.
+
+import { UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { findRulesResult, listResults, readResult } from "./fundResults.js";
+import { clearPlaceholders, notFoundFields } from "./icMemoProvenance.js";
+import { OUTCOMES, RULE_SCOPES, RULE_STATUSES, evaluateRules } from "./rulesEngine.js";
+
+export const IC_MEMO = "icmemo";
+
+// Verdict outcomes: the rules engine outcomes, plus NO_RULES when the fund has
+// an IC memo but nothing to check it against yet
+export const VERDICT_OUTCOMES = Object.freeze({ ...OUTCOMES, NO_RULES: "NO_RULES" });
+
+// Rule data field ← IC memo field (its fieldProvenance path)
+const FIELD_MAP = [
+  ["trade.trade_id",    "tradeId"],
+  ["trade.asset",       "asset"],
+  ["trade.sector",      "sector"],
+  ["trade.region",      "region"],
+  ["trade.strategy",    "strategy"],
+  ["trade.amount",      "proposedCommitment.amount"],
+  ["trade.currency",    "proposedCommitment.currency"],
+  ["trade.ic_status",   "status"],
+  ["fund.name",         "fund"],
+  ["fund.nav",          "nav.amount"],
+  ["fund.nav_currency", "nav.currency"],
+  ["fund.nav_as_of",    "nav.asOfDate"]
+];
+
+const UNMAPPED_REASON    = "Not derivable from the IC memo";
+const NOT_FOUND_REASON   = "Not stated in the IC memo (field provenance NOT_FOUND)";
+const PLACEHOLDER_REASON = "Not stated in the IC memo (placeholder value)";
+
+const getPath = (source, path) => path.split(".").reduce((node, part) => node?.[part], source);
+
+const setPath = (target, path, value) => {
+  const parts = path.split(".");
+  let node = target;
+  for (const part of parts.slice(0, -1)) node = node[part] ??= {};
+  node[parts.at(-1)] = value;
+};
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+/**
+ * The rule data an IC memo supports:
+ *   { data: { trade, fund, exposure }, unresolved: Map of field → reason }
+ * exposure.single_issuer_pct_post is the commitment as a percentage of NAV —
+ * the whole post-trade position in a new issuer. It is left unresolved when
+ * NAV is missing or not in the commitment currency. Fields the memo's
+ * fieldProvenance marks NOT_FOUND (shared/icMemoProvenance.js) are unresolved
+ * with that reason, as are the "", 0 and 1970-01-01 placeholders of an
+ * icmemo-v1 memo, which are never used as values.
+ */
+export const icMemoTradeData = (extraction) => {
+  const data       = {};
+  const unresolved = new Map();
+  const notFound   = new Set(notFoundFields(extraction));
+
+  const { result: memo, cleared } = clearPlaceholders(extraction);
+  const placeholders = new Set(cleared);
+
+  for (const [field, memoField] of FIELD_MAP) {
+    const value = getPath(memo, memoField);
+    if (!isBlank(value)) setPath(data, field, value);
+    else if (notFound.has(memoField)) unresolved.set(field, NOT_FOUND_REASON);
+    else if (placeholders.has(memoField)) unresolved.set(field, PLACEHOLDER_REASON);
+  }
+
+  const amount      = memo?.proposedCommitment?.amount;
+  const nav         = memo?.nav?.amount;
+  const currency    = memo?.proposedCommitment?.currency;
+  const navCurrency = memo?.nav?.currency;
+  const issuerField = "exposure.single_issuer_pct_post";
+
+  if (typeof amount !== "number" || typeof nav !== "number" || nav <= 0) {
+    unresolved.set(issuerField, "IC memo has no proposed commitment amount or positive NAV");
+  } else if (currency && navCurrency && currency.trim().toUpperCase() !== navCurrency.trim().toUpperCase()) {
+    unresolved.set(issuerField, `Commitment currency ${currency} differs from NAV currency ${navCurrency}`);
+  } else {
+    const pct = (amount / nav) * 100;
+    setPath(data, issuerField, Math.round(pct * 10000) / 10000);
+    setPath(data, "trade.commitment_pct_nav", data.exposure.single_issuer_pct_post);
+  }
+
+  return { data, unresolved };
+};
+
+/** Breach / warning entry of the verdict: the rule, what was compared, and its clause ids. */
+const breachOf = (rule) => ({
+  rule_code:       rule.rule_code,
+  category:        rule.category,
+  message:         rule.message,
+  limit_threshold: rule.limit_threshold,
+  conditions:      rule.conditions.map(({ field, op, value, actual }) => ({ field, op, value, actual })),
+  clause_ids:      rule.sources.map(s => s.clause_id).filter(Boolean)
+});
+
+/** Fields that kept in-scope rules from being evaluated: [{ field, reason, rules }]. */
+const unresolvedFieldsOf = (rules, unresolved) => {
+  const byField = new Map();
+
+  for (const rule of rules.filter(r => r.status === RULE_STATUSES.NOT_EVALUATED)) {
+    const blockers = [
+      ...(rule.conditions || [])
+        .filter(c => c.result === null && c.field)
+        .map(c => ({ field: c.field, reason: c.error || unresolved.get(c.field) || UNMAPPED_REASON })),
+      // Rules the rule field dictionary rejected (shared/ruleFields.js)
+      ...(rule.rejection || [])
+        .filter(r => r.field)
+        .map(r => ({ field: r.field, reason: `Rejected by the rule field dictionary: ${r.reason}` }))
+    ];
+
+    for (const { field, reason } of blockers) {
+      const entry = byField.get(field) ?? { field, reason, rules: [] };
+      if (!entry.rules.includes(rule.rule_code)) entry.rules.push(rule.rule_code);
+      byField.set(field, entry);
+    }
+  }
+  return [...byField.values()].sort((a, b) => a.field.localeCompare(b.field));
+};
+
+const resultRef = (r) => ({
+  resultId:     r.resultId,
+  documentType: r.documentType,
+  createdAt:    r.createdAt,
+  version:      r.version
+});
+
+/**
+ * Check the fund's latest IC memo against its rules (the latest assembled
+ * result, else the latest IMA result). Returns the verdict:
+ *   { checkedAt, scope, icMemo, rulesSource, outcome, summary,
+ *     blockingBreaches, warnings, unresolvedFields }
+ * or null when the fund has no IC memo result. Throws SyntaxError if a stored
+ * result is not valid JSON.
+ */
+export const runPreTradeCheck = async (s3, { bucket, fundId }) => {
+  const results = await listResults(s3, { bucket, fundId });
+  const icMemo  = results.find(r => r.documentType === IC_MEMO && r.latest);
+  if (!icMemo) return null;
+
+  const verdict = {
+    checkedAt: new Date().toISOString(),
+    scope:     RULE_SCOPES.PRE_TRADE,
+    icMemo:    resultRef(icMemo)
+  };
+
+  const source = findRulesResult(results);
+  if (!source) {
+    return { ...verdict, rulesSource: null, outcome: VERDICT_OUTCOMES.NO_RULES };
+  }
+
+  const [memo, extracted] = await Promise.all([
+    readResult(s3, { bucket, key: icMemo.key }),
+    readResult(s3, { bucket, key: source.key })
+  ]);
+
+  const { data, unresolved } = icMemoTradeData(memo);
+  const evaluation = evaluateRules(extracted, data, { scope: RULE_SCOPES.PRE_TRADE });
+  const failed     = evaluation.rules.filter(r => r.status === RULE_STATUSES.FAIL);
+
+  return {
+    ...verdict,
+    rulesSource:      resultRef(source),
+    outcome:          evaluation.outcome,
+    summary:          evaluation.summary,
+    blockingBreaches: failed.filter(r => r.severity === "BLOCKING").map(breachOf),
+    warnings:         failed.filter(r => r.severity !== "BLOCKING").map(breachOf),
+    unresolvedFields: unresolvedFieldsOf(evaluation.rules, unresolved)
+  };
+};
+
+/**
+ * Store the verdict on the fund record. A verdict older than the stored one
+ * (two checks racing) is not written. Returns true when written.
+ */
+export const recordComplianceVerdict = async (ddb, { table, fundId, verdict }) => {
+  // JSON round trip drops undefined members (e.g. a rule without limit_threshold)
+  const item = JSON.parse(JSON.stringify(verdict));
+
+  try {
+    await ddb.send(new UpdateCommand({
+      TableName: table,
+      Key: { fundId },
+      UpdateExpression: "SET #cv = :cv, updatedAt = :at",
+      ConditionExpression: "attribute_exists(fundId) AND (attribute_not_exists(#cv) OR #cv.#at <= :at)",
+      ExpressionAttributeNames:  { "#cv": "complianceVerdict", "#at": "checkedAt" },
+      ExpressionAttributeValues: { ":cv": item, ":at": item.checkedAt }
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+};
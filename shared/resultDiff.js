@@ -0,0 +1,123 @@
+// Extraction result diff
+// Compares two extraction results of the same document type (e.g. the IMA
+// extracted before and after an updated IMA was uploaded) field by field:
+//
+//   clauses  extracted_clauses, matched on clause_id
+//   rules    normalized_rules, matched on rule_code
+//   fields   every other value, by dotted path ("nav.amount",
+//            "proposedCommitment.currency", "meta.fund_name", ...)
+//
+// Arrays other than the keyed collections compare as one value. Run metadata
+// (provenance, generation time) and extracted_sections — page text that the
+// clauses already quote — are left out. Used by FundResultsLambda
+// (GET /funds/{fundId}/results/diff).
+
+const KEYED_COLLECTIONS = [
+  { name: "clauses", field: "extracted_clauses", key: "clause_id" },
+  { name: "rules",   field: "normalized_rules",  key: "rule_code" }
+];
+
+const IGNORED_PATHS = new Set(["provenance", "meta.generated_at_utc", "extracted_sections"]);
+
+/** JSON with object keys sorted, so equal values serialize the same. */
+const canonical = (value) => JSON.stringify(value, (_, v) =>
+  v && typeof v === "object" && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v
+);
+
+const isEqual = (a, b) => canonical(a) === canonical(b);
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Nested object → Map of dotted path → leaf value (arrays are leaves). */
+const flatten = (value, prefix = "", out = new Map()) => {
+  for (const [k, v] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (IGNORED_PATHS.has(path)) continue;
+    if (isPlainObject(v) && Object.keys(v).length) flatten(v, path, out);
+    else out.set(path, v);
+  }
+  return out;
+};
+
+/** Field-level changes between two values, sorted by path: [{ path, change, from?, to? }]. */
+const diffFields = (from, to) => {
+  const a = flatten(from);
+  const b = flatten(to);
+  const changes = [];
+
+  for (const path of new Set([...a.keys(), ...b.keys()])) {
+    if (!b.has(path)) {
+      changes.push({ path, change: "removed", from: a.get(path) });
+    } else if (!a.has(path)) {
+      changes.push({ path, change: "added", to: b.get(path) });
+    } else if (!isEqual(a.get(path), b.get(path))) {
+      changes.push({ path, change: "changed", from: a.get(path), to: b.get(path) });
+    }
+  }
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+};
+
+/**
+ * Array of items → Map keyed on item[key]. Items without the key are keyed by
+ * position ("#3"); a repeated key gets a suffix ("C-12#2") so nothing is lost.
+ */
+const indexBy = (items, key) => {
+  const map = new Map();
+  (Array.isArray(items) ? items : []).forEach((item, i) => {
+    const base = item?.[key] != null ? String(item[key]) : `#${i + 1}`;
+    let id = base;
+    for (let n = 2; map.has(id); n++) id = `${base}#${n}`;
+    map.set(id, item);
+  });
+  return map;
+};
+
+/** Added / removed / changed items of one keyed collection. */
+const diffCollection = (fromItems, toItems, key) => {
+  const a = indexBy(fromItems, key);
+  const b = indexBy(toItems, key);
+  const added   = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, item] of b) if (!a.has(id)) added.push(item);
+  for (const [id, item] of a) {
+    if (!b.has(id)) { removed.push(item); continue; }
+    const changes = diffFields(item, b.get(id)).filter(c => c.path !== key);
+    if (changes.length) changed.push({ [key]: id, changes });
+  }
+  return { added, removed, changed };
+};
+
+/**
+ * Diff two results (parsed JSON) of the same document type:
+ *   { summary, clauses, rules, fields }
+ * where clauses / rules are { added, removed, changed: [{ <key>, changes }] }
+ * and fields is [{ path, change: "added" | "removed" | "changed", from?, to? }].
+ * Collections absent from both results (e.g. IC memos have no clauses) come
+ * back empty.
+ */
+export const diffResults = (from, to) => {
+  const out = { summary: {} };
+
+  for (const { name, field, key } of KEYED_COLLECTIONS) {
+    out[name] = diffCollection(from?.[field], to?.[field], key);
+    out.summary[name] = {
+      added:   out[name].added.length,
+      removed: out[name].removed.length,
+      changed: out[name].changed.length
+    };
+  }
+
+  const keyedFields = new Set(KEYED_COLLECTIONS.map(c => c.field));
+  const rest = (value) => Object.fromEntries(Object.entries(value || {}).filter(([k]) => !keyedFields.has(k)));
+
+  out.fields = diffFields(rest(from), rest(to));
+  out.summary.fields = out.fields.length;
+  out.summary.identical = out.fields.length === 0 &&
+    KEYED_COLLECTIONS.every(({ name }) => Object.values(out.summary[name]).every(n => n === 0));
+
+  return out;
+};
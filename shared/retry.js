@@ -0,0 +1,102 @@
+// Retry helpers
+// Tells transient AWS errors (throttling, service limits, 5xx, timeouts) apart
+// from terminal ones (bad document, access denied, validation) and retries the
+// transient ones with exponential backoff and full jitter. Used around the
+// Textract and Bedrock calls in every worker, so a burst of throttling is
+// absorbed instead of marking the document or fund FAILED.
+//
+// A call that is still throttled after withRetry gives up rethrows the last
+// error. Queue consumers then either re-queue the message with an SQS delay
+// (requeueDelaySeconds) or rethrow it so SQS redelivers it. They only write
+// FAILED for terminal errors.
+
+// Error names (err.name / err.code) that a later attempt can succeed on.
+const TRANSIENT_ERROR_NAMES = new Set([
+  // Throttling / quotas
+  "ThrottlingException",
+  "Throttling",
+  "TooManyRequestsException",
+  "ProvisionedThroughputExceededException",   // Textract
+  "LimitExceededException",                   // Textract concurrent job limit
+  "ServiceQuotaExceededException",            // Bedrock tokens-per-minute
+  "RequestLimitExceeded",
+  "SlowDown",                                 // S3
+  // Service-side failures
+  "InternalServerError",
+  "InternalServerException",
+  "InternalFailure",
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "ModelNotReadyException",                   // Bedrock
+  "ModelTimeoutException",                    // Bedrock
+  // Network
+  "TimeoutError",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE"
+]);
+
+/**
+ * Whether an error is worth retrying: a known transient error name, an SDK
+ * error flagged $retryable, or an HTTP 429 / 5xx response.
+ */
+export const isTransientError = (err) => {
+  if (!err) return false;
+  if (TRANSIENT_ERROR_NAMES.has(err.name) || TRANSIENT_ERROR_NAMES.has(err.code)) return true;
+  if (err.$retryable) return true;
+
+  const status = err.$metadata?.httpStatusCode;
+  return status === 429 || (status >= 500 && status <= 599);
+};
+
+/**
+ * Full-jitter exponential backoff: a random delay in
+ * [0, min(maxDelayMs, baseDelayMs * 2^(attempt-1))]. attempt starts at 1.
+ */
+export const backoffDelayMs = (attempt, { baseDelayMs = 500, maxDelayMs = 8000 } = {}) =>
+  Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn() and retry it on transient errors, up to maxAttempts calls in
+ * total. Terminal errors, and the last transient one, are rethrown as-is.
+ * `label` and `logMeta` go into the WARN logged before each retry.
+ */
+export const withRetry = async (fn, {
+  maxAttempts = 4,
+  baseDelayMs = 500,
+  maxDelayMs  = 8000,
+  label       = "call",
+  log         = () => {},
+  logMeta     = {}
+} = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!isTransientError(err) || attempt >= maxAttempts) throw err;
+
+      const delayMs = backoffDelayMs(attempt, { baseDelayMs, maxDelayMs });
+      log("WARN", `${label} failed with a transient error — retrying`, {
+        ...logMeta, attempt, maxAttempts, delayMs, error: err.name, message: err.message
+      });
+      await sleep(delayMs);
+    }
+  }
+};
+
+// SQS caps DelaySeconds at 15 minutes.
+const MAX_SQS_DELAY_SECONDS = 900;
+
+/**
+ * DelaySeconds for the retryCount-th re-queue of a throttled message (1-based):
+ * between half and all of baseDelaySeconds * 2^(retryCount-1), capped at the
+ * SQS maximum, so re-queued messages spread out but still back off.
+ */
+export const requeueDelaySeconds = (retryCount, { baseDelaySeconds = 30 } = {}) =>
+  Math.max(1, Math.round(
+    Math.min(MAX_SQS_DELAY_SECONDS, baseDelaySeconds * 2 ** (retryCount - 1)) * (0.5 + Math.random() / 2)
+  ));
@@ -0,0 +1,219 @@
+// Rule field dictionary
+// assets/RuleFieldDictionary.json (a catalogued asset, like prompts and schemas)
+// lists the canonical names a normalized rule condition may use as `field`,
+// each with a type, unit, allowed values and the aliases models tend to
+// invent for it ("sector", "issuer_sector", "industry" → trade.sector).
+//
+// textractResultsWorkerLambda and fundAssembler append the dictionary to the
+// prompt of every document type that produces normalized_rules, then run
+// normalizeRuleFields over the validated output: aliases are mapped to their
+// canonical name, values are coerced to the field's type, and rules that still
+// use an unknown field or an invalid value are moved to rejected_rules so the
+// rules engine reports them instead of evaluating them.
+
+export const RULE_FIELD_DICTIONARY_KEY = "assets/RuleFieldDictionary.json";
+
+export const FIELD_TYPES = Object.freeze({
+  NUMBER:  "number",
+  STRING:  "string",
+  ENUM:    "enum",
+  BOOLEAN: "boolean",
+  DATE:    "date"
+});
+
+const ORDERING_OPS  = new Set([">", "<", ">=", "<="]);
+const ORDERED_TYPES = new Set([FIELD_TYPES.NUMBER, FIELD_TYPES.DATE]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const fold = (s) => String(s).trim().toLowerCase();
+
+/**
+ * Parse the dictionary JSON:
+ *   { name, version, fields: Map of name → field, byAlias: Map of folded name / alias → field }
+ * Throws on a malformed dictionary or an alias claimed by two fields.
+ */
+export const parseFieldDictionary = (text) => {
+  const { name, version, fields } = JSON.parse(text);
+  if (!Array.isArray(fields)) throw new Error(`${RULE_FIELD_DICTIONARY_KEY} has no "fields" array`);
+
+  const byName  = new Map();
+  const byAlias = new Map();
+
+  for (const field of fields) {
+    if (!field.name || !Object.values(FIELD_TYPES).includes(field.type)) {
+      throw new Error(`${RULE_FIELD_DICTIONARY_KEY}: field ${field.name || "(unnamed)"} has no name or an unknown type`);
+    }
+    if (field.type === FIELD_TYPES.ENUM && !field.allowedValues?.length) {
+      throw new Error(`${RULE_FIELD_DICTIONARY_KEY}: enum field ${field.name} has no allowedValues`);
+    }
+    byName.set(field.name, field);
+
+    for (const alias of [field.name, ...(field.aliases || [])]) {
+      const owner = byAlias.get(fold(alias));
+      if (owner && owner !== field) {
+        throw new Error(`${RULE_FIELD_DICTIONARY_KEY}: ${alias} is claimed by ${owner.name} and ${field.name}`);
+      }
+      byAlias.set(fold(alias), field);
+    }
+  }
+
+  return { name, version, fields: byName, byAlias };
+};
+
+/** Prompt section listing the dictionary — appended to rule-producing prompts. */
+export const formatFieldDictionary = (dictionary) => {
+  const lines = [...dictionary.fields.values()].map(f => {
+    const type = f.type === FIELD_TYPES.ENUM
+      ? `enum: ${f.allowedValues.map(v => JSON.stringify(v)).join(" | ")}`
+      : [f.type, f.unit].filter(Boolean).join(", ");
+    const qualifier = f.qualifiedBy ? ` Add a ${f.qualifiedBy} == "<value>" condition naming which one.` : "";
+    return `- ${f.name} (${type}): ${f.description}.${qualifier}`;
+  });
+
+  return [
+    `RULE FIELD DICTIONARY (${dictionary.name} ${dictionary.version})`,
+    "Every normalized_rules[].when.all[].field MUST be one of the names below, spelled exactly.",
+    "Do not invent field names. Percentages are plain numbers (10, not \"10%\" or 0.1).",
+    ...lines
+  ].join("\n");
+};
+
+/**
+ * Dictionary field for a condition's field name:
+ *   { field, qualifier } — qualifier is the value of a qualified name such as
+ *   "exposure.sector_pct_post.energy" or "exposure.sector_pct_post[Energy]" —
+ * or null when the name is unknown.
+ */
+const resolveField = (dictionary, name) => {
+  const direct = dictionary.byAlias.get(fold(name));
+  if (direct) return { field: direct, qualifier: null };
+
+  const match = /^(.+?)(?:\.([^.[\]]+)|\[["']?([^\]"']+)["']?\])$/.exec(String(name).trim());
+  if (!match) return null;
+
+  const base = dictionary.byAlias.get(fold(match[1]));
+  if (!base?.qualifiedBy) return null;
+  return { field: base, qualifier: (match[2] ?? match[3]).replace(/_/g, " ").trim() };
+};
+
+/** One value coerced to the field's type: { value } or { error }. */
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case FIELD_TYPES.NUMBER: {
+      if (typeof value === "number" && Number.isFinite(value)) return { value };
+      const s = typeof value === "string" ? value.trim().replace(/,/g, "").replace(/%$/, "") : "";
+      return s !== "" && Number.isFinite(Number(s)) ? { value: Number(s) } : { error: `${JSON.stringify(value)} is not a number` };
+    }
+    case FIELD_TYPES.BOOLEAN: {
+      if (typeof value === "boolean") return { value };
+      const s = typeof value === "string" ? fold(value) : "";
+      if (["true", "yes"].includes(s)) return { value: true };
+      if (["false", "no"].includes(s)) return { value: false };
+      return { error: `${JSON.stringify(value)} is not a boolean` };
+    }
+    case FIELD_TYPES.DATE:
+      return typeof value === "string" && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value))
+        ? { value }
+        : { error: `${JSON.stringify(value)} is not an ISO date` };
+    case FIELD_TYPES.ENUM: {
+      const allowed = field.allowedValues.find(v => typeof value === "string" && fold(v) === fold(value));
+      return allowed !== undefined
+        ? { value: allowed }
+        : { error: `${JSON.stringify(value)} is not one of ${field.allowedValues.join(", ")}` };
+    }
+    default:
+      return typeof value === "string" || typeof value === "number"
+        ? { value: String(value) }
+        : { error: `${JSON.stringify(value)} is not a string` };
+  }
+};
+
+/**
+ * One condition against the dictionary:
+ *   { condition, qualifierCondition?, mappedFrom? } or { error }.
+ */
+const normalizeCondition = (dictionary, condition) => {
+  const resolved = resolveField(dictionary, condition.field ?? "");
+  if (!resolved) return { error: "Unknown field" };
+
+  const { field, qualifier } = resolved;
+  if (ORDERING_OPS.has(condition.op) && !ORDERED_TYPES.has(field.type)) {
+    return { error: `Operator ${condition.op} does not apply to a ${field.type} field` };
+  }
+
+  let value;
+  if (condition.op === "in") {
+    if (!Array.isArray(condition.value)) return { error: "Operator in needs an array value" };
+    const coerced = condition.value.map(v => coerceValue(field, v));
+    const failed  = coerced.find(c => c.error);
+    if (failed) return { error: failed.error };
+    value = coerced.map(c => c.value);
+  } else {
+    const coerced = coerceValue(field, condition.value);
+    if (coerced.error) return { error: coerced.error };
+    value = coerced.value;
+  }
+
+  return {
+    condition: { ...condition, field: field.name, value },
+    ...(qualifier && { qualifierCondition: { field: field.qualifiedBy, op: "==", value: qualifier } }),
+    ...(condition.field !== field.name && { mappedFrom: condition.field })
+  };
+};
+
+/**
+ * Normalize the normalized_rules of an extraction result (parsed JSON) against
+ * the dictionary. Returns
+ *   { result, check: { dictionary: { name, version }, checked, mapped: [{ rule_code, from, to }],
+ *                      rejected: [{ rule_code, fields: [{ field, reason }] }] } }
+ * where result has every rule's fields canonical and the rules that could not
+ * be normalized moved, with their `rejection`, to rejected_rules. A result
+ * without normalized_rules is returned as is, with check = null.
+ */
+export const normalizeRuleFields = (result, dictionary) => {
+  if (!Array.isArray(result?.normalized_rules)) return { result, check: null };
+
+  const kept     = [];
+  const rejected = [];
+  const mapped   = [];
+
+  for (const rule of result.normalized_rules) {
+    const conditions = rule.when?.all || [];
+    const outcomes   = conditions.map(c => ({ original: c, ...normalizeCondition(dictionary, c) }));
+    const errors     = outcomes.filter(o => o.error).map(o => ({ field: o.original.field ?? null, reason: o.error }));
+
+    if (errors.length) {
+      rejected.push({ ...rule, rejection: errors });
+      continue;
+    }
+
+    const all = outcomes.map(o => o.condition);
+    for (const o of outcomes) {
+      // A qualified name becomes the canonical field plus the condition it implied
+      const q = o.qualifierCondition;
+      if (q && !all.some(c => c.field === q.field && c.op === "==" && fold(c.value) === fold(q.value))) {
+        all.push(q);
+        mapped.push({ rule_code: rule.rule_code, from: o.original.field, to: `${o.condition.field} + ${q.field} == "${q.value}"` });
+      } else if (o.mappedFrom) {
+        mapped.push({ rule_code: rule.rule_code, from: o.mappedFrom, to: o.condition.field });
+      }
+    }
+
+    kept.push(conditions.length ? { ...rule, when: { ...rule.when, all } } : rule);
+  }
+
+  return {
+    result: {
+      ...result,
+      normalized_rules: kept,
+      ...(rejected.length && { rejected_rules: rejected })
+    },
+    check: {
+      dictionary: { name: dictionary.name, version: dictionary.version },
+      checked:    kept.length + rejected.length,
+      mapped,
+      rejected:   rejected.map(r => ({ rule_code: r.rule_code, fields: r.rejection }))
+    }
+  };
+};
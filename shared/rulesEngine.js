@@ -0,0 +1,198 @@
+// Rules engine evaluator
+// Runs the normalized_rules of a Rules Engine / fund assembly result
+// (RulesEngineJSONSchema / FundAssemblyJSONSchema) against portfolio data: a
+// proposed trade (PRE_TRADE) or a holdings snapshot (POST_TRADE).
+//
+// A rule's when.all[] describes the breach — the extraction prompt maps
+// "shall not exceed 10%" to { field, op: ">", value: 10 } — so a rule FAILs
+// when every condition holds and PASSes as soon as one does not. Gating
+// conditions on side-letter rules (investor.lp_name == "X") work the same way.
+//
+// Conditions read `field` as a dotted path into the data ("fund.leverage_pct_post"),
+// or as a literal key of that name. A rule whose outcome depends on a field the
+// data does not have is NOT_EVALUATED rather than passed, and so is a rule the
+// rule field dictionary rejected (rejected_rules, shared/ruleFields.js). Rules
+// outside the requested scope are SKIPPED.
+
+export const RULE_SCOPES = Object.freeze({
+  PRE_TRADE:  "PRE_TRADE",
+  POST_TRADE: "POST_TRADE"
+});
+
+export const RULE_STATUSES = Object.freeze({
+  PASS:          "PASS",
+  FAIL:          "FAIL",
+  NOT_EVALUATED: "NOT_EVALUATED",
+  SKIPPED:       "SKIPPED"
+});
+
+// Overall outcome, most severe first
+export const OUTCOMES = Object.freeze({
+  BLOCKED:    "BLOCKED",      // a BLOCKING rule failed
+  INCOMPLETE: "INCOMPLETE",   // an in-scope rule could not be evaluated
+  WARNING:    "WARNING",      // only WARNING rules failed
+  PASSED:     "PASSED"
+});
+
+const OPERATORS = new Set(["==", "!=", ">", "<", ">=", "<=", "in"]);
+
+const MISSING = Symbol("missing");
+
+/** Value at `field` in data: a literal key first, then a dotted path. */
+const lookup = (data, field) => {
+  if (Object.prototype.hasOwnProperty.call(data, field)) return data[field];
+
+  let node = data;
+  for (const part of field.split(".")) {
+    if (node === null || typeof node !== "object" || !Object.prototype.hasOwnProperty.call(node, part)) return MISSING;
+    node = node[part];
+  }
+  return node;
+};
+
+/** Number from a number or a numeric string ("10", "10%", "1,000"); null otherwise. */
+const toNumber = (v) => {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+  const s = v.trim().replace(/,/g, "").replace(/%$/, "");
+  return s !== "" && Number.isFinite(Number(s)) ? Number(s) : null;
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+/** Comparable form of two values for an ordering operator, or null if they do not compare. */
+const comparable = (a, b) => {
+  const [x, y] = [toNumber(a), toNumber(b)];
+  if (x !== null && y !== null) return [x, y];
+  if (typeof a === "string" && typeof b === "string" && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+    const [da, db] = [Date.parse(a), Date.parse(b)];
+    if (!Number.isNaN(da) && !Number.isNaN(db)) return [da, db];
+  }
+  return null;
+};
+
+/** Equality: numerically for numbers, case-insensitively for strings, otherwise strictly. */
+const looselyEqual = (a, b) => {
+  const [x, y] = [toNumber(a), toNumber(b)];
+  if (x !== null && y !== null) return x === y;
+  if (typeof a === "string" && typeof b === "string") return a.trim().toLowerCase() === b.trim().toLowerCase();
+  return a === b;
+};
+
+/**
+ * One condition against the data:
+ *   { field, op, value, actual, result } — result true / false, or null when
+ *   the field is missing (missing: true) or the values do not compare (error).
+ */
+export const evaluateCondition = (data, { field, op, value }) => {
+  const out = { field, op, value };
+
+  if (typeof field !== "string" || !field) return { ...out, actual: null, result: null, error: "Condition has no field" };
+  if (!OPERATORS.has(op))                  return { ...out, actual: null, result: null, error: `Unsupported operator: ${op}` };
+
+  const actual = lookup(data, field);
+  if (actual === MISSING || actual === null || actual === undefined) {
+    return { ...out, actual: null, result: null, missing: true };
+  }
+
+  const actuals = Array.isArray(actual) ? actual : [actual];
+
+  switch (op) {
+    case "==": return { ...out, actual, result: looselyEqual(actual, value) };
+    case "!=": return { ...out, actual, result: !looselyEqual(actual, value) };
+    case "in": {
+      if (!Array.isArray(value)) return { ...out, actual, result: null, error: "Operator in needs an array value" };
+      return { ...out, actual, result: actuals.some(a => value.some(v => looselyEqual(a, v))) };
+    }
+    default: {
+      const pair = comparable(actual, value);
+      if (!pair) return { ...out, actual, result: null, error: `Cannot compare ${JSON.stringify(actual)} ${op} ${JSON.stringify(value)}` };
+      const [a, b] = pair;
+      const result = op === ">" ? a > b : op === "<" ? a < b : op === ">=" ? a >= b : a <= b;
+      return { ...out, actual, result };
+    }
+  }
+};
+
+/**
+ * One rule against the data. `clauses` maps clause_id → extracted clause, to
+ * attach the cited clause heading / text to each source.
+ */
+export const evaluateRule = (rule, data, { scope, clauses = new Map() } = {}) => {
+  const sources = (rule.sources || []).map(s => {
+    const clause = clauses.get(s.clause_id);
+    return clause ? { ...s, heading: clause.heading, text: clause.text } : s;
+  });
+
+  const base = {
+    rule_code:       rule.rule_code,
+    severity:        rule.severity,
+    category:        rule.category,
+    scope:           rule.scope || [],
+    message:         rule.message,
+    limit_threshold: rule.limit_threshold,
+    sources
+  };
+
+  if (scope && Array.isArray(rule.scope) && rule.scope.length && !rule.scope.includes(scope)) {
+    return { ...base, status: RULE_STATUSES.SKIPPED };
+  }
+
+  if (rule.rejection?.length) {
+    return {
+      ...base,
+      status:     RULE_STATUSES.NOT_EVALUATED,
+      conditions: [],
+      rejection:  rule.rejection,
+      error:      `Rejected by the rule field dictionary: ${rule.rejection.map(r => `${r.field}: ${r.reason}`).join("; ")}`
+    };
+  }
+
+  const conditions = (rule.when?.all || []).map(c => evaluateCondition(data, c));
+  if (!conditions.length) {
+    return { ...base, status: RULE_STATUSES.NOT_EVALUATED, conditions, error: "Rule has no conditions" };
+  }
+
+  // One condition that does not hold means no breach, whatever the others say
+  if (conditions.some(c => c.result === false)) return { ...base, status: RULE_STATUSES.PASS, conditions };
+
+  const missingFields = conditions.filter(c => c.missing).map(c => c.field);
+  const errors        = conditions.filter(c => c.error).map(c => c.error);
+  if (missingFields.length || errors.length) {
+    return {
+      ...base,
+      status: RULE_STATUSES.NOT_EVALUATED,
+      conditions,
+      ...(missingFields.length && { missingFields }),
+      ...(errors.length && { error: errors.join("; ") })
+    };
+  }
+
+  return { ...base, status: RULE_STATUSES.FAIL, conditions };
+};
+
+/**
+ * Every rule of an extraction result against the data:
+ *   { outcome, summary: { PASS, FAIL, NOT_EVALUATED, SKIPPED, blockingFailures, warnings }, rules }
+ * `result` is the parsed result JSON (normalized_rules, rejected_rules and
+ * extracted_clauses).
+ */
+export const evaluateRules = (result, data, { scope } = {}) => {
+  const clauses = new Map((result?.extracted_clauses || []).map(c => [c.clause_id, c]));
+  const rules   = [...(result?.normalized_rules || []), ...(result?.rejected_rules || [])]
+    .map(rule => evaluateRule(rule, data, { scope, clauses }));
+
+  const summary = Object.fromEntries(Object.values(RULE_STATUSES).map(s => [s, 0]));
+  for (const r of rules) summary[r.status]++;
+
+  const failed = rules.filter(r => r.status === RULE_STATUSES.FAIL);
+  summary.blockingFailures = failed.filter(r => r.severity === "BLOCKING").length;
+  summary.warnings         = failed.length - summary.blockingFailures;
+
+  let outcome = OUTCOMES.PASSED;
+  if (summary.blockingFailures)                  outcome = OUTCOMES.BLOCKED;
+  else if (summary[RULE_STATUSES.NOT_EVALUATED]) outcome = OUTCOMES.INCOMPLETE;
+  else if (summary.warnings)                     outcome = OUTCOMES.WARNING;
+
+  return { outcome, summary, rules };
+};
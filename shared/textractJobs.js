@@ -0,0 +1,70 @@
+// Textract job registry
+// One TextractJobsTable item per async Textract job (PK jobId), written by
+// textractStarterLambda right after the Start* call and read by
+// textractResultsWorkerLambda when the completion notification arrives.
+// The registry — not the JobTag — is how a completion is tied back to its
+// fund and document, so any fundId format works (EXT# ids with ":" or longer
+// than the 64-character JobTag limit) and a lost or truncated tag is harmless.
+// Callers pass their own DynamoDBDocumentClient.
+
+import { GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+// Registry items expire (DynamoDB TTL) well after any job could still complete.
+const JOB_TTL_DAYS = 30;
+
+export const JOB_STATUSES = Object.freeze({
+  STARTED:   "STARTED",
+  COMPLETED: "COMPLETED",
+  FAILED:    "FAILED"
+});
+
+/**
+ * Record a started job:
+ *   { jobId, fundId, documentId, documentType, bucket, key, fileName, api, requestedAt }
+ */
+export const registerJob = async (ddb, { table, jobId, fundId, documentId, documentType, bucket, key, fileName, api }) => {
+  const now = new Date();
+
+  await ddb.send(new PutCommand({
+    TableName: table,
+    Item: {
+      jobId,
+      fundId,
+      documentId,
+      documentType,
+      bucket,
+      key,
+      fileName,
+      api,
+      status:      JOB_STATUSES.STARTED,
+      requestedAt: now.toISOString(),
+      expiresAt:   Math.floor(now.getTime() / 1000) + JOB_TTL_DAYS * 86400
+    }
+  }));
+};
+
+/** Registry item for a JobId, or null. */
+export const getJob = async (ddb, { table, jobId }) => {
+  const { Item } = await ddb.send(new GetCommand({
+    TableName: table,
+    Key: { jobId },
+    ConsistentRead: true
+  }));
+  return Item || null;
+};
+
+/** Stamp the Textract completion status onto the registry item. */
+export const completeJob = async (ddb, { table, jobId, textractStatus }) => {
+  await ddb.send(new UpdateCommand({
+    TableName: table,
+    Key: { jobId },
+    UpdateExpression: "SET #s = :s, textractStatus = :ts, completedAt = :c",
+    ConditionExpression: "attribute_exists(jobId)",
+    ExpressionAttributeNames: { "#s": "status" },
+    ExpressionAttributeValues: {
+      ":s":  textractStatus === "SUCCEEDED" ? JOB_STATUSES.COMPLETED : JOB_STATUSES.FAILED,
+      ":ts": textractStatus,
+      ":c":  new Date().toISOString()
+    }
+  }));
+};
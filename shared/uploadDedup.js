@@ -0,0 +1,178 @@
+// Upload deduplication
+// UploadDedupTable (PK dedupKey, SK entryId) holds two kinds of item, both
+// written by s3UploadTrigger:
+//
+//   dedupKey "OBJECT#<bucket>/<key>", entryId "<ETag>"
+//     Claim on one version of an uploaded object. S3 delivers events at least
+//     once; the claim makes the trigger create the fund / document and start
+//     Textract exactly once per object version, whichever delivery wins.
+//     A DONE claim whose document ended FAILED is taken over (reclaimUpload),
+//     so uploading the same bytes again retries the document.
+//
+//   dedupKey "SHA256#<hex>", entryId "<fundId>#<documentId>"
+//     Every document uploaded with those exact bytes, so the same PDF uploaded
+//     again for another fund (e.g. a duplicate IC memo) can be flagged.
+//
+// Callers pass their own DynamoDBDocumentClient.
+
+import { DeleteCommand, GetCommand, PutCommand, QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+// Claims and content entries expire (DynamoDB TTL) long after S3 stops
+// redelivering an event; content matches are only reported within this window.
+const DEDUP_TTL_DAYS = 90;
+
+// A PROCESSING claim older than this belongs to an invocation that died
+// without releasing it (longer than the trigger's Lambda timeout).
+const CLAIM_LEASE_SECONDS = 300;
+
+// Matches reported per upload.
+const MAX_CONTENT_MATCHES = 10;
+
+export const CLAIM_STATUSES = Object.freeze({
+  PROCESSING: "PROCESSING",
+  DONE:       "DONE"
+});
+
+const expiresAt = (now) => Math.floor(now.getTime() / 1000) + DEDUP_TTL_DAYS * 86400;
+
+const objectKey = ({ bucket, key, etag }) => ({ dedupKey: `OBJECT#${bucket}/${key}`, entryId: etag });
+
+/**
+ * Claim one object version for processing.
+ * Returns { claimed: true } for the first delivery (or when taking over a
+ * lapsed claim), otherwise { claimed: false, existing } where existing is the
+ * claim item ({ status, fundId?, documentId?, requestId, claimedAt }).
+ */
+export const claimUpload = async (ddb, { table, bucket, key, etag, requestId }) => {
+  const now = new Date();
+  const Key = objectKey({ bucket, key, etag });
+
+  try {
+    await ddb.send(new PutCommand({
+      TableName: table,
+      Item: {
+        ...Key,
+        status:    CLAIM_STATUSES.PROCESSING,
+        requestId,
+        claimedAt: now.toISOString(),
+        expiresAt: expiresAt(now)
+      },
+      ConditionExpression: "attribute_not_exists(dedupKey) OR (#s = :processing AND claimedAt < :stale)",
+      ExpressionAttributeNames: { "#s": "status" },
+      ExpressionAttributeValues: {
+        ":processing": CLAIM_STATUSES.PROCESSING,
+        ":stale":      new Date(now.getTime() - CLAIM_LEASE_SECONDS * 1000).toISOString()
+      }
+    }));
+    return { claimed: true };
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+
+    const { Item } = await ddb.send(new GetCommand({ TableName: table, Key, ConsistentRead: true }));
+    return { claimed: false, existing: Item || null };
+  }
+};
+
+/**
+ * Take over a DONE claim, e.g. when the document it recorded ended FAILED and
+ * the same bytes were uploaded again to retry it. Conditional on the claim the
+ * caller read (same completedAt), so only one delivery takes it over.
+ * Returns the same shape as claimUpload.
+ */
+export const reclaimUpload = async (ddb, { table, bucket, key, etag, requestId, completedAt }) => {
+  const now = new Date();
+  const Key = objectKey({ bucket, key, etag });
+
+  try {
+    await ddb.send(new PutCommand({
+      TableName: table,
+      Item: {
+        ...Key,
+        status:    CLAIM_STATUSES.PROCESSING,
+        requestId,
+        claimedAt: now.toISOString(),
+        expiresAt: expiresAt(now)
+      },
+      ConditionExpression: "#s = :done AND completedAt = :c",
+      ExpressionAttributeNames: { "#s": "status" },
+      ExpressionAttributeValues: { ":done": CLAIM_STATUSES.DONE, ":c": completedAt }
+    }));
+    return { claimed: true };
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+
+    const { Item } = await ddb.send(new GetCommand({ TableName: table, Key, ConsistentRead: true }));
+    return { claimed: false, existing: Item || null };
+  }
+};
+
+/** Mark a claim DONE with the fund + document the object was recorded as. */
+export const completeUpload = async (ddb, { table, bucket, key, etag, fundId, documentId }) => {
+  await ddb.send(new UpdateCommand({
+    TableName: table,
+    Key: objectKey({ bucket, key, etag }),
+    UpdateExpression: "SET #s = :done, fundId = :f, documentId = :d, completedAt = :c",
+    ExpressionAttributeNames: { "#s": "status" },
+    ExpressionAttributeValues: {
+      ":done": CLAIM_STATUSES.DONE,
+      ":f":    fundId,
+      ":d":    documentId,
+      ":c":    new Date().toISOString()
+    }
+  }));
+};
+
+/**
+ * Drop this invocation's claim after a failure, so a redelivered or replayed
+ * event can process the object. A claim taken over by someone else is kept.
+ */
+export const releaseUpload = async (ddb, { table, bucket, key, etag, requestId }) => {
+  try {
+    await ddb.send(new DeleteCommand({
+      TableName: table,
+      Key: objectKey({ bucket, key, etag }),
+      ConditionExpression: "requestId = :r AND #s = :processing",
+      ExpressionAttributeNames: { "#s": "status" },
+      ExpressionAttributeValues: { ":r": requestId, ":processing": CLAIM_STATUSES.PROCESSING }
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+  }
+};
+
+/**
+ * Record that a document has these bytes and return earlier uploads of the
+ * same bytes under other funds (newest first, at most MAX_CONTENT_MATCHES):
+ *   [{ fundId, documentId, documentType, key, uploadedAt }]
+ */
+export const recordContentHash = async (ddb, { table, sha256, fundId, documentId, documentType, bucket, key }) => {
+  const now      = new Date();
+  const dedupKey = `SHA256#${sha256}`;
+
+  const resp = await ddb.send(new QueryCommand({
+    TableName: table,
+    KeyConditionExpression: "dedupKey = :k",
+    ExpressionAttributeValues: { ":k": dedupKey }
+  }));
+
+  await ddb.send(new PutCommand({
+    TableName: table,
+    Item: {
+      dedupKey,
+      entryId:    `${fundId}#${documentId}`,
+      fundId,
+      documentId,
+      documentType,
+      bucket,
+      key,
+      uploadedAt: now.toISOString(),
+      expiresAt:  expiresAt(now)
+    }
+  }));
+
+  return (resp.Items || [])
+    .filter(item => item.fundId !== fundId)
+    .sort((a, b) => (b.uploadedAt || "").localeCompare(a.uploadedAt || ""))
+    .slice(0, MAX_CONTENT_MATCHES)
+    .map(({ fundId, documentId, documentType, key, uploadedAt }) => ({ fundId, documentId, documentType, key, uploadedAt }));
+};